@@ -5,14 +5,60 @@ declare module "@salespark/mongo-repo-utils" {
     data: T;
   }
 
+  // Error codes of RepoError (data of every failed call)
+  type RepoErrorCode =
+    | "VALIDATION"
+    | "NOT_FOUND"
+    | "DUPLICATE_KEY"
+    | "CAST_ERROR"
+    | "TIMEOUT"
+    | "ABORTED"
+    | "TRANSIENT"
+    | "MODEL_NOT_FOUND"
+    | "TENANT_REQUIRED"
+    | "TENANT_MISMATCH"
+    | "UNKNOWN";
+
+  // Normalized error envelope: { status: false, data: RepoError }; resolveModel throws it
+  export class RepoError extends Error {
+    constructor(message: string, options?: { code?: RepoErrorCode; operation?: string | null; model?: string | null; retryable?: boolean; cause?: unknown });
+    name: "RepoError";
+    code: RepoErrorCode;
+    operation: string | null; // helper that failed, e.g. "getOne"
+    model: string | null;
+    retryable: boolean; // true for TRANSIENT errors
+    cause?: unknown; // original error (Mongoose / driver / validation)
+    driverCode?: number | string; // original error code (e.g. 11000, "ECONNRESET")
+    [key: string]: any; // fields copied from the original error (keyValue, errors, summary, ...)
+    static from(err: unknown, meta?: { code?: RepoErrorCode; operation?: string | null; model?: string | null }): RepoError;
+  }
+
+  // Cached value isolation: false (shared), true/"deep" (copies), "freeze" (deep-frozen)
+  type CacheCloneMode = boolean | "deep" | "freeze";
+
   // Cache options interface
   interface CacheOptions {
     enabled?: boolean;
     key?: string;
     ttl?: number | string;
+    tags?: string | string[];
+    staleWhileRevalidate?: number | string;
+    clone?: CacheCloneMode;
     cacheIf?: (res: SalesParkContract) => boolean;
   }
 
+  type ReadPreferenceMode = "primary" | "primaryPreferred" | "secondary" | "secondaryPreferred" | "nearest";
+
+  // Query options for read helpers (null drops a default set with setDefaultQueryOptions)
+  interface QueryOptions {
+    readPreference?: ReadPreferenceMode | { mode: ReadPreferenceMode; [key: string]: any } | null;
+    readConcern?: string | { level: string } | null;
+    maxTimeMS?: number | null;
+    hint?: string | object | null;
+    collation?: { locale: string; [key: string]: any } | null; // part of the cache key
+    comment?: any;
+  }
+
   // Write argument interface
   interface WriteOptions {
     session?: any;
@@ -23,12 +69,17 @@ declare module "@salespark/mongo-repo-utils" {
     new?: boolean;
     returnDocument?: "before" | "after" | boolean;
     setDefaultsOnInsert?: boolean;
+    chunkSize?: number; // bulkWrite: operations per round trip (default 1000)
+    hardDelete?: boolean; // deleteOne/deleteMany: remove documents even when soft delete is enabled
   }
 
-  interface WriteArg {
+  // Options may also be passed without nesting when one of these keys is present (e.g. { session } or { hardDelete: true })
+  interface WriteArg extends Pick<WriteOptions, "session" | "upsert" | "writeConcern" | "runValidators" | "ordered" | "chunkSize" | "returnDocument" | "hardDelete"> {
     options?: WriteOptions;
     invalidateKeys?: string | string[];
     invalidatePrefixes?: string | string[];
+    tags?: string | string[];
+    autoInvalidate?: boolean;
   }
 
   // Transaction options interface
@@ -39,13 +90,22 @@ declare module "@salespark/mongo-repo-utils" {
     maxCommitRetries?: number;
   }
 
+  // Per-tier cache hits (TieredCache)
+  interface TierStats {
+    l1: { hits: number; misses: number };
+    l2: { hits: number; misses: number };
+  }
+
   // Metrics interface
   interface Metrics {
     cache: {
       hits: number;
       misses: number;
+      stale: number;
+      coalesced: number;
       puts: number;
       invalidations: number;
+      tiers?: TierStats;
     };
     db: {
       perOp: {
@@ -54,26 +114,202 @@ declare module "@salespark/mongo-repo-utils" {
           totalMs: number;
           minMs: number;
           maxMs: number;
+          docs?: number; // streamed documents (iterate*/stream* helpers)
+          timeouts?: number; // calls that exceeded timeoutMs/maxTimeMS (not part of count)
         };
       };
     };
   }
 
-  // Cache interface
+  // Cache interface (methods may be sync or return Promises)
   interface CacheInterface {
-    get(key: string): any;
-    put(key: string, value: any, ttlMs?: number): boolean;
-    del(key: string): boolean;
+    get(key: string): any | Promise<any>;
+    put(key: string, value: any, ttlMs?: number): boolean | Promise<boolean>;
+    del(key: string): boolean | Promise<boolean>;
+    keys(): string[] | Promise<string[]>;
+    // Optional native prefix deletion (otherwise keys() is scanned)
+    delByPrefix?(prefix: string): number | Promise<number>;
+    // Optional remaining TTL in ms (-1: no expiration, -2: missing); TieredCache caps L1 backfills with it
+    ttl?(key: string): number | Promise<number>;
+    // Optional native tag support (otherwise tags are indexed by the library)
+    setTags?(key: string, tags: string[], ttlMs?: number): boolean | Promise<boolean>;
+    keysByTag?(tag: string): string[] | Promise<string[]>;
+    delByTag?(tag: string): number | Promise<number>;
+  }
+
+  // Cross-process invalidation message
+  interface InvalidationMessage {
+    origin: string;
+    keys?: string[];
+    prefixes?: string[];
+    tags?: string[];
+    models?: string[];
+  }
+
+  // Invalidation bus (pub/sub transport)
+  interface InvalidationBus {
+    publish(message: InvalidationMessage): void | Promise<void>;
+    subscribe(handler: (message: InvalidationMessage) => void): void | (() => void);
+  }
+
+  /**
+   * In-process invalidation bus built on an EventEmitter (tests / single host)
+   * Share one emitter between buses to simulate several processes
+   */
+  export class MemoryInvalidationBus implements InvalidationBus {
+    constructor(options?: { emitter?: any; channel?: string });
+    publish(message: InvalidationMessage): void;
+    subscribe(handler: (message: InvalidationMessage) => void): () => void;
+  }
+
+  /**
+   * Sets the pub/sub transport used to propagate cache invalidations to other processes
+   * invalidateCache() publishes; messages from other processes are applied locally without re-publishing
+   * @param bus - Invalidation bus, or null to disable
+   * @returns Response indicating success or failure
+   */
+  export function setInvalidationBus(bus: InvalidationBus | null): SalesParkContract<{ message: string }>;
+
+  // Redis cache adapter options
+  interface RedisCacheOptions {
+    prefix?: string;
+    tagPrefix?: string;
+    defaultTTL?: number;
+    scanCount?: number;
+    ObjectId?: any;
+  }
+
+  // MemoryCache options
+  interface MemoryCacheOptions {
+    maxEntries?: number;
+    defaultTTL?: number;
+    maxBytes?: number;
+    maxEntryBytes?: number;
+    sweepIntervalMs?: number;
+    statsIntervalMs?: number;
+    logger?: ((message: string, stats: MemoryCacheStats) => void) | { info?: Function; log?: Function };
+  }
+
+  interface MemoryCacheStats {
+    entries: number;
+    bytes: number;
+    hits: number;
+    misses: number;
+  }
+
+  /**
+   * Built-in in-memory LRU cache (default cache)
+   * Entry sizes are tracked at put time; LRU entries are evicted until maxEntries and maxBytes are respected
+   */
+  export class MemoryCache implements CacheInterface {
+    constructor(options?: MemoryCacheOptions);
+    constructor(maxEntries?: number, defaultTTL?: number, options?: MemoryCacheOptions);
+    maxEntries: number;
+    defaultTTL: number;
+    maxBytes: number;
+    maxEntryBytes: number;
+    get(key: string, defaultValue?: any): any;
+    put(key: string, value: any, ttlMs?: number, timeoutCallback?: (key: string, value: any) => void): any;
+    putResolver(key: string, value: any, ttlMs?: number, timeoutCallback?: (key: string, value: any) => void): Promise<SalesParkContract>;
+    getResolver(key: string, defaultValue?: any): Promise<SalesParkContract>;
+    del(key: string, force?: boolean): boolean;
+    delResolver(key: string): Promise<SalesParkContract<string>>;
+    delByPatternResolver(pattern: string): Promise<SalesParkContract>;
     keys(): string[];
+    ttl(key: string): number;
+    setTags(key: string, tags: string[]): boolean;
+    keysByTag(tag: string): string[];
+    clear(): void;
+    size(): number;
+    sizebytes(): number;
+    hits(): number;
+    misses(): number;
+    debug(enabled: boolean): void;
+    stats(): MemoryCacheStats;
+    dispose(): void;
+  }
+
+  /**
+   * Creates a MemoryCache instance (no timers unless statsIntervalMs > 0; timers are unref'd)
+   */
+  export function createMemoryCache(options?: MemoryCacheOptions): MemoryCache;
+
+  /**
+   * Rebuilds the default MemoryCache with new settings (the previous default cache is disposed)
+   * @param options - maxEntries (> 0), defaultTTL, maxBytes, maxEntryBytes, statsIntervalMs (stats are reported through the injected logger)
+   * @returns Response with the applied options
+   */
+  export function setDefaultCacheOptions(
+    options: Omit<MemoryCacheOptions, "logger" | "sweepIntervalMs">
+  ): SalesParkContract<{ message: string; options: MemoryCacheOptions }>;
+
+  /**
+   * Sets default query options for the read helpers, globally or for one model (per-model defaults win)
+   * Per-call queryOpts are merged over the defaults
+   * @param options - Global defaults, or null to clear them
+   */
+  export function setDefaultQueryOptions(options: QueryOptions | null): SalesParkContract<{ message: string; options?: QueryOptions }>;
+  /**
+   * @param model - Model name
+   * @param options - Defaults for the model, or null to clear them
+   */
+  export function setDefaultQueryOptions(model: string, options: QueryOptions | null): SalesParkContract<{ message: string; options?: QueryOptions }>;
+
+  // Tiered cache options
+  interface TieredCacheOptions {
+    l1?: any;
+    l1MaxEntries?: number;
+    l1TTL?: number;
+  }
+
+  /**
+   * Two-tier cache: per-process MemoryCache (L1) in front of a shared cache (L2)
+   * Reads hit L1 then L2; writes, deletes and prefix/tag invalidation reach both tiers
+   */
+  export class TieredCache implements CacheInterface {
+    constructor(l2: CacheInterface, options?: TieredCacheOptions);
+    l1: any;
+    l2: CacheInterface;
+    get(key: string, defaultValue?: any): Promise<any>;
+    put(key: string, value: any, ttlMs?: number): Promise<boolean>;
+    del(key: string): Promise<boolean>;
+    keys(): Promise<string[]>;
+    delByPrefix(prefix: string): Promise<number>;
+    setTags(key: string, tags: string[], ttlMs?: number): Promise<boolean>;
+    keysByTag(tag: string): Promise<string[]>;
+    delByTag(tag: string): Promise<number>;
+    tierStats(): TierStats;
+    resetTierStats(): void;
+    dispose(): void;
+  }
+
+  /**
+   * Cache adapter for ioredis / node-redis clients (or any client exposing call(...args) or sendCommand(args))
+   * Serializes values as JSON, round-tripping Dates and ObjectIds; prefix invalidation uses SCAN
+   */
+  export class RedisCache implements CacheInterface {
+    constructor(client: any, options?: RedisCacheOptions);
+    get(key: string, defaultValue?: any): Promise<any>;
+    put(key: string, value: any, ttlMs?: number): Promise<boolean>;
+    del(key: string): Promise<boolean>;
+    keys(): Promise<string[]>;
+    ttl(key: string): Promise<number>;
+    delByPrefix(prefix: string): Promise<number>;
+    setTags(key: string, tags: string[], ttlMs?: number): Promise<boolean>;
+    keysByTag(tag: string): Promise<string[]>;
+    delByTag(tag: string): Promise<number>;
+    serialize(value: any): string;
+    deserialize(str: string | null): any;
   }
 
   /**
    * Resolves a Mongoose model by name from the configured models directory
    * Loads all model files if the model is not initially found in mongoose.models registry
    * @param modelName - The name of the model to resolve (will be pluralized if needed)
+   * @param connection - Named connection (setConnection); default: the mongoose instance
    * @returns The resolved Mongoose model
    */
-  export function resolveModel(modelName: string): any;
+  export function resolveModel(modelName: string, connection?: string): any;
 
   /**
    * Loads all models from the configured models directory
@@ -101,11 +337,22 @@ declare module "@salespark/mongo-repo-utils" {
 
   /**
    * Sets the mongoose instance to use (important for sharing models with host app)
-   * @param mongooseInstance - The mongoose instance from the host application
+   * A connection (mongoose.createConnection()) is accepted too
+   * @param mongooseInstance - The mongoose instance (or connection) from the host application
    * @returns Response indicating success or failure
    */
   export function setMongoose(mongooseInstance: any): SalesParkContract<{ message: string }>;
 
+  /**
+   * Registers a named connection (e.g. a reporting replica or a second database)
+   * Helpers called with { connection: name } resolve models from connection.models;
+   * cache keys get a "conn=<name>:" segment and metrics op names a "@<name>" suffix
+   * @param name - Connection name
+   * @param connection - Mongoose connection (mongoose.createConnection()), or null to remove it
+   * @returns Response indicating success or failure
+   */
+  export function setConnection(name: string, connection: any | null): SalesParkContract<{ message: string }>;
+
   /**
    * Configures a logger function for error reporting
    * @param logger - Function to handle errors or logger object (e.g., console)
@@ -120,6 +367,21 @@ declare module "@salespark/mongo-repo-utils" {
    */
   export function setCache(cache: CacheInterface): SalesParkContract<{ message: string }>;
 
+  /**
+   * Enables or disables model-scoped automatic cache invalidation on writes
+   * When enabled, every write drops all auto-keyed cached reads of its model
+   * @param enabled - Enable (true) or disable (false) auto-invalidation
+   * @returns Response indicating success or failure
+   */
+  export function setAutoInvalidation(enabled: boolean): SalesParkContract<{ message: string }>;
+
+  /**
+   * Sets the global default for cacheOpts.clone
+   * @param mode - false (shared references), true/"deep" (callers get copies) or "freeze" (deep-frozen values)
+   * @returns Response indicating success or failure
+   */
+  export function setCacheClone(mode: CacheCloneMode): SalesParkContract<{ message: string }>;
+
   /**
    * Adds a specific model file by loading it from the given file path
    * @param name - The name of the model to check if it's loaded after requiring the file
@@ -148,7 +410,15 @@ declare module "@salespark/mongo-repo-utils" {
    * @remarks
    * The options object can use 'data' (preferred) or 'payload' (legacy, still supported for backward compatibility).
    */
-  export function createOne(options: { model: string; data?: object; payload?: object; writeArg?: string | string[] | WriteArg }): Promise<SalesParkContract>;
+  export function createOne(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    data?: object;
+    payload?: object;
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract>;
 
   /**
    * Creates multiple documents in the specified model (bulk insert)
@@ -164,7 +434,14 @@ declare module "@salespark/mongo-repo-utils" {
    * @param options - Object containing model, docs, and writeArg
    * @returns Promise resolving to array of created documents in { status, data } format
    */
-  export function createMany(options: { model: string; docs: object | object[]; writeArg?: string | string[] | WriteArg }): Promise<SalesParkContract>;
+  export function createMany(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    docs: object | object[];
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract>;
 
   /**
    * Finds a single document matching the filter criteria
@@ -174,6 +451,7 @@ declare module "@salespark/mongo-repo-utils" {
    * @param sort - Sort criteria for ordering results
    * @param populate - Population options for referenced documents
    * @param cacheOpts - Cache configuration options
+   * @param queryOpts - Query options (read preference, read concern, maxTimeMS, hint, collation, comment)
    * @returns Promise resolving to found document or null in { status, data } format
    */
   export function getOne(
@@ -182,7 +460,8 @@ declare module "@salespark/mongo-repo-utils" {
     select?: string[] | string,
     sort?: object,
     populate?: any,
-    cacheOpts?: CacheOptions
+    cacheOpts?: CacheOptions,
+    queryOpts?: QueryOptions
   ): Promise<SalesParkContract>;
 
   /**
@@ -192,11 +471,16 @@ declare module "@salespark/mongo-repo-utils" {
    */
   export function getOne(options: {
     model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean; // include soft-deleted documents
     filter: object;
     select?: string[] | string;
     sort?: object;
     populate?: any;
     cacheOpts?: CacheOptions;
+    queryOpts?: QueryOptions;
   }): Promise<SalesParkContract>;
 
   /**
@@ -207,6 +491,7 @@ declare module "@salespark/mongo-repo-utils" {
    * @param sort - Sort order for results
    * @param populate - Population options for referenced documents
    * @param cacheOpts - Cache configuration options
+   * @param queryOpts - Query options (read preference, read concern, maxTimeMS, hint, collation, comment)
    * @returns Promise resolving to array of documents in { status, data } format
    */
   export function getMany(
@@ -215,7 +500,8 @@ declare module "@salespark/mongo-repo-utils" {
     select?: string[] | string,
     sort?: object,
     populate?: any,
-    cacheOpts?: CacheOptions
+    cacheOpts?: CacheOptions,
+    queryOpts?: QueryOptions
   ): Promise<SalesParkContract>;
 
   /**
@@ -225,11 +511,16 @@ declare module "@salespark/mongo-repo-utils" {
    */
   export function getMany(options: {
     model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean; // include soft-deleted documents
     filter?: object;
     select?: string[] | string;
     sort?: object;
     populate?: any;
     cacheOpts?: CacheOptions;
+    queryOpts?: QueryOptions;
   }): Promise<SalesParkContract>;
 
   /**
@@ -245,6 +536,7 @@ declare module "@salespark/mongo-repo-utils" {
    * @param limit - Maximum number of documents to return
    * @param populate - Population options for referenced documents
    * @param cacheOpts - Cache configuration options
+   * @param queryOpts - Query options (read preference, read concern, maxTimeMS, hint, collation, comment)
    * @returns Promise resolving to limited array of documents in { status, data } format
    *
    * @example
@@ -271,7 +563,8 @@ declare module "@salespark/mongo-repo-utils" {
     sort?: object,
     limit?: number,
     populate?: any,
-    cacheOpts?: CacheOptions
+    cacheOpts?: CacheOptions,
+    queryOpts?: QueryOptions
   ): Promise<SalesParkContract>;
 
   /**
@@ -281,14 +574,37 @@ declare module "@salespark/mongo-repo-utils" {
    */
   export function getManyWithLimit(options: {
     model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean; // include soft-deleted documents
     filter?: object;
     select?: string[] | string;
     sort?: object;
     limit?: number;
     populate?: any;
     cacheOpts?: CacheOptions;
+    queryOpts?: QueryOptions;
   }): Promise<SalesParkContract>;
 
+  // Total options for getManyWithPagination
+  interface PaginationCountOptions {
+    total?: boolean | "estimated"; // true: countDocuments (default), false: no total, "estimated": estimatedDocumentCount when the filter is empty
+    parallel?: boolean; // run the count and the page query in parallel
+    cacheOpts?: CacheOptions; // cache the total on its own (own TTL)
+  }
+
+  // Page returned by getManyWithPagination
+  interface PaginatedResult<T = any> {
+    data: T[];
+    total: number | null;
+    page: number;
+    limit: number;
+    totalPages: number | null;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+  }
+
   /**
    * Finds multiple documents with pagination support and metadata
    * @param model - Model name (string)
@@ -299,6 +615,8 @@ declare module "@salespark/mongo-repo-utils" {
    * @param limit - Number of documents per page
    * @param populate - Population options for referenced documents
    * @param cacheOpts - Cache configuration options
+   * @param countOpts - Total options (skip, estimated, cached or parallel total)
+   * @param queryOpts - Query options (read preference, read concern, maxTimeMS, hint, collation, comment)
    * @returns Promise resolving to paginated results with metadata in { status, data } format
    */
   export function getManyWithPagination(
@@ -309,8 +627,10 @@ declare module "@salespark/mongo-repo-utils" {
     page?: number,
     limit?: number,
     populate?: any,
-    cacheOpts?: CacheOptions
-  ): Promise<SalesParkContract>;
+    cacheOpts?: CacheOptions,
+    countOpts?: PaginationCountOptions,
+    queryOpts?: QueryOptions
+  ): Promise<SalesParkContract<PaginatedResult>>;
 
   /**
    * Finds multiple documents with pagination using object-style parameters
@@ -319,6 +639,10 @@ declare module "@salespark/mongo-repo-utils" {
    */
   export function getManyWithPagination(options: {
     model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean; // include soft-deleted documents
     filter?: object;
     select?: string[] | string;
     sort?: object;
@@ -326,39 +650,209 @@ declare module "@salespark/mongo-repo-utils" {
     limit?: number;
     populate?: any;
     cacheOpts?: CacheOptions;
-  }): Promise<SalesParkContract>;
+    countOpts?: PaginationCountOptions;
+    queryOpts?: QueryOptions;
+  }): Promise<SalesParkContract<PaginatedResult>>;
+
+  // Page returned by getManyWithCursor
+  interface CursorPage<T = any> {
+    data: T[];
+    nextCursor: string | null;
+    prevCursor: string | null;
+    hasMore: boolean;
+  }
+
+  /**
+   * Finds multiple documents with cursor (keyset) pagination
+   * Uses a range query on the sort keys (with _id as tie-breaker) instead of skip(), and no count
+   * @param model - Model name (string)
+   * @param filter - MongoDB filter object (optional, defaults to {})
+   * @param select - Fields to include/exclude in results
+   * @param sort - Sort order for results (compound sorts supported)
+   * @param cursor - nextCursor/prevCursor from a previous page (omit for the first page)
+   * @param limit - Number of documents per page (default 100)
+   * @param populate - Population options for referenced documents
+   * @param cacheOpts - Cache configuration options
+   * @returns Promise resolving to { data, nextCursor, prevCursor, hasMore } in { status, data } format
+   */
+  export function getManyWithCursor(
+    model: string,
+    filter?: object,
+    select?: string[] | string,
+    sort?: object,
+    cursor?: string | null,
+    limit?: number,
+    populate?: any,
+    cacheOpts?: CacheOptions
+  ): Promise<SalesParkContract<CursorPage>>;
+
+  /**
+   * Finds multiple documents with cursor pagination using object-style parameters
+   * @param options - Object containing all search and pagination parameters
+   * @returns Promise resolving to { data, nextCursor, prevCursor, hasMore } in { status, data } format
+   */
+  export function getManyWithCursor(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean; // include soft-deleted documents
+    filter?: object;
+    select?: string[] | string;
+    sort?: object;
+    cursor?: string | null;
+    limit?: number;
+    populate?: any;
+    cacheOpts?: CacheOptions;
+  }): Promise<SalesParkContract<CursorPage>>;
 
   /**
    * Executes a MongoDB aggregation pipeline
    * @param model - Model name (string)
    * @param pipeline - Array of aggregation pipeline stages
    * @param cacheOpts - Cache configuration options
+   * @param queryOpts - Query options (read preference, read concern, maxTimeMS, hint, collation, comment)
    * @returns Promise resolving to aggregation results in { status, data } format
    */
-  export function aggregate(model: string, pipeline: object[], cacheOpts?: CacheOptions): Promise<SalesParkContract>;
+  export function aggregate(model: string, pipeline: object[], cacheOpts?: CacheOptions, queryOpts?: QueryOptions): Promise<SalesParkContract>;
 
   /**
    * Executes aggregation using object-style parameters
    * @param options - Object containing model, pipeline, and cache options
    * @returns Promise resolving to aggregation results in { status, data } format
    */
-  export function aggregate(options: { model: string; pipeline: object[]; cacheOpts?: CacheOptions }): Promise<SalesParkContract>;
+  export function aggregate(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean;
+    pipeline: object[];
+    cacheOpts?: CacheOptions;
+    queryOpts?: QueryOptions;
+  }): Promise<SalesParkContract>;
+
+  // Streaming options
+  interface StreamOptions {
+    batchSize?: number; // documents fetched per round trip
+    limit?: number; // iterateMany/streamMany only
+    allowDiskUse?: boolean; // iterateAggregate/streamAggregate only
+  }
+
+  /**
+   * Iterates documents through a cursor (lean), without loading them all into memory
+   * Metrics (iterateMany:<model>) record the total duration and the number of streamed documents
+   * @param model - Model name (string)
+   * @param filter - MongoDB filter object (optional, defaults to {})
+   * @param select - Fields to include/exclude in results
+   * @param sort - Sort order for results
+   * @param populate - Population options for referenced documents
+   * @param streamOpts - Streaming options (batchSize, limit)
+   * @returns Promise resolving to an async iterable in { status, data } format
+   */
+  export function iterateMany(
+    model: string,
+    filter?: object,
+    select?: string[] | string,
+    sort?: object,
+    populate?: any,
+    streamOpts?: StreamOptions
+  ): Promise<SalesParkContract<AsyncGenerator<any, void, undefined>>>;
+  export function iterateMany(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean; // include soft-deleted documents
+    filter?: object;
+    select?: string[] | string;
+    sort?: object;
+    populate?: any;
+    streamOpts?: StreamOptions;
+  }): Promise<SalesParkContract<AsyncGenerator<any, void, undefined>>>;
+
+  /**
+   * Same as iterateMany, as a Node.js Readable in objectMode
+   */
+  export function streamMany(
+    model: string,
+    filter?: object,
+    select?: string[] | string,
+    sort?: object,
+    populate?: any,
+    streamOpts?: StreamOptions
+  ): Promise<SalesParkContract<import("stream").Readable>>;
+  export function streamMany(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean; // include soft-deleted documents
+    filter?: object;
+    select?: string[] | string;
+    sort?: object;
+    populate?: any;
+    streamOpts?: StreamOptions;
+  }): Promise<SalesParkContract<import("stream").Readable>>;
+
+  /**
+   * Iterates the output of an aggregation pipeline through a cursor
+   * Metrics (iterateAggregate:<model>) record the total duration and the number of streamed documents
+   * @param model - Model name (string)
+   * @param pipeline - Array of aggregation pipeline stages
+   * @param streamOpts - Streaming options (batchSize, allowDiskUse)
+   * @returns Promise resolving to an async iterable in { status, data } format
+   */
+  export function iterateAggregate(model: string, pipeline: object[], streamOpts?: StreamOptions): Promise<SalesParkContract<AsyncGenerator<any, void, undefined>>>;
+  export function iterateAggregate(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean;
+    pipeline: object[];
+    streamOpts?: StreamOptions;
+  }): Promise<SalesParkContract<AsyncGenerator<any, void, undefined>>>;
+
+  /**
+   * Same as iterateAggregate, as a Node.js Readable in objectMode
+   */
+  export function streamAggregate(model: string, pipeline: object[], streamOpts?: StreamOptions): Promise<SalesParkContract<import("stream").Readable>>;
+  export function streamAggregate(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean;
+    pipeline: object[];
+    streamOpts?: StreamOptions;
+  }): Promise<SalesParkContract<import("stream").Readable>>;
 
   /**
    * Counts documents matching the filter criteria
    * @param model - Model name (string)
    * @param filter - MongoDB filter object (optional, defaults to {})
    * @param cacheOpts - Cache configuration options
+   * @param queryOpts - Query options (read preference, read concern, maxTimeMS, hint, collation, comment)
    * @returns Promise resolving to document count in { status, data } format
    */
-  export function countDocuments(model: string, filter?: object, cacheOpts?: CacheOptions): Promise<SalesParkContract>;
+  export function countDocuments(model: string, filter?: object, cacheOpts?: CacheOptions, queryOpts?: QueryOptions): Promise<SalesParkContract>;
 
   /**
    * Counts documents using object-style parameters
    * @param options - Object containing model, filter, and cache options
    * @returns Promise resolving to document count in { status, data } format
    */
-  export function countDocuments(options: { model: string; filter?: object; cacheOpts?: CacheOptions }): Promise<SalesParkContract>;
+  export function countDocuments(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean;
+    filter?: object;
+    cacheOpts?: CacheOptions;
+    queryOpts?: QueryOptions;
+  }): Promise<SalesParkContract>;
 
   /**
    * Gets distinct values for a field in a model
@@ -366,16 +860,27 @@ declare module "@salespark/mongo-repo-utils" {
    * @param field - Field name to distinct on
    * @param filter - MongoDB filter object (optional, defaults to {})
    * @param cacheOpts - Cache configuration options
+   * @param queryOpts - Query options (read preference, read concern, maxTimeMS, hint, collation, comment)
    * @returns Promise resolving to array of distinct values in { status, data } format
    */
-  export function distinct(model: string, field: string, filter?: object, cacheOpts?: CacheOptions): Promise<SalesParkContract>;
+  export function distinct(model: string, field: string, filter?: object, cacheOpts?: CacheOptions, queryOpts?: QueryOptions): Promise<SalesParkContract>;
 
   /**
    * Gets distinct values using object-style parameters
    * @param options - Object containing model, field, filter, and cache options
    * @returns Promise resolving to array of distinct values in { status, data } format
    */
-  export function distinct(options: { model: string; field: string; filter?: object; cacheOpts?: CacheOptions }): Promise<SalesParkContract>;
+  export function distinct(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // also sent to MongoDB as maxTimeMS
+    signal?: AbortSignal;
+    withDeleted?: boolean;
+    field: string;
+    filter?: object;
+    cacheOpts?: CacheOptions;
+    queryOpts?: QueryOptions;
+  }): Promise<SalesParkContract>;
 
   /**
    * Updates a single document matching the filter criteria
@@ -392,7 +897,16 @@ declare module "@salespark/mongo-repo-utils" {
    * @param options - Object containing model, filter, data, and writeArg
    * @returns Promise resolving to update result in { status, data } format
    */
-  export function updateOne(options: { model: string; filter: object; data: object; writeArg?: string | string[] | WriteArg }): Promise<SalesParkContract>;
+  export function updateOne(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    withDeleted?: boolean;
+    filter: object;
+    data: object;
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract>;
 
   /**
    * Updates multiple documents matching the filter criteria
@@ -409,7 +923,16 @@ declare module "@salespark/mongo-repo-utils" {
    * @param options - Object containing model, filter, data, and writeArg
    * @returns Promise resolving to update result in { status, data } format
    */
-  export function updateMany(options: { model: string; filter: object; data: object; writeArg?: string | string[] | WriteArg }): Promise<SalesParkContract>;
+  export function updateMany(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    withDeleted?: boolean;
+    filter: object;
+    data: object;
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract>;
 
   /**
    * Updates or inserts a document (upsert operation)
@@ -426,14 +949,55 @@ declare module "@salespark/mongo-repo-utils" {
    * @param options - Object containing model, filter, data, and writeArg
    * @returns Promise resolving to upsert result in { status, data } format
    */
-  export function upsertOne(options: { model: string; filter: object; data: object; writeArg?: string | string[] | WriteArg }): Promise<SalesParkContract>;
+  export function upsertOne(options: {
+    model: string;
+    withDeleted?: boolean; // also match soft-deleted documents
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    filter: object;
+    data: object;
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract>;
+
+  // Normalized bulkWrite result (ids are keyed by the index in the full ops array)
+  interface BulkWriteSummary {
+    insertedCount: number;
+    matchedCount: number;
+    modifiedCount: number;
+    deletedCount: number;
+    upsertedCount: number;
+    insertedIds: { [index: number]: any };
+    upsertedIds: { [index: number]: any };
+    errors: Array<{ index: number; code: number | null; message: string }>;
+  }
+
+  /**
+   * Sends mixed insert/update/replace/delete operations, chunked, with cache invalidation and metrics
+   * Ordered (default) stops at the first failed operation; unordered runs every operation
+   * @param model - Model name (string)
+   * @param ops - Bulk operations ({ insertOne }, { updateOne }, { updateMany }, { replaceOne }, { deleteOne }, { deleteMany })
+   * @param writeArg - Optional write options (ordered, chunkSize, session, ...) or cache invalidation keys
+   * @returns Promise resolving to normalized counts and per-operation errors in { status, data } format
+   */
+  export function bulkWrite(model: string, ops: object[], writeArg?: string | string[] | WriteArg): Promise<SalesParkContract<BulkWriteSummary>>;
+  export function bulkWrite(options: {
+    model: string;
+    withDeleted?: boolean; // update/replace operations also match soft-deleted documents
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    ops: object[];
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract<BulkWriteSummary>>;
 
   /**
    * Deletes a single document matching the filter criteria
    * @param model - Model name (string)
    * @param filter - MongoDB filter object to find document to delete
    * @param writeArg - Optional write options, session, or cache invalidation keys
-   * @returns Promise resolving to delete result in { status, data } format
+   *   (options.returnDocument uses findOneAndDelete and resolves to the deleted document, or null)
+   * @returns Promise resolving to delete result (or the deleted document) in { status, data } format
    */
   export function deleteOne(model: string, filter: object, writeArg?: string | string[] | WriteArg): Promise<SalesParkContract>;
 
@@ -442,7 +1006,14 @@ declare module "@salespark/mongo-repo-utils" {
    * @param options - Object containing model, filter, and writeArg
    * @returns Promise resolving to delete result in { status, data } format
    */
-  export function deleteOne(options: { model: string; filter: object; writeArg?: string | string[] | WriteArg }): Promise<SalesParkContract>;
+  export function deleteOne(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    filter: object;
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract>;
 
   /**
    * Deletes multiple documents matching the filter criteria
@@ -458,7 +1029,14 @@ declare module "@salespark/mongo-repo-utils" {
    * @param options - Object containing model, filter, and writeArg
    * @returns Promise resolving to delete result in { status, data } format
    */
-  export function deleteMany(options: { model: string; filter: object; writeArg?: string | string[] | WriteArg }): Promise<SalesParkContract>;
+  export function deleteMany(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    filter: object;
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract>;
 
   /**
    * Executes work within a MongoDB transaction
@@ -473,7 +1051,7 @@ declare module "@salespark/mongo-repo-utils" {
    * @param options - Object containing work function and transaction options
    * @returns Promise resolving to transaction result in { status, data } format
    */
-  export function withTransaction(options: { work: (session: any) => Promise<any>; txOptions?: TransactionOptions }): Promise<SalesParkContract>;
+  export function withTransaction(options: { work: (session: any) => Promise<any>; txOptions?: TransactionOptions; connection?: string }): Promise<SalesParkContract>;
 
   /**
    * Safely executes any function and ensures { status, data } response format
@@ -495,12 +1073,289 @@ declare module "@salespark/mongo-repo-utils" {
    */
   export function resetMetrics(): SalesParkContract<{ message: string }>;
 
+  // Soft-delete configuration (marker field, default "deletedAt")
+  interface SoftDeleteConfig {
+    field?: string;
+  }
+
+  /**
+   * Enables soft delete globally (setSoftDelete(true | { field })) or for one model (setSoftDelete("users", true | { field } | false))
+   * deleteOne/deleteMany set the marker field, reads skip marked documents (withDeleted: true includes them)
+   * @param modelOrConfig - Model name, or global config (false clears the global setting)
+   * @param config - Model config (false opts the model out of the global setting)
+   * @returns Response indicating success or failure
+   */
+  export function setSoftDelete(config: boolean | SoftDeleteConfig): SalesParkContract<{ message: string }>;
+  export function setSoftDelete(model: string, config?: boolean | SoftDeleteConfig): SalesParkContract<{ message: string }>;
+
+  // Multi-tenancy configuration
+  interface TenancyConfig {
+    field?: string; // tenant field (default "tenantId")
+    strict?: boolean; // refuse operations on scoped models without a tenant context
+    models?: string[]; // only these models are scoped (default: all)
+    exclude?: string[]; // models never scoped (shared collections)
+  }
+
+  /**
+   * Enables (config) or disables (false) tenant scoping
+   * @param config - Tenancy configuration
+   * @returns Response indicating success or failure
+   */
+  export function setTenancy(config: TenancyConfig | false): SalesParkContract<{ message: string }>;
+
   /**
-   * Manually invalidates cache entries by keys and/or prefixes
-   * @param input - Cache keys, prefixes, or object with keys/prefixes arrays
+   * Runs fn with a tenant context: every helper called inside it is scoped to tenantId
+   * (filters/pipelines get the tenant condition, created documents are stamped, cache keys get a tenant segment)
+   * @param tenantId - Tenant identifier
+   * @param fn - Work to run inside the context
+   * @returns fn result in { status, data } format (results already in that format are returned as-is)
+   */
+  export function withTenant<T = any>(tenantId: any, fn: () => T | Promise<T>): Promise<SalesParkContract>;
+
+  /**
+   * Runs fn explicitly unscoped (cross-tenant jobs); allowed in strict mode
+   * @param fn - Work to run without tenant scoping
+   * @returns fn result in { status, data } format
+   */
+  export function withoutTenant<T = any>(fn: () => T | Promise<T>): Promise<SalesParkContract>;
+
+  /**
+   * Restores one soft-deleted document (unsets the marker field)
+   * @returns Promise resolving to { acknowledged, restoredCount } in { status, data } format
+   */
+  export function restoreOne(model: string, filter?: object, writeArg?: string | string[] | WriteArg): Promise<SalesParkContract<{ acknowledged: boolean; restoredCount: number }>>;
+  export function restoreOne(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    filter?: object;
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract<{ acknowledged: boolean; restoredCount: number }>>;
+
+  /**
+   * Restores every soft-deleted document matching the filter
+   * @returns Promise resolving to { acknowledged, restoredCount } in { status, data } format
+   */
+  export function restoreMany(model: string, filter?: object, writeArg?: string | string[] | WriteArg): Promise<SalesParkContract<{ acknowledged: boolean; restoredCount: number }>>;
+  export function restoreMany(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    filter?: object;
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract<{ acknowledged: boolean; restoredCount: number }>>;
+
+  /**
+   * Permanently removes soft-deleted documents matching the filter (live documents are never touched)
+   * @returns Promise resolving to the deleteMany result in { status, data } format
+   */
+  export function purgeDeleted(model: string, filter?: object, writeArg?: string | string[] | WriteArg): Promise<SalesParkContract>;
+  export function purgeDeleted(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // sent to MongoDB as maxTimeMS only (writes are not cut short, see README)
+    signal?: AbortSignal;
+    filter?: object;
+    writeArg?: string | string[] | WriteArg;
+  }): Promise<SalesParkContract>;
+
+  /**
+   * Manually invalidates cache entries by keys, prefixes, tags and/or models
+   * @param input - Cache keys, prefixes, or object with keys/prefixes/tags/models arrays
    * @returns Response with number of invalidated entries
    */
   export function invalidateCache(
-    input: string | string[] | { keys?: string | string[]; prefixes?: string | string[] }
-  ): SalesParkContract<{ invalidated: number }>;
+    input: string | string[] | { keys?: string | string[]; prefixes?: string | string[]; tags?: string | string[]; models?: string | string[] }
+  ): Promise<SalesParkContract<{ invalidated: number }>>;
+
+  // Progress state saved by processInBatches (checkpoint.save / onProgress)
+  interface BatchProgress {
+    lastId: any;
+    processed: number;
+    failed: number;
+    skipped: number;
+    batches: number;
+  }
+
+  // Handler for processInBatches (a thrown error counts the whole batch as failed)
+  type BatchHandler<T = any> = (
+    docs: T[],
+    context: { batch: number; fromId: any; toId: any }
+  ) => void | { processed?: number; failed?: number; skipped?: number } | Promise<void | { processed?: number; failed?: number; skipped?: number }>;
+
+  interface ProcessInBatchesOptions {
+    batchSize?: number;
+    concurrency?: number;
+    sort?: 1 | -1 | { _id: 1 | -1 };
+    select?: string[] | string;
+    populate?: any;
+    withDeleted?: boolean;
+    checkpoint?: { load: () => BatchProgress | null | Promise<BatchProgress | null>; save: (state: BatchProgress) => void | Promise<void> };
+    onProgress?: (state: BatchProgress) => void | Promise<void>;
+    stopOnError?: boolean;
+  }
+
+  interface ProcessInBatchesResult extends BatchProgress {
+    resumedFrom: any;
+    errors: Array<{ fromId: any; toId: any; error: string }>;
+  }
+
+  /**
+   * Runs a handler over every matching document in _id batches, with bounded concurrency and resumable checkpoints
+   * @param model - Model name (string)
+   * @param filter - MongoDB filter object
+   * @param handler - Batch handler
+   * @param options - Batch size, concurrency, _id direction, checkpoint store, progress callback
+   * @returns Summary with processed, failed and skipped counts in { status, data } format
+   */
+  export function processInBatches<T = any>(
+    model: string,
+    filter: object,
+    handler: BatchHandler<T>,
+    options?: ProcessInBatchesOptions
+  ): Promise<SalesParkContract<ProcessInBatchesResult>>;
+  export function processInBatches<T = any>(options: {
+    model: string;
+    connection?: string;
+    timeoutMs?: number; // no new batch once elapsed (fails with code "TIMEOUT" and err.summary)
+    signal?: AbortSignal;
+    filter?: object;
+    handler: BatchHandler<T>;
+    options?: ProcessInBatchesOptions;
+  }): Promise<SalesParkContract<ProcessInBatchesResult>>;
+
+  // Defaults for repo(): read defaults plus invalidation added to every write
+  interface RepoDefaults {
+    select?: string[] | string;
+    sort?: object;
+    populate?: any;
+    cacheOpts?: CacheOptions;
+    withDeleted?: boolean;
+    /** Named connection (setConnection) used by every method */
+    connection?: string;
+    invalidateKeys?: string | string[];
+    invalidatePrefixes?: string | string[];
+    tags?: string | string[];
+  }
+
+  // Filter on documents of type T (dotted paths and operators are allowed)
+  type RepoFilter<T> = { [K in keyof T]?: any } & { [key: string]: any };
+
+  type RepoWriteArg = string | string[] | WriteArg;
+
+  // Repository bound to one model (see repo()); cacheOpts false disables the default cache for a call
+  interface Repo<T = any> {
+    readonly model: string;
+    /** Mongoose model, resolved on the first call (throws a RepoError when it cannot be resolved) */
+    resolve(): any;
+
+    getOne(
+      filter: RepoFilter<T>,
+      select?: string[] | string,
+      sort?: object,
+      populate?: any,
+      cacheOpts?: CacheOptions | false,
+      queryOpts?: QueryOptions
+    ): Promise<SalesParkContract<T | null>>;
+    getMany(
+      filter?: RepoFilter<T>,
+      select?: string[] | string,
+      sort?: object,
+      populate?: any,
+      cacheOpts?: CacheOptions | false,
+      queryOpts?: QueryOptions
+    ): Promise<SalesParkContract<T[]>>;
+    getManyWithLimit(
+      filter?: RepoFilter<T>,
+      select?: string[] | string,
+      sort?: object,
+      limit?: number,
+      populate?: any,
+      cacheOpts?: CacheOptions | false,
+      queryOpts?: QueryOptions
+    ): Promise<SalesParkContract<T[]>>;
+    getManyWithPagination(
+      filter?: RepoFilter<T>,
+      select?: string[] | string,
+      sort?: object,
+      page?: number,
+      limit?: number,
+      populate?: any,
+      cacheOpts?: CacheOptions | false,
+      countOpts?: PaginationCountOptions,
+      queryOpts?: QueryOptions
+    ): Promise<SalesParkContract<PaginatedResult<T>>>;
+    getManyWithCursor(
+      filter?: RepoFilter<T>,
+      select?: string[] | string,
+      sort?: object,
+      cursor?: string | null,
+      limit?: number,
+      populate?: any,
+      cacheOpts?: CacheOptions | false
+    ): Promise<SalesParkContract<CursorPage<T>>>;
+    aggregate<R = any>(pipeline: object[], cacheOpts?: CacheOptions | false, queryOpts?: QueryOptions): Promise<SalesParkContract<R[]>>;
+    countDocuments(filter?: RepoFilter<T>, cacheOpts?: CacheOptions | false, queryOpts?: QueryOptions): Promise<SalesParkContract<number>>;
+    distinct<K extends keyof T & string>(
+      field: K,
+      filter?: RepoFilter<T>,
+      cacheOpts?: CacheOptions | false,
+      queryOpts?: QueryOptions
+    ): Promise<SalesParkContract<Array<T[K]>>>;
+    distinct(field: string, filter?: RepoFilter<T>, cacheOpts?: CacheOptions | false, queryOpts?: QueryOptions): Promise<SalesParkContract<any[]>>;
+
+    iterateMany(filter?: RepoFilter<T>, select?: string[] | string, sort?: object, populate?: any, streamOpts?: StreamOptions): Promise<SalesParkContract<AsyncGenerator<T, void, undefined>>>;
+    streamMany(filter?: RepoFilter<T>, select?: string[] | string, sort?: object, populate?: any, streamOpts?: StreamOptions): Promise<SalesParkContract<import("stream").Readable>>;
+    iterateAggregate<R = any>(pipeline: object[], streamOpts?: StreamOptions): Promise<SalesParkContract<AsyncGenerator<R, void, undefined>>>;
+    streamAggregate(pipeline: object[], streamOpts?: StreamOptions): Promise<SalesParkContract<import("stream").Readable>>;
+    processInBatches(filter: RepoFilter<T> | undefined, handler: BatchHandler<T>, options?: ProcessInBatchesOptions): Promise<SalesParkContract<ProcessInBatchesResult>>;
+
+    createOne(data: Partial<T>, writeArg?: RepoWriteArg): Promise<SalesParkContract<T>>;
+    createMany(docs: Partial<T> | Partial<T>[], writeArg?: RepoWriteArg): Promise<SalesParkContract<T[]>>;
+    updateOne(filter: RepoFilter<T>, data: object, writeArg?: RepoWriteArg): Promise<SalesParkContract>;
+    updateMany(filter: RepoFilter<T>, data: object, writeArg?: RepoWriteArg): Promise<SalesParkContract>;
+    upsertOne(filter: RepoFilter<T>, data: object, writeArg?: RepoWriteArg): Promise<SalesParkContract>;
+    deleteOne(filter: RepoFilter<T>, writeArg?: RepoWriteArg): Promise<SalesParkContract>;
+    deleteMany(filter: RepoFilter<T>, writeArg?: RepoWriteArg): Promise<SalesParkContract>;
+    restoreOne(filter?: RepoFilter<T>, writeArg?: RepoWriteArg): Promise<SalesParkContract<{ acknowledged: boolean; restoredCount: number }>>;
+    restoreMany(filter?: RepoFilter<T>, writeArg?: RepoWriteArg): Promise<SalesParkContract<{ acknowledged: boolean; restoredCount: number }>>;
+    purgeDeleted(filter?: RepoFilter<T>, writeArg?: RepoWriteArg): Promise<SalesParkContract>;
+    bulkWrite(ops: object[], writeArg?: RepoWriteArg): Promise<SalesParkContract<BulkWriteSummary>>;
+  }
+
+  /**
+   * Returns a repository bound to one model, with default select/sort/populate/cacheOpts and write invalidation
+   * @param model - Model name
+   * @param defaults - Defaults applied to every call (per-call arguments override them)
+   * @returns Repository object; every method keeps the { status, data } contract
+   * @throws RepoError (code "VALIDATION") when model is not a non-empty string (synchronous factory)
+   */
+  export function repo<T = any>(model: string, defaults?: RepoDefaults): Repo<T>;
+
+  export interface RepoUtilsOptions {
+    /** Mongoose instance (models and sessions come from it) */
+    mongoose?: any;
+    /** Mongoose connection (e.g. mongoose.createConnection(uri)); alternative to mongoose */
+    connection?: any;
+    /** Models directory (default: SP_MONGO_REPO_MODELS_DIR or "./models") */
+    modelsDir?: string;
+    /** Logger function or object (e.g., console) */
+    logger?: ((err: any, ctx: string) => void) | any;
+    /** Cache interface (default: a new MemoryCache) */
+    cache?: CacheInterface;
+  }
+
+  /** An isolated instance: the full API with its own configuration, cache and metrics */
+  export type RepoUtils = Omit<typeof import("@salespark/mongo-repo-utils"), "createRepoUtils">;
+
+  /**
+   * Creates an isolated instance of the API (own mongoose/connection, models directory, logger, cache and metrics)
+   * The top-level exports are the default instance
+   * @param options - Instance options
+   * @returns Instance with the full API
+   * @throws Error on invalid options
+   */
+  export function createRepoUtils(options?: RepoUtilsOptions): RepoUtils;
 }
@@ -1,455 +1,1248 @@
 const path = require("path");
-let mongoose = require("mongoose"); // Default mongoose instance
 const fs = require("fs"); //required for fs.promises
-const memCache = require("./memory-cache");
+const { Readable } = require("stream");
+const { AsyncLocalStorage } = require("async_hooks");
+const { MemoryCache, createMemoryCache } = require("./memory-cache");
+const { RedisCache } = require("./redis-cache");
+const { TieredCache } = require("./tiered-cache");
+const { MemoryInvalidationBus } = require("./invalidation-bus");
+const { RepoError, isMaxTimeError } = require("./repo-error");
 
 // Define default time-to-live for cache in milliseconds
 const DEFAULT_TTL = 60_000;
 
-// ======================================================
-// ##: MONGOOSE configuration
-// Allow injecting a custom mongoose instance to share with the host application
-// ======================================================
-
 /*******************************************************
- * ##: Set Mongoose Instance
- * Set the mongoose instance to use (important for sharing models with host app)
- * @param {Object} mongooseInstance - The mongoose instance from the host application
+ * ##: Create Repo Utils
+ * Factory for an isolated instance of the whole API: its own mongoose
+ * instance (or connection), models directory, logger, cache, metrics,
+ * in-flight map, tag index and configuration (auto-invalidation, cloning,
+ * soft delete, tenancy, invalidation bus).
+ * The module's top-level exports are the default instance.
+ * @param {Object} [options]
+ *   - mongoose: mongoose instance (models and sessions come from it)
+ *   - connection: mongoose connection (e.g. mongoose.createConnection(uri)), alternative to mongoose
+ *   - modelsDir: models directory (default: SP_MONGO_REPO_MODELS_DIR or "./models")
+ *   - logger: logger function or object
+ *   - cache: cache interface { get, put, del, keys } (default: a new MemoryCache)
+ * @returns {Object} - Instance with the full API
+ * @throws {Error} - On invalid options
  * History:
- * 14-10-2025: Created to fix model sharing issues
+ * 18-10-2026: Created
  *******************************************************/
-const setMongoose = (mongooseInstance) => {
-  if (!mongooseInstance || typeof mongooseInstance !== "object") {
-    return fail(new Error("Mongoose instance must be provided"), "setMongoose");
-  }
-  mongoose = mongooseInstance;
-  return ok({ message: "Mongoose instance set successfully" });
-};
+const createRepoUtils = (options = {}) => {
+  let mongoose = require("mongoose"); // Default mongoose instance (or connection)
+
+  // Invalid-argument error (RepoError code "VALIDATION")
+  const _validationError = (message) => new RepoError(message, { code: "VALIDATION" });
+
+  // ======================================================
+  // ##: MONGOOSE configuration
+  // Allow injecting a custom mongoose instance to share with the host application
+  // ======================================================
+
+  /*******************************************************
+   * ##: Set Mongoose Instance
+   * Set the mongoose instance to use (important for sharing models with host app)
+   * A connection (mongoose.createConnection()) is accepted too: models, sessions and
+   * transactions then use that connection.
+   * @param {Object} mongooseInstance - The mongoose instance (or connection) from the host application
+   * History:
+   * 14-10-2025: Created to fix model sharing issues
+   * 18-10-2026: Accept a mongoose connection
+   *******************************************************/
+  const setMongoose = (mongooseInstance) => {
+    if (!mongooseInstance || typeof mongooseInstance !== "object") {
+      return fail(_validationError("Mongoose instance must be provided"), "setMongoose");
+    }
+    mongoose = mongooseInstance;
+    return ok({ message: "Mongoose instance set successfully" });
+  };
+
+  // Model registered under a name. On a connection, models that model files registered on the
+  // base mongoose (mongoose.model(...)) are bound to the connection with the same schema
+  const _registeredModel = (name, registry = mongoose) => {
+    if (registry.models[name]) return registry.models[name];
+    const base = registry.base;
+    if (base && base !== registry && base.models?.[name] && typeof registry.model === "function") {
+      return registry.model(name, base.models[name].schema);
+    }
+    return undefined;
+  };
+
+  // Names of the models reachable through an instance or connection (connection models + base models)
+  const _modelNames = (registry = mongoose) => Array.from(new Set([...Object.keys(registry.models), ...Object.keys(registry.base?.models || {})]));
+
+  // Named connections (e.g. a reporting replica or a second database), selected per call with { connection: name }
+  const CONNECTIONS = new Map(); // Key: connection name, Value: mongoose connection
+
+  /*******************************************************
+   * ##: Set Connection
+   * Registers a named connection. Helpers called with { connection: name } resolve
+   * their models from connection.models; cache keys and metrics op names get the name.
+   * Pass null to remove the connection.
+   * @param {String} name - Connection name
+   * @param {Object|null} connection - Mongoose connection (mongoose.createConnection())
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const setConnection = (name, connection) => {
+    if (typeof name !== "string" || !name) return fail(_validationError("Connection name must be a non-empty string"), "setConnection");
+    if (connection === null || connection === undefined) {
+      CONNECTIONS.delete(name);
+      return ok({ message: `Connection "${name}" removed` });
+    }
+    if (typeof connection !== "object" || !connection.models || typeof connection.model !== "function") {
+      return fail(_validationError("Connection must be a mongoose connection (mongoose.createConnection())"), "setConnection");
+    }
+    CONNECTIONS.set(name, connection);
+    return ok({ message: `Connection "${name}" set` });
+  };
+
+  // Instance or connection serving a call: the named connection, or the configured mongoose instance
+  const _registry = (connection) => {
+    if (connection === undefined || connection === null) return mongoose;
+    const registry = typeof connection === "string" ? CONNECTIONS.get(connection) : undefined;
+    if (!registry) throw _validationError(`Connection "${connection}" is not registered (use setConnection())`);
+    return registry;
+  };
+
+  // Metrics op name: "getMany:users", or "getMany:users@reporting" on a named connection
+  const _opName = (fnName, model, connection) => (connection ? `${fnName}:${model}@${connection}` : `${fnName}:${model}`);
+
+  // ======================================================
+  // ##: MODELS_DIR configuration
+  // Priority:
+  // 1. Value set by setModelsDir()
+  // 2. Environment variable SP_MONGO_REPO_MODELS_DIR
+  // 3. Throw error if none defined
+  // ======================================================
+  let MODELS_DIR = null;
+
+  /*******************************************************
+   * ##: Load all models from models directory (recursively)
+   * Automatically loads all model files from the configured models directory
+   * and all its subdirectories recursively.
+   * This is useful to call at application startup to ensure all models are
+   * registered before any populate operations.
+   * @returns {Object} - Result with status and loaded models info
+   * History:
+   * 12-10-2025: Created
+   * 16-10-2025: Enhanced to support recursive directory scanning
+   *******************************************************/
+  const loadModels = () => {
+    try {
+      const dir = getModelsDir();
+      const fullPath = path.isAbsolute(dir) ? dir : path.join(getAppRoot(), dir);
+
+      // Check if models directory exists
+      if (!fs.existsSync(fullPath)) {
+        return fail(_validationError(`Models directory not found: ${fullPath}`), "loadModels");
+      }
 
-// ======================================================
-// ##: MODELS_DIR configuration
-// Priority:
-// 1. Value set by setModelsDir()
-// 2. Environment variable SP_MONGO_REPO_MODELS_DIR
-// 3. Throw error if none defined
-// ======================================================
-let MODELS_DIR = null;
+      if (!fs.lstatSync(fullPath).isDirectory()) {
+        return fail(_validationError(`Models path is not a directory: ${fullPath}`), "loadModels");
+      }
 
-/*******************************************************
- * ##: Load all models from models directory (recursively)
- * Automatically loads all model files from the configured models directory
- * and all its subdirectories recursively.
- * This is useful to call at application startup to ensure all models are
- * registered before any populate operations.
- * @returns {Object} - Result with status and loaded models info
- * History:
- * 12-10-2025: Created
- * 16-10-2025: Enhanced to support recursive directory scanning
- *******************************************************/
-const loadModels = () => {
-  try {
-    const dir = getModelsDir();
-    const fullPath = path.isAbsolute(dir) ? dir : path.join(getAppRoot(), dir);
-
-    // Check if models directory exists
-    if (!fs.existsSync(fullPath)) {
-      return fail(new Error(`Models directory not found: ${fullPath}`), "loadModels");
-    }
-
-    if (!fs.lstatSync(fullPath).isDirectory()) {
-      return fail(new Error(`Models path is not a directory: ${fullPath}`), "loadModels");
-    }
-
-    // Helper function to recursively find all model files
-    const findModelFiles = (dirPath, relativePath = "") => {
-      const files = [];
-      const items = fs.readdirSync(dirPath);
-
-      for (const item of items) {
-        const itemPath = path.join(dirPath, item);
-        const itemRelativePath = path.join(relativePath, item);
-        const stat = fs.lstatSync(itemPath);
-
-        if (stat.isDirectory()) {
-          // Recursively scan subdirectories
-          files.push(...findModelFiles(itemPath, itemRelativePath));
-        } else if (stat.isFile() && (item.endsWith(".js") || item.endsWith(".cjs") || item.endsWith(".mjs"))) {
-          // Add model files
-          files.push({
-            absolutePath: itemPath,
-            relativePath: itemRelativePath,
-            filename: item,
-          });
+      // Helper function to recursively find all model files
+      const findModelFiles = (dirPath, relativePath = "") => {
+        const files = [];
+        const items = fs.readdirSync(dirPath);
+
+        for (const item of items) {
+          const itemPath = path.join(dirPath, item);
+          const itemRelativePath = path.join(relativePath, item);
+          const stat = fs.lstatSync(itemPath);
+
+          if (stat.isDirectory()) {
+            // Recursively scan subdirectories
+            files.push(...findModelFiles(itemPath, itemRelativePath));
+          } else if (stat.isFile() && (item.endsWith(".js") || item.endsWith(".cjs") || item.endsWith(".mjs"))) {
+            // Add model files
+            files.push({
+              absolutePath: itemPath,
+              relativePath: itemRelativePath,
+              filename: item,
+            });
+          }
+        }
+
+        return files;
+      };
+
+      const modelFiles = findModelFiles(fullPath);
+      const loadedFiles = [];
+      const beforeModels = _modelNames();
+      const beforeCount = beforeModels.length;
+
+      modelFiles.forEach((fileInfo) => {
+        try {
+          require(fileInfo.absolutePath);
+          loadedFiles.push(fileInfo.relativePath);
+        } catch (fileError) {
+          logger.error(`Error loading model file ${fileInfo.relativePath}:`, fileError);
+          // Continue loading other files even if one fails
+        }
+      });
+
+      const afterModels = _modelNames();
+      const afterCount = afterModels.length;
+      const newModelsCount = afterCount - beforeCount;
+
+      // Get the newly registered model names (not filenames)
+      const newlyRegisteredModels = afterModels.filter((model) => !beforeModels.includes(model));
+
+      const result = {
+        directory: fullPath,
+        filesProcessed: modelFiles.length,
+        filesLoaded: loadedFiles.length,
+        modelsRegistered: newModelsCount,
+        totalModels: afterCount,
+        loadedFiles: loadedFiles,
+        registeredModels: newlyRegisteredModels,
+        allModels: afterModels,
+      };
+
+      return ok(result);
+
+      // Error handling
+    } catch (error) {
+      return fail(error, "loadModels");
+    }
+  };
+
+  /*******************************************************
+   * ##: Set Models Directory
+   * Set the models directory
+   * @param {String} dir - The models directory
+   * History:
+   * 16-08-2025: Created
+   * 22-08-2025: Updated (Add validation)
+   *******************************************************/
+  const setModelsDir = (dir) => {
+    if (typeof dir !== "string") return fail(_validationError("Directory must be a string"), "setModelsDir");
+    MODELS_DIR = dir;
+    return ok({ message: "Models directory set" });
+  };
+
+  /*******************************************************
+   * ##: Get Models Directory
+   * Get the current models directory
+   * History:
+   * 16-08-2025: Created
+   * 20-08-2025: Updated (Add fallback to default models directory)
+   *******************************************************/
+  const getModelsDir = () => {
+    if (MODELS_DIR) return MODELS_DIR;
+    if (process.env.SP_MONGO_REPO_MODELS_DIR) return process.env.SP_MONGO_REPO_MODELS_DIR;
+    return "./models"; // Default models directory
+  };
+
+  // Define noop logger
+  // Define noop logger that supports both direct calls and method calls
+  const noopLogger = () => {};
+  noopLogger.info = () => {};
+  noopLogger.error = () => {};
+  noopLogger.warn = () => {};
+  noopLogger.log = () => {};
+  noopLogger.debug = () => {};
+  let logger = noopLogger;
+
+  /*******************************************************
+   * ##: Logger injection
+   * Set the logger function.
+   * Accepts any function. If not a function, falls back to noop.
+   * History:
+   * 16-08-2025: Created
+   * 20-08-2025: Updated
+   * 22-08-2025: Updated (Add validation)
+   * 12-10-2025: Enhanced to support both function calls and object methods
+   *******************************************************/
+  const setLogger = (_logger) => {
+    if (typeof _logger === "function") {
+      logger = _logger;
+      // If it's a simple function, add method support for common log levels
+      if (!logger.info) {
+        logger.info = _logger;
+        logger.error = _logger;
+        logger.warn = _logger;
+        logger.log = _logger;
+        logger.debug = _logger;
+      }
+    } else if (_logger && typeof _logger === "object") {
+      // If it's an object (like console), use it directly
+      logger = _logger;
+    } else {
+      logger = noopLogger;
+    }
+    return ok({ message: "Logger set" });
+  };
+  /*******************************************************
+   * ##: Cache injection
+   * Default: MemoryCache created with DEFAULT_CACHE_OPTIONS. Users can inject any cache interface
+   * with { get(key), put(key, val, ttlMs), del(key), keys() }.
+   * e.g., setCache(memCacheInstance)
+   * History:
+   * 16-08-2025: Created
+   * 22-08-2025: Updated (Add validation)
+   * 18-10-2026: Default cache built by createMemoryCache (configurable via setDefaultCacheOptions)
+   *******************************************************/
+  const noopCache = {
+    get: () => undefined,
+    put: () => false, // Return false to indicate no-op (no caching occurred)
+    del: () => false, // Return false to indicate no deletion occurred
+    keys: () => [],
+  };
+
+  // Default cache settings (statsIntervalMs: 0 → no periodic stats reporting)
+  let DEFAULT_CACHE_OPTIONS = { maxEntries: 5000, defaultTTL: DEFAULT_TTL, maxBytes: Infinity, maxEntryBytes: Infinity, statsIntervalMs: 0 };
+
+  // Build the default MemoryCache; stats (if enabled) are reported through the injected logger
+  const _createDefaultCache = () =>
+    createMemoryCache({
+      ...DEFAULT_CACHE_OPTIONS,
+      logger: (message, stats) => {
+        if (logger && typeof logger.info === "function") logger.info(message, stats);
+      },
+    });
+
+  let defaultCache = _createDefaultCache() || noopCache;
+  let cache = defaultCache;
+
+  // Tag index used when the cache has no native tag support ({ setTags(key, tags), keysByTag(tag) })
+  // Key: tag, Value: Map of cache key -> expiresAt (ms)
+  const TAG_INDEX = new Map();
+
+  /*******************************************************
+   * ##: Set Default Cache Options
+   * Rebuilds the default MemoryCache with new settings (the previous default
+   * cache is disposed). If the default cache is in use, it is replaced.
+   * @param {Object} options - { maxEntries (> 0), defaultTTL, maxBytes, maxEntryBytes, statsIntervalMs }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: maxEntries must be greater than 0
+   *******************************************************/
+  const setDefaultCacheOptions = (options) => {
+    if (!options || typeof options !== "object" || Array.isArray(options)) {
+      return fail(_validationError("Default cache options must be an object"), "setDefaultCacheOptions");
+    }
+
+    try {
+      const allowed = ["maxEntries", "defaultTTL", "maxBytes", "maxEntryBytes", "statsIntervalMs"];
+      const next = { ...DEFAULT_CACHE_OPTIONS };
+      for (const k of allowed) {
+        if (options[k] === undefined) continue;
+        if (typeof options[k] !== "number" || Number.isNaN(options[k]) || options[k] < 0) {
+          return fail(_validationError(`Default cache option "${k}" must be a non-negative number`), "setDefaultCacheOptions");
+        }
+        if (k === "maxEntries" && options[k] <= 0) {
+          return fail(_validationError(`Default cache option "maxEntries" must be greater than 0`), "setDefaultCacheOptions");
         }
+        next[k] = options[k];
       }
 
-      return files;
+      const previous = defaultCache;
+      DEFAULT_CACHE_OPTIONS = next;
+      defaultCache = _createDefaultCache();
+      if (cache === previous) cache = defaultCache;
+      if (previous && typeof previous.dispose === "function") previous.dispose();
+
+      return ok({ message: "Default cache options set", options: { ...DEFAULT_CACHE_OPTIONS } });
+
+      // Error handling
+    } catch (err) {
+      return fail(err, "setDefaultCacheOptions");
+    }
+  };
+
+  /*******************************************************
+   * ##: Set Cache
+   * Set the cache interface
+   * @param {Object} _cache - The cache interface
+   * History:
+   * 16-08-2025: Created
+   * 22-08-2025: Updated (Add validation)
+   *******************************************************/
+  const setCache = (_cache) => {
+    // Check all required methods (get, put, del, keys)
+    if (_cache && typeof _cache.get === "function" && typeof _cache.put === "function" && typeof _cache.del === "function" && typeof _cache.keys === "function") {
+      cache = _cache;
+      TAG_INDEX.clear(); // Tags indexed for the previous cache no longer apply
+      return ok({ message: "Cache interface set successfully" }); // Follow contract with success return
+    } else {
+      cache = defaultCache;
+      TAG_INDEX.clear();
+      return fail(_validationError("Invalid cache interface: must have get, put, del, and keys methods"), "setCache");
+    }
+  };
+
+  // Model-scoped automatic cache invalidation on writes (opt-in)
+  let AUTO_INVALIDATE = false;
+
+  // Read helpers whose auto-built keys ("fnName:model:hash") belong to a model
+  const CACHED_READ_OPS = ["getOne", "getMany", "getManyWithLimit", "getManyWithPagination", "getManyWithCursor", "aggregate", "countDocuments", "distinct"];
+
+  /*******************************************************
+   * ##: Set Auto Invalidation
+   * When enabled, every write (createOne, createMany, updateOne, updateMany,
+   * upsertOne, deleteOne, deleteMany) drops all cached reads of its model.
+   * Can be overridden per call with writeArg.autoInvalidate.
+   * @param {Boolean} enabled - Enable or disable auto-invalidation
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const setAutoInvalidation = (enabled) => {
+    if (typeof enabled !== "boolean") return fail(_validationError("Auto invalidation flag must be a boolean"), "setAutoInvalidation");
+    AUTO_INVALIDATE = enabled;
+    return ok({ message: `Auto invalidation ${enabled ? "enabled" : "disabled"}` });
+  };
+
+  // ======================================================
+  // ##: SOFT DELETE configuration
+  // Global and/or per-model: deletes set a marker field (deletedAt) and reads skip marked documents
+  // ======================================================
+  let SOFT_DELETE_GLOBAL = null; // { field } | null
+  const SOFT_DELETE_MODELS = new Map(); // Key: pluralized model name, Value: { field } | false (opt-out)
+
+  // Aggregation stages that must stay first in a pipeline (the soft-delete $match goes right after them)
+  const LEADING_STAGES = ["$geoNear", "$search", "$searchMeta", "$vectorSearch", "$documents", "$collStats", "$indexStats", "$changeStream"];
+
+  /*******************************************************
+   * ##: Set Soft Delete
+   * setSoftDelete({ field }) / setSoftDelete(true) enables it for every model,
+   * setSoftDelete("users", { field }) for one model, setSoftDelete("users", false)
+   * opts a model out and setSoftDelete(false) clears the global setting.
+   * @param {String|Object|Boolean} modelOrConfig - Model name, or global config
+   * @param {Object|Boolean} [config] - Model config { field = "deletedAt" } | true | false
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const setSoftDelete = (modelOrConfig, config) => {
+    const normalize = (c) => {
+      if (c === false || c === null) return false;
+      if (c === true || c === undefined) return { field: "deletedAt" };
+      if (typeof c === "object" && (c.field === undefined || (typeof c.field === "string" && c.field))) return { field: c.field ?? "deletedAt" };
+      return undefined;
     };
 
-    const modelFiles = findModelFiles(fullPath);
-    const loadedFiles = [];
-    const beforeModels = Object.keys(mongoose.models);
-    const beforeCount = beforeModels.length;
+    if (typeof modelOrConfig === "string" && modelOrConfig) {
+      const resolved = normalize(config);
+      if (resolved === undefined) return fail(_validationError("Soft delete config must be a boolean or { field: string }"), "setSoftDelete");
+      SOFT_DELETE_MODELS.set(pluralizeName(modelOrConfig), resolved);
+      return ok({ message: `Soft delete ${resolved ? `enabled (${resolved.field})` : "disabled"} for ${modelOrConfig}` });
+    }
 
-    modelFiles.forEach((fileInfo) => {
-      try {
-        require(fileInfo.absolutePath);
-        loadedFiles.push(fileInfo.relativePath);
-      } catch (fileError) {
-        logger.error(`Error loading model file ${fileInfo.relativePath}:`, fileError);
-        // Continue loading other files even if one fails
+    const resolved = normalize(modelOrConfig);
+    if (resolved === undefined) return fail(_validationError("Soft delete config must be a boolean or { field: string }"), "setSoftDelete");
+    SOFT_DELETE_GLOBAL = resolved || null;
+    return ok({ message: `Soft delete ${resolved ? `enabled (${resolved.field})` : "disabled"} globally` });
+  };
+
+  // Soft-delete config for a model (per-model setting wins over the global one), or null
+  const _softDelete = (model) => {
+    if (typeof model !== "string") return null;
+    const perModel = SOFT_DELETE_MODELS.get(pluralizeName(model));
+    if (perModel !== undefined) return perModel || null;
+    return SOFT_DELETE_GLOBAL;
+  };
+
+  // Adds { [field]: null } to a read/update filter, unless withDeleted or the filter already targets the field
+  const _softDeleteFilter = (model, filter, withDeleted) => {
+    const sd = _softDelete(model);
+    if (!sd || withDeleted) return filter;
+    const base = filter && typeof filter === "object" ? filter : {};
+    if (sd.field in base) return filter;
+    return { ...base, [sd.field]: null };
+  };
+
+  // Inserts a { $match: { [field]: null } } stage at the head of the pipeline (after stages that must stay first)
+  const _softDeletePipeline = (model, pipeline, withDeleted) => {
+    const sd = _softDelete(model);
+    if (!sd || withDeleted) return pipeline;
+    let at = 0;
+    while (at < pipeline.length && LEADING_STAGES.some((stage) => stage in (pipeline[at] || {}))) at++;
+    return [...pipeline.slice(0, at), { $match: { [sd.field]: null } }, ...pipeline.slice(at)];
+  };
+
+  // Scopes bulk update/replace filters to live documents, so an upsert never revives a soft-deleted one,
+  // and turns deleteOne/deleteMany into updates setting the marker (unless hardDelete)
+  const _softDeleteBulkOps = (model, ops, withDeleted, hardDelete) => {
+    const sd = _softDelete(model);
+    if (!sd) return ops;
+    return ops.map((op) => {
+      const [type] = Object.keys(op || {});
+      if ((type === "deleteOne" || type === "deleteMany") && !hardDelete) {
+        const { filter, ...rest } = op[type];
+        const update = { $set: { [sd.field]: new Date() } };
+        return { [type === "deleteOne" ? "updateOne" : "updateMany"]: { ...rest, filter: _softDeleteFilter(model, filter, false), update } };
       }
+      if (withDeleted || !["updateOne", "updateMany", "replaceOne"].includes(type)) return op;
+      return { [type]: { ...op[type], filter: _softDeleteFilter(model, op[type].filter, false) } };
     });
-
-    const afterModels = Object.keys(mongoose.models);
-    const afterCount = afterModels.length;
-    const newModelsCount = afterCount - beforeCount;
-
-    // Get the newly registered model names (not filenames)
-    const newlyRegisteredModels = afterModels.filter((model) => !beforeModels.includes(model));
-
-    const result = {
-      directory: fullPath,
-      filesProcessed: modelFiles.length,
-      filesLoaded: loadedFiles.length,
-      modelsRegistered: newModelsCount,
-      totalModels: afterCount,
-      loadedFiles: loadedFiles,
-      registeredModels: newlyRegisteredModels,
-      allModels: afterModels,
+  };
+
+  // ======================================================
+  // ##: MULTI-TENANCY configuration
+  // Tenant context (AsyncLocalStorage) set with withTenant(); scoped models get the tenant
+  // condition merged into filters/pipelines, stamped onto created documents and added to cache keys
+  // ======================================================
+  const TENANT_CONTEXT = new AsyncLocalStorage(); // Store: { tenantId } | { unscoped: true }
+  let TENANCY = null; // { field, strict, models: Set | null, exclude: Set } | null
+
+  /*******************************************************
+   * ##: Set Tenancy
+   * @param {Object|Boolean} config - { field = "tenantId", strict = false, models, exclude } | false (disable)
+   *   - models: only these models are scoped (default: every model)
+   *   - exclude: models never scoped (shared collections)
+   *   - strict: refuse operations on scoped models without a tenant context
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const setTenancy = (config) => {
+    if (config === false || config === null) {
+      TENANCY = null;
+      return ok({ message: "Tenancy disabled" });
+    }
+    if (typeof config !== "object" || (config.field !== undefined && (typeof config.field !== "string" || !config.field))) {
+      return fail(_validationError("Tenancy config must be false or { field?: string, strict?: boolean, models?: string[], exclude?: string[] }"), "setTenancy");
+    }
+    const toSet = (v) => new Set([].concat(v ?? []).map((m) => pluralizeName(String(m))));
+    TENANCY = {
+      field: config.field ?? "tenantId",
+      strict: config.strict === true,
+      models: config.models ? toSet(config.models) : null,
+      exclude: toSet(config.exclude),
+    };
+    return ok({ message: `Tenancy enabled (${TENANCY.field}${TENANCY.strict ? ", strict" : ""})` });
+  };
+
+  /*******************************************************
+   * ##: Run with tenant
+   * Runs fn with a tenant context: every helper called inside it (awaited or not) is scoped to tenantId
+   * @param {String|Object} tenantId - Tenant identifier
+   * @param {Function} fn - async () => any
+   * @returns {Object} - { status, data } (fn results that already follow the contract are returned as-is)
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const withTenant = async (tenantId, fn) => {
+    if (tenantId === undefined || tenantId === null || tenantId === "") {
+      return fail(new Error("Tenant id is required"), "withTenant/validation");
+    }
+    if (typeof fn !== "function") return fail(new Error("withTenant: fn must be a function"), "withTenant/validation");
+    try {
+      const res = await TENANT_CONTEXT.run({ tenantId }, fn);
+      return res && typeof res.status === "boolean" && "data" in res ? res : ok(res);
+    } catch (err) {
+      return fail(err, "withTenant");
+    }
+  };
+
+  /*******************************************************
+   * ##: Run without tenant
+   * Explicitly unscoped context (cross-tenant jobs, migrations); allowed in strict mode
+   * @param {Function} fn - async () => any
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const withoutTenant = async (fn) => {
+    if (typeof fn !== "function") return fail(new Error("withoutTenant: fn must be a function"), "withoutTenant/validation");
+    try {
+      const res = await TENANT_CONTEXT.run({ unscoped: true }, fn);
+      return res && typeof res.status === "boolean" && "data" in res ? res : ok(res);
+    } catch (err) {
+      return fail(err, "withoutTenant");
+    }
+  };
+
+  /*******************************************************
+   * ##: Tenant scope for a model
+   * @returns {Object|null} - { field, tenantId } when the call must be scoped, null when it must not
+   * @throws {Error} - In strict mode, when a scoped model is used without a tenant context
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _tenantScope = (model) => {
+    if (!TENANCY || typeof model !== "string") return null;
+    const name = pluralizeName(model);
+    if (TENANCY.exclude.has(name) || (TENANCY.models && !TENANCY.models.has(name))) return null;
+
+    const store = TENANT_CONTEXT.getStore();
+    if (store?.unscoped) return null;
+    if (store && store.tenantId !== undefined) return { field: TENANCY.field, tenantId: store.tenantId };
+    if (TENANCY.strict) {
+      const err = new Error(`Tenant context required for model "${model}" (strict tenancy): use withTenant() or withoutTenant()`);
+      err.code = "TENANT_REQUIRED";
+      throw err;
+    }
+    return null;
+  };
+
+  // Forces the tenant condition into a filter (overrides any tenant field the caller passed)
+  const _tenantFilter = (model, filter) => {
+    const scope = _tenantScope(model);
+    if (!scope) return filter;
+    return { ...(filter && typeof filter === "object" ? filter : {}), [scope.field]: scope.tenantId };
+  };
+
+  // Inserts a { $match: { [field]: tenantId } } stage at the head of the pipeline (after stages that must stay first)
+  const _tenantPipeline = (model, pipeline) => {
+    const scope = _tenantScope(model);
+    if (!scope) return pipeline;
+    let at = 0;
+    while (at < pipeline.length && LEADING_STAGES.some((stage) => stage in (pipeline[at] || {}))) at++;
+    return [...pipeline.slice(0, at), { $match: { [scope.field]: scope.tenantId } }, ...pipeline.slice(at)];
+  };
+
+  // Stamps the tenant onto a new document (refuses documents that belong to another tenant)
+  const _tenantDoc = (model, doc) => {
+    const scope = _tenantScope(model);
+    if (!scope || !doc || typeof doc !== "object") return doc;
+    const current = doc[scope.field];
+    if (current !== undefined && current !== null && String(current) !== String(scope.tenantId)) {
+      const err = new Error(`Document ${scope.field} does not match the current tenant`);
+      err.code = "TENANT_MISMATCH";
+      throw err;
+    }
+    return { ...doc, [scope.field]: scope.tenantId };
+  };
+
+  /*******************************************************
+   * ##: Tenant guard for update documents
+   * The tenant field may only be set to the current tenant: $set/$setOnInsert (and plain
+   * fields, which Mongoose treats as $set) must keep the same value; any other operator
+   * on the field ($unset, $rename, $inc, ...) and pipeline stages that may rewrite it
+   * ($replaceRoot/$replaceWith) are refused.
+   * @returns {Object|Array} - The update, unchanged
+   * @throws {Error} - code TENANT_MISMATCH
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _tenantUpdate = (model, update) => {
+    const scope = _tenantScope(model);
+    if (!scope || !update || typeof update !== "object") return update;
+
+    const { field, tenantId } = scope;
+    const hits = (path) => path === field || String(path).startsWith(`${field}.`);
+    const mismatch = (detail) => {
+      const err = new Error(`Update cannot change ${field} (${detail})`);
+      err.code = "TENANT_MISMATCH";
+      return err;
+    };
+    const checkSet = (fields, op) => {
+      for (const [path, value] of Object.entries(fields || {})) {
+        if (!hits(path)) continue;
+        if (path !== field || value === undefined || value === null || String(value) !== String(tenantId)) throw mismatch(op);
+      }
     };
 
-    return ok(result);
+    // Aggregation pipeline update
+    if (Array.isArray(update)) {
+      for (const stage of update) {
+        const [op] = Object.keys(stage || {});
+        if (op === "$set" || op === "$addFields") checkSet(stage[op], op);
+        else if (op === "$unset" && [].concat(stage[op]).some(hits)) throw mismatch(op);
+        else if (op === "$replaceRoot" || op === "$replaceWith" || op === "$project") throw mismatch(op);
+      }
+      return update;
+    }
 
-    // Error handling
-  } catch (error) {
-    return fail(error, "loadModels");
-  }
-};
+    const plain = {};
+    for (const [key, value] of Object.entries(update)) {
+      if (!key.startsWith("$")) plain[key] = value;
+      else if (key === "$set" || key === "$setOnInsert") checkSet(value, key);
+      else if (key === "$rename" && Object.entries(value || {}).some(([from, to]) => hits(from) || hits(to))) throw mismatch(key);
+      else if (value && typeof value === "object" && Object.keys(value).some(hits)) throw mismatch(key);
+    }
+    checkSet(plain, "$set");
+    return update;
+  };
+
+  // Scopes bulkWrite operations: filters get the tenant condition, inserted/replacement documents are stamped,
+  // update documents go through _tenantUpdate
+  const _tenantBulkOps = (model, ops) => {
+    if (!_tenantScope(model)) return ops;
+    return ops.map((op) => {
+      const [type] = Object.keys(op || {});
+      const spec = op[type] || {};
+      if (type === "insertOne") return { insertOne: { ...spec, document: _tenantDoc(model, spec.document) } };
+      if (type === "replaceOne") {
+        return { replaceOne: { ...spec, filter: _tenantFilter(model, spec.filter), replacement: _tenantDoc(model, spec.replacement) } };
+      }
+      if (type === "updateOne" || type === "updateMany") {
+        return { [type]: { ...spec, filter: _tenantFilter(model, spec.filter), update: _tenantUpdate(model, spec.update) } };
+      }
+      if (spec.filter !== undefined || ["deleteOne", "deleteMany"].includes(type)) {
+        return { [type]: { ...spec, filter: _tenantFilter(model, spec.filter) } };
+      }
+      return op;
+    });
+  };
+
+  // ======================================================
+  // ##: QUERY OPTIONS configuration
+  // Read routing and query hints for the read helpers: global and per-model defaults,
+  // overridden per call with queryOpts
+  // ======================================================
+  const QUERY_OPTION_KEYS = ["readPreference", "readConcern", "maxTimeMS", "hint", "collation", "comment"];
+  const READ_PREFERENCES = ["primary", "primaryPreferred", "secondary", "secondaryPreferred", "nearest"];
+  let QUERY_DEFAULTS = null; // Global defaults | null
+  const QUERY_DEFAULTS_MODELS = new Map(); // Key: pluralized model name, Value: defaults
+
+  /*******************************************************
+   * ##: Normalize query options
+   * Validates the keys and values; readConcern "majority" becomes { level: "majority" }
+   * @param {Object} opts - { readPreference, readConcern, maxTimeMS, hint, collation, comment }
+   * @returns {Object} - Normalized options (null/undefined values are dropped)
+   * @throws {Error} - On unknown keys or invalid values
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _normalizeQueryOpts = (opts) => {
+    if (opts === undefined || opts === null) return {};
+    if (typeof opts !== "object" || Array.isArray(opts)) throw _validationError("Query options must be an object");
+
+    const out = {};
+    for (const [k, v] of Object.entries(opts)) {
+      if (!QUERY_OPTION_KEYS.includes(k)) throw _validationError(`Unknown query option "${k}" (allowed: ${QUERY_OPTION_KEYS.join(", ")})`);
+      if (v === undefined || v === null) continue;
+
+      if (k === "readPreference") {
+        const mode = typeof v === "string" ? v : v?.mode;
+        if (!READ_PREFERENCES.includes(mode)) throw _validationError(`readPreference must be one of: ${READ_PREFERENCES.join(", ")}`);
+        out.readPreference = v;
+      } else if (k === "readConcern") {
+        const level = typeof v === "string" ? v : v?.level;
+        if (typeof level !== "string" || !level) throw _validationError('readConcern must be a level ("local", "majority", ...) or { level }');
+        out.readConcern = { level };
+      } else if (k === "maxTimeMS") {
+        if (typeof v !== "number" || !Number.isFinite(v) || v < 0) throw _validationError("maxTimeMS must be a non-negative number");
+        out.maxTimeMS = v;
+      } else if (k === "hint") {
+        if (typeof v !== "string" && typeof v !== "object") throw _validationError("hint must be an index name or an index specification");
+        out.hint = v;
+      } else if (k === "collation") {
+        if (typeof v !== "object" || typeof v.locale !== "string") throw _validationError("collation must be an object with a locale");
+        out.collation = v;
+      } else {
+        out.comment = v;
+      }
+    }
+    return out;
+  };
+
+  /*******************************************************
+   * ##: Set Default Query Options
+   * setDefaultQueryOptions({ ... }) sets the global defaults, setDefaultQueryOptions("reports", { ... })
+   * the defaults of one model; null clears them. Per-model defaults are merged over the global ones.
+   * @param {String|Object|null} modelOrOptions - Model name, or global options
+   * @param {Object|null} [options] - { readPreference, readConcern, maxTimeMS, hint, collation, comment }
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const setDefaultQueryOptions = (modelOrOptions, options) => {
+    try {
+      if (typeof modelOrOptions === "string" && modelOrOptions) {
+        if (options === null || options === undefined) {
+          QUERY_DEFAULTS_MODELS.delete(pluralizeName(modelOrOptions));
+          return ok({ message: `Default query options cleared for ${modelOrOptions}` });
+        }
+        const normalized = _normalizeQueryOpts(options);
+        QUERY_DEFAULTS_MODELS.set(pluralizeName(modelOrOptions), normalized);
+        return ok({ message: `Default query options set for ${modelOrOptions}`, options: normalized });
+      }
 
-/*******************************************************
- * ##: Set Models Directory
- * Set the models directory
- * @param {String} dir - The models directory
- * History:
- * 16-08-2025: Created
- * 22-08-2025: Updated (Add validation)
- *******************************************************/
-const setModelsDir = (dir) => {
-  if (typeof dir !== "string") return fail(new Error("Directory must be a string"), "setModelsDir");
-  MODELS_DIR = dir;
-  return ok({ message: "Models directory set" });
-};
+      if (modelOrOptions === null || modelOrOptions === undefined) {
+        QUERY_DEFAULTS = null;
+        return ok({ message: "Default query options cleared" });
+      }
+      const normalized = _normalizeQueryOpts(modelOrOptions);
+      QUERY_DEFAULTS = normalized;
+      return ok({ message: "Default query options set", options: normalized });
 
-/*******************************************************
- * ##: Get Models Directory
- * Get the current models directory
- * History:
- * 16-08-2025: Created
- * 20-08-2025: Updated (Add fallback to default models directory)
- *******************************************************/
-const getModelsDir = () => {
-  if (MODELS_DIR) return MODELS_DIR;
-  if (process.env.SP_MONGO_REPO_MODELS_DIR) return process.env.SP_MONGO_REPO_MODELS_DIR;
-  return "./models"; // Default models directory
-};
+      // Error handling
+    } catch (err) {
+      return fail(err, "setDefaultQueryOptions");
+    }
+  };
 
-// Define noop logger
-// Define noop logger that supports both direct calls and method calls
-const noopLogger = () => {};
-noopLogger.info = () => {};
-noopLogger.error = () => {};
-noopLogger.warn = () => {};
-noopLogger.log = () => {};
-noopLogger.debug = () => {};
-let logger = noopLogger;
+  // Query options of a read: global defaults < model defaults < per-call queryOpts (null drops a default); null when empty
+  // timeoutMs (object form) is sent as maxTimeMS, never raising a lower maxTimeMS
+  const _queryOpts = (model, queryOpts, timeoutMs) => {
+    if (queryOpts !== undefined && queryOpts !== null && (typeof queryOpts !== "object" || Array.isArray(queryOpts))) {
+      throw _validationError("queryOpts must be an object");
+    }
+    const merged = { ...QUERY_DEFAULTS, ...QUERY_DEFAULTS_MODELS.get(pluralizeName(model)), ...queryOpts };
+    const normalized = _normalizeQueryOpts(merged);
+    if (timeoutMs) normalized.maxTimeMS = Math.min(normalized.maxTimeMS || Infinity, Math.ceil(timeoutMs));
+    return Object.keys(normalized).length ? normalized : null;
+  };
+
+  // Applies normalized options to a Query. readConcern goes through query.readConcern(level), which builds
+  // { level } itself on every Mongoose version (Aggregate#option() takes the { level } object as is)
+  const _applyQueryOpts = (query, queryOptions) => {
+    if (!queryOptions) return query;
+    const { readConcern, ...options } = queryOptions;
+    if (Object.keys(options).length) query = query.setOptions(options);
+    if (readConcern) query = query.readConcern(readConcern.level);
+    return query;
+  };
+
+  // Collation changes which documents match and their order, so it is part of the cache key (other options are not)
+  const _withCollation = (keyArgs, queryOptions) => (queryOptions?.collation ? [...keyArgs, { collation: queryOptions.collation }] : keyArgs);
+
+  // ======================================================
+  // ##: TIMEOUTS and CANCELLATION
+  // Per-call { timeoutMs, signal } (object form of every helper): timeoutMs is also sent
+  // to MongoDB as maxTimeMS, so the server stops the operation too. Only reads are cut short
+  // on the client; writes wait for MongoDB
+  // ======================================================
+
+  // Error returned when a call exceeds its timeoutMs (or MongoDB reports MaxTimeMSExpired)
+  const _timeoutError = (opName, timeoutMs, cause) => {
+    const err = new RepoError(timeoutMs ? `${opName} timed out after ${timeoutMs}ms` : `${opName} exceeded its maxTimeMS`, { code: "TIMEOUT", cause });
+    if (timeoutMs) err.timeoutMs = timeoutMs;
+    return err;
+  };
+
+  // Error returned when the caller's AbortSignal fires (the abort reason is kept as cause)
+  const _abortError = (opName, signal) => new RepoError(`${opName} was aborted`, { code: "ABORTED", cause: signal?.reason });
+
+  // Validates { timeoutMs, signal }; returns the error to fail with, or null
+  const _invalidCancelOpts = (timeoutMs, signal) => {
+    if (timeoutMs !== undefined && (typeof timeoutMs !== "number" || !Number.isFinite(timeoutMs) || timeoutMs <= 0)) {
+      return new Error("timeoutMs must be a positive number");
+    }
+    if (signal !== undefined && (typeof signal !== "object" || typeof signal.aborted !== "boolean" || typeof signal.addEventListener !== "function")) {
+      return new Error("signal must be an AbortSignal");
+    }
+    return null;
+  };
+
+  // Per-call state of a raced helper (store: { settled }); once the call has failed with TIMEOUT / ABORTED,
+  // the helper still running in the background records no db metrics
+  const CALL_CONTEXT = new AsyncLocalStorage();
+
+  // Write options with timeoutMs sent as maxTimeMS
+  const _withMaxTime = (options, timeoutMs) => (timeoutMs ? { ...options, maxTimeMS: Math.ceil(timeoutMs) } : options);
+
+  /*******************************************************
+   * ##: Cancellable helper
+   * Wraps a helper so its object form accepts { timeoutMs, signal }: the call resolves with
+   * fail(err) (err.code "TIMEOUT" or "ABORTED") as soon as the timeout elapses or the signal
+   * aborts, without waiting for MongoDB. MaxTimeMSExpired errors are reported as "TIMEOUT" too.
+   * Timeouts are counted in METRICS.db.perOp[op].timeouts (not in count/latency).
+   * Failed calls get the model in their RepoError (data.model).
+   * Writes are never raced (a write reported as TIMEOUT could still commit): timeoutMs only
+   * reaches them as maxTimeMS (not enforced for inserts), and the signal is only checked
+   * before they start.
+   * @param {String} fnName - Helper name (for errors, logs and metrics)
+   * @param {Function} helper - Helper to wrap
+   * @param {Object} [options] - { race: false } for writes and helpers that stop on timeoutMs/signal themselves
+   * @returns {Function} - Wrapped helper (same arguments)
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Writes are not raced (race option); timed-out reads record no db metrics
+   * 18-10-2026: Completes the RepoError envelope (model)
+   *******************************************************/
+  const _cancellable = (fnName, helper, { race = true } = {}) => {
+    const TIMED_OUT = Symbol("timeout");
+    const ABORTED = Symbol("aborted");
+
+    return async (...args) => {
+      const obj = typeof args[0] === "object" && args[0] !== null ? args[0] : {};
+      const timeoutMs = obj.timeoutMs ?? undefined;
+      const signal = obj.signal ?? undefined;
+      const model = typeof (obj.model ?? args[0]) === "string" ? obj.model ?? args[0] : null;
+      const opName = _opName(fnName, model, obj.connection);
+
+      // Adds the model to the error envelope; MongoDB maxTimeMS failures (code TIMEOUT) count as timeouts
+      const settle = (res) => {
+        if (res?.status === false && res.data instanceof RepoError) {
+          if (res.data.model === null) res.data.model = model;
+          if (res.data.code === "TIMEOUT" && isMaxTimeError(res.data.cause)) _recordTimeout(opName);
+        }
+        return res;
+      };
+
+      // Validate the cancellation options (return fail on invalid input to follow contract)
+      const invalid = _invalidCancelOpts(timeoutMs, signal);
+      if (invalid) return settle(fail(invalid, `${fnName}/validation`));
+      if (signal?.aborted) return settle(fail(_abortError(opName, signal), fnName));
+      if (!race || (timeoutMs === undefined && signal === undefined)) return settle(await helper(...args));
+
+      const call = { settled: false };
+      let timer, onAbort;
+      const interrupted = new Promise((resolve) => {
+        if (timeoutMs !== undefined) timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
+        if (signal) {
+          onAbort = () => resolve(ABORTED);
+          signal.addEventListener("abort", onAbort, { once: true });
+        }
+      });
 
-/*******************************************************
- * ##: Logger injection
- * Set the logger function.
- * Accepts any function. If not a function, falls back to noop.
- * History:
- * 16-08-2025: Created
- * 20-08-2025: Updated
- * 22-08-2025: Updated (Add validation)
- * 12-10-2025: Enhanced to support both function calls and object methods
- *******************************************************/
-const setLogger = (_logger) => {
-  if (typeof _logger === "function") {
-    logger = _logger;
-    // If it's a simple function, add method support for common log levels
-    if (!logger.info) {
-      logger.info = _logger;
-      logger.error = _logger;
-      logger.warn = _logger;
-      logger.log = _logger;
-      logger.debug = _logger;
-    }
-  } else if (_logger && typeof _logger === "object") {
-    // If it's an object (like console), use it directly
-    logger = _logger;
-  } else {
-    logger = noopLogger;
-  }
-  return ok({ message: "Logger set" });
-};
-/*******************************************************
- * ##: Cache injection
- * Default: memory-cache.js instance. Users can inject any cache interface
- * with { get(key), put(key, val, ttlMs), del(key), keys() }.
- * e.g., setCache(memCacheInstance)
- * History:
- * 16-08-2025: Created
- * 22-08-2025: Updated (Add validation)
- * 
- *******************************************************/
-const noopCache = {
-  get: () => undefined,
-  put: () => false, // Return false to indicate no-op (no caching occurred)
-  del: () => false, // Return false to indicate no deletion occurred
-  keys: () => [],
-};
-const defaultCache = memCache || noopCache;
-let cache = defaultCache;
+      try {
+        const res = await Promise.race([CALL_CONTEXT.run(call, () => helper(...args)), interrupted]);
+        if (res === TIMED_OUT || res === ABORTED) call.settled = true;
+        if (res === TIMED_OUT) {
+          _recordTimeout(opName);
+          return settle(fail(_timeoutError(opName, timeoutMs), fnName));
+        }
+        if (res === ABORTED) return settle(fail(_abortError(opName, signal), fnName));
+        return settle(res);
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      }
+    };
+  };
 
-/*******************************************************
- * ##: Set Cache
- * Set the cache interface
- * @param {Object} _cache - The cache interface
- * History:
- * 16-08-2025: Created
- * 22-08-2025: Updated (Add validation)
- *******************************************************/
-const setCache = (_cache) => {
-  // Check all required methods (get, put, del, keys)
-  if (_cache && typeof _cache.get === "function" && typeof _cache.put === "function" && typeof _cache.del === "function" && typeof _cache.keys === "function") {
-    cache = _cache;
-    return ok({ message: "Cache interface set successfully" }); // Follow contract with success return
-  } else {
-    cache = defaultCache;
-    return fail(new Error("Invalid cache interface: must have get, put, del, and keys methods"), "setCache");
-  }
-};
+  // Define constants for metrics
+  const METRICS = {
+    cache: { hits: 0, misses: 0, stale: 0, coalesced: 0, puts: 0, invalidations: 0 },
+    db: { perOp: {} }, // { "getOne:users": { count, totalMs, minMs, maxMs, docs?, timeouts? } } (docs: streaming helpers)
+  };
 
-// Define constants for metrics
-const METRICS = {
-  cache: { hits: 0, misses: 0, puts: 0, invalidations: 0 },
-  db: { perOp: {} }, // { "getOne:users": { count, totalMs, minMs, maxMs } }
-};
+  // Helper function to get current time in milliseconds (fallback for older Node.js)
+  const _nowMs = () => Date.now(); // Simple fallback using Date.now() for ms precision
 
-// Helper function to get current time in milliseconds (fallback for older Node.js)
-const _nowMs = () => Date.now(); // Simple fallback using Date.now() for ms precision
+  // Helper function to get high-resolution time (bigint if available, else fallback to ms)
+  const _nowNs = () => {
+    if (typeof process?.hrtime?.bigint === "function") {
+      return process.hrtime.bigint(); // High precision (ns)
+    }
+    return BigInt(_nowMs() * 1e6); // Fallback to ms converted to ns (approximate)
+  };
 
-// Helper function to get high-resolution time (bigint if available, else fallback to ms)
-const _nowNs = () => {
-  if (typeof process?.hrtime?.bigint === "function") {
-    return process.hrtime.bigint(); // High precision (ns)
-  }
-  return BigInt(_nowMs() * 1e6); // Fallback to ms converted to ns (approximate)
-};
+  // Helper function to get the milliseconds elapsed since a _nowNs() start time
+  const _elapsedMs = (startNs) => Number((_nowNs() - startNs) / 1_000_000n);
 
-// Helper function to record database operation metrics
-const _recordDb = (opName, startNs) => {
-  try {
-    if (!startNs) return; // Early exit if no start time
+  // Helper function to record database operation metrics (docs: number of streamed documents, streaming helpers only)
+  const _recordDb = (opName, startNs, docs) => {
+    try {
+      if (!startNs) return; // Early exit if no start time
+      if (CALL_CONTEXT.getStore()?.settled) return; // The call already failed with TIMEOUT / ABORTED
 
-    const endNs = _nowNs(); // Get end time consistently
-    let durMs = Number((endNs - startNs) / 1_000_000n); // Convert BigInt ns to ms
+      const endNs = _nowNs(); // Get end time consistently
+      let durMs = Number((endNs - startNs) / 1_000_000n); // Convert BigInt ns to ms
 
-    // Safeguard against NaN (e.g., from fallback mismatches)
-    if (Number.isNaN(durMs)) {
-      durMs = 0; // Set to 0 instead of NaN to keep metrics clean
+      // Safeguard against NaN (e.g., from fallback mismatches)
+      if (Number.isNaN(durMs)) {
+        durMs = 0; // Set to 0 instead of NaN to keep metrics clean
+      }
+
+      const b = (METRICS.db.perOp[opName] ||= { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0 });
+      b.count += 1;
+      b.totalMs += durMs;
+      if (durMs < b.minMs) b.minMs = durMs;
+      if (durMs > b.maxMs) b.maxMs = durMs;
+      if (typeof docs === "number") b.docs = (b.docs || 0) + docs;
+    } catch (_) {
+      // Ignore errors silently
     }
+  };
 
+  // Helper function to count a timed-out operation (kept apart from count/latency)
+  const _recordTimeout = (opName) => {
     const b = (METRICS.db.perOp[opName] ||= { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0 });
-    b.count += 1;
-    b.totalMs += durMs;
-    if (durMs < b.minMs) b.minMs = durMs;
-    if (durMs > b.maxMs) b.maxMs = durMs;
-  } catch (_) {
-    // Ignore errors silently
-  }
-};
-
-/*******************************************************
- * ##: Get Metrics
- * Helper function to get current metrics
- * History:
- * 16-08-2025: Created
- * 22-08-2025: Updated (Add validation)
- *******************************************************/
-const getMetrics = () => ok(JSON.parse(JSON.stringify(METRICS)));
-
-/*******************************************************
- * ##: Reset Metrics
- * Helper function to reset metrics
- * History:
- * 16-08-2025: Created
- * 22-08-2025: Updated (Add validation)
- *******************************************************/
-const resetMetrics = () => {
-  METRICS.cache = { hits: 0, misses: 0, puts: 0, invalidations: 0 };
-  METRICS.db = { perOp: {} };
-  return ok({ message: "Metrics reset" });
-};
+    b.timeouts = (b.timeouts || 0) + 1;
+  };
+
+  /*******************************************************
+   * ##: Get Metrics
+   * Helper function to get current metrics
+   * History:
+   * 16-08-2025: Created
+   * 22-08-2025: Updated (Add validation)
+   * 18-10-2026: Added per-tier cache hits (caches exposing tierStats(), e.g. TieredCache)
+   *******************************************************/
+  const getMetrics = () => {
+    const snapshot = JSON.parse(JSON.stringify(METRICS));
+    if (typeof cache.tierStats === "function") {
+      try {
+        snapshot.cache.tiers = cache.tierStats();
+      } catch (_) {}
+    }
+    return ok(snapshot);
+  };
+
+  /*******************************************************
+   * ##: Reset Metrics
+   * Helper function to reset metrics
+   * History:
+   * 16-08-2025: Created
+   * 22-08-2025: Updated (Add validation)
+   * 18-10-2026: Also resets per-tier cache stats
+   *******************************************************/
+  const resetMetrics = () => {
+    METRICS.cache = { hits: 0, misses: 0, stale: 0, coalesced: 0, puts: 0, invalidations: 0 };
+    METRICS.db = { perOp: {} };
+    if (typeof cache.resetTierStats === "function") cache.resetTierStats();
+    return ok({ message: "Metrics reset" });
+  };
+
+  /*******************************************************
+   * ##: Success response helper
+   * Creates a standardized success response object
+   * @param {Any} data - The data to include in the response
+   * @returns {Object} - Response object with { status: true, data }
+   * History:
+   * 14-08-2025: Created
+   *******************************************************/
+  const ok = (data) => ({ status: true, data });
+
+  /*******************************************************
+   * ##: Error response helper
+   * Creates a standardized error response object and logs the error
+   * @param {Error} err - The error object to include in the response
+   * @param {String} ctx - Context string for logging (e.g., function name)
+   * @returns {Object} - Response object with { status: false, data: RepoError } (original error as data.cause)
+   * History:
+   * 14-08-2025: Created
+   * 12-10-2025: Enhanced to handle both function and object loggers
+   * 18-10-2026: data is a RepoError envelope { code, operation, model, retryable, cause }
+   *******************************************************/
+  const fail = (err, ctx) => {
+    // Handle both function loggers and object loggers
+    if (typeof logger === "function") {
+      logger(err, ctx);
+    } else if (logger && typeof logger.error === "function") {
+      logger.error(ctx, err);
+    }
+    return { status: false, data: _repoError(err, ctx) };
+  };
+
+  // Error envelope: operation is the last API function named in the context ("getOne/validation" → "getOne",
+  // "/mongo/repo/index.js/safeQuery/catch" → "safeQuery"); "<op>/validation" contexts are VALIDATION errors.
+  // The API function replaces the operation of a RepoError thrown inside it (e.g. resolveModel); other
+  // contexts ("withCache/...") only fill in a missing one
+  const _repoError = (err, ctx) => {
+    const parts = typeof ctx === "string" ? ctx.split("/").filter(Boolean) : [];
+    const operation = [...parts].reverse().find((p) => typeof api[p] === "function") ?? null;
+    const out = RepoError.from(err, { code: parts[parts.length - 1] === "validation" ? "VALIDATION" : undefined, operation });
+    if (out.operation === null) out.operation = parts[0] ?? null;
+    return out;
+  };
+
+  /*******************************************************
+   * ##: Hash a string
+   * A simple and fast hash function (djb2 xor)
+   * @param {String} str - The string to hash
+   * History:
+   * 14-08-2025: Created
+   *******************************************************/
+  const hash = (str) => {
+    let h = 5381;
+    for (let i = 0; i < str.length; i++) h = (h * 33) ^ str.charCodeAt(i);
+    return (h >>> 0).toString(36);
+  };
+
+  // Accept: string | string[] | { options?:{}, invalidateKeys?:string|string[], invalidatePrefixes?:string|string[], tags?:string|string[], autoInvalidate?:boolean }
+
+  /****************************************************
+   * ##: Support for options.session in write operations (back-compatible)
+   * All write operations (createOne, createMany, updateOne, updateMany, upsertOne, deleteOne, deleteMany)
+   * now accept an additional argument that can be either:
+   * a cache invalidation key (string) or list of keys (string[]) — legacy style, still supported;
+   * an options object (e.g. { session, runValidators, writeConcern }) to control Mongoose behavior;
+   * @param {Any} arg - The write argument
+   * History:
+   * 15-08-2025: Created
+   * 06-12-2025: Added support for returnDocument shorthand (true -> "after")
+   * 18-10-2026: Added autoInvalidate (per-call override of model-scoped invalidation)
+   * 18-10-2026: Added tags (tag-based cache invalidation)
+   * 18-10-2026: Direct options detection also recognizes ordered and chunkSize (createMany/bulkWrite)
+   * 18-10-2026: Direct options detection also recognizes returnDocument and hardDelete
+   * 18-10-2026: Direct options no longer carry invalidateKeys/invalidatePrefixes/tags/autoInvalidate
+   *******************************************************/
+  const _parseWriteArg = (arg) => {
+    // Initialize local variables for possible outputs
+    let options, invalidateKeys, invalidatePrefixes, tags, autoInvalidate;
+
+    // If no argument is provided, return an object with all undefined
+    if (!arg) {
+      return { options: undefined, invalidateKeys: undefined, invalidatePrefixes: undefined, tags: undefined, autoInvalidate: undefined };
+    }
 
-/*******************************************************
- * ##: Success response helper
- * Creates a standardized success response object
- * @param {Any} data - The data to include in the response
- * @returns {Object} - Response object with { status: true, data }
- * History:
- * 14-08-2025: Created
- *******************************************************/
-const ok = (data) => ({ status: true, data });
+    // Case 1: argument is a string or an array → treat it as invalidateKeys
+    if (typeof arg === "string" || Array.isArray(arg)) {
+      return { options: undefined, invalidateKeys: arg, invalidatePrefixes: undefined, tags: undefined, autoInvalidate: undefined };
+    }
 
-/*******************************************************
- * ##: Error response helper
- * Creates a standardized error response object and logs the error
- * @param {Error} err - The error object to include in the response
- * @param {String} ctx - Context string for logging (e.g., function name)
- * @returns {Object} - Response object with { status: false, data: err }
- * History:
- * 14-08-2025: Created
- * 12-10-2025: Enhanced to handle both function and object loggers
- *******************************************************/
-const fail = (err, ctx) => {
-  // Handle both function loggers and object loggers
-  if (typeof logger === "function") {
-    logger(err, ctx);
-  } else if (logger && typeof logger.error === "function") {
-    logger.error(ctx, err);
-  }
-  return { status: false, data: err };
-};
+    // Case 2: argument is an object
+    if (typeof arg === "object") {
+      // Extract invalidateKeys if present
+      if ("invalidateKeys" in arg) invalidateKeys = arg.invalidateKeys;
+      // Extract invalidatePrefixes if present
+      if ("invalidatePrefixes" in arg) invalidatePrefixes = arg.invalidatePrefixes;
+      // Extract tags if present
+      if ("tags" in arg) tags = arg.tags;
+      // Extract autoInvalidate if present (overrides the global setting for this call)
+      if ("autoInvalidate" in arg) autoInvalidate = arg.autoInvalidate;
+
+      // Allow passing a full nested object: { options: { session, runValidators, ... } }
+      if ("options" in arg && typeof arg.options === "object") options = arg.options;
+      // Or allow passing the options object directly (without nesting under "options")
+      else if ("session" in arg || "upsert" in arg || "writeConcern" in arg || "runValidators" in arg || "ordered" in arg || "chunkSize" in arg || "returnDocument" in arg || "hardDelete" in arg) {
+        const { invalidateKeys: _keys, invalidatePrefixes: _prefixes, tags: _tags, autoInvalidate: _auto, ...direct } = arg;
+        options = direct;
+      }
+    }
 
-/*******************************************************
- * ##: Hash a string
- * A simple and fast hash function (djb2 xor)
- * @param {String} str - The string to hash
- * History:
- * 14-08-2025: Created
- *******************************************************/
-const hash = (str) => {
-  let h = 5381;
-  for (let i = 0; i < str.length; i++) h = (h * 33) ^ str.charCodeAt(i);
-  return (h >>> 0).toString(36);
-};
+    // Handle returnDocument shorthand: true -> "after"
+    if (options && options.returnDocument === true) {
+      options.returnDocument = "after";
+    }
 
-// Accept: string | string[] | { options?:{}, invalidateKeys?:string|string[], invalidatePrefixes?:string|string[] }
+    // Return the parsed structure { options, invalidateKeys, invalidatePrefixes, tags, autoInvalidate }
+    return { options, invalidateKeys, invalidatePrefixes, tags, autoInvalidate };
+  };
+
+  /****************************************************
+   * ##: Invalidate cache after a write
+   * Applies the invalidation requested through writeArg (keys/prefixes/tags) and,
+   * when auto-invalidation is enabled (globally or per call), drops every
+   * cached read of the written model.
+   * @param {String} model - Model name used by the write
+   * @param {Object} invalidation - Parsed writeArg without options
+   * History:
+   * 18-10-2026: Created
+   ****************************************************/
+  const _invalidateAfterWrite = async (model, { invalidateKeys, invalidatePrefixes, tags, autoInvalidate } = {}) => {
+    const models = (autoInvalidate ?? AUTO_INVALIDATE) === true ? model : undefined;
+    if (invalidateKeys || invalidatePrefixes || tags || models) {
+      await invalidateCache({ keys: invalidateKeys, prefixes: invalidatePrefixes, tags, models });
+    }
+  };
+
+  /****************************************************
+   * ##: Get the application root directory
+   * @returns {String} - The absolute path to the application root
+   * History:
+   * 24-08-2025: Created
+   ****************************************************/
+  function getAppRoot() {
+    try {
+      // Prefer current working directory
+      let _root = process.cwd();
+
+      // If cwd is the disk root, fallback to main module directory (if available)
+      if (path.parse(_root).root === _root && require.main) {
+        return path.dirname(require.main.filename);
+      }
 
-/****************************************************
- * ##: Support for options.session in write operations (back-compatible)
- * All write operations (createOne, createMany, updateOne, updateMany, upsertOne, deleteOne, deleteMany)
- * now accept an additional argument that can be either:
- * a cache invalidation key (string) or list of keys (string[]) — legacy style, still supported;
- * an options object (e.g. { session, runValidators, writeConcern }) to control Mongoose behavior;
- * @param {Any} arg - The write argument
- * History:
- * 15-08-2025: Created
- * 06-12-2025: Added support for returnDocument shorthand (true -> "after")
- *******************************************************/
-const _parseWriteArg = (arg) => {
-  // Initialize local variables for possible outputs
-  let options, invalidateKeys, invalidatePrefixes;
+      // Normal case: return cwd
+      return _root;
 
-  // If no argument is provided, return an object with all undefined
-  if (!arg) {
-    return { options: undefined, invalidateKeys: undefined, invalidatePrefixes: undefined };
+      // Error handling
+    } catch (error) {
+      // Fallback: return two levels above this file (common for node_modules usage)
+      return path.resolve(__dirname, "../..");
+    }
   }
 
-  // Case 1: argument is a string or an array → treat it as invalidateKeys
-  if (typeof arg === "string" || Array.isArray(arg)) {
-    return { options: undefined, invalidateKeys: arg, invalidatePrefixes: undefined };
-  }
+  /****************************************************
+   * ##: Pluralize a model name
+   * Simple pluralization by appending "s" if not already ending with "s"
+   * Only appends "s" if the last character is a letter (a-zA-Z).
+   * @param {String} model - Model name (string)
+   * @returns {String} - Pluralized model name
+   * History:
+   * 06-09-2025: Created
+   ****************************************************/
+  function pluralizeName(model) {
+    try {
+      if (model.endsWith("s") || !/[a-zA-Z]$/.test(model)) {
+        return model;
+      }
+      return `${model}s`;
 
-  // Case 2: argument is an object
-  if (typeof arg === "object") {
-    // Extract invalidateKeys if present
-    if ("invalidateKeys" in arg) invalidateKeys = arg.invalidateKeys;
-    // Extract invalidatePrefixes if present
-    if ("invalidatePrefixes" in arg) invalidatePrefixes = arg.invalidatePrefixes;
-
-    // Allow passing a full nested object: { options: { session, runValidators, ... } }
-    if ("options" in arg && typeof arg.options === "object") options = arg.options;
-    // Or allow passing the options object directly (without nesting under "options")
-    else if ("session" in arg || "upsert" in arg || "writeConcern" in arg || "runValidators" in arg) options = arg;
+      // Error handling
+    } catch (err) {
+      // Fallback: return the original model name
+      return model;
+    }
   }
 
-  // Handle returnDocument shorthand: true -> "after"
-  if (options && options.returnDocument === true) {
-    options.returnDocument = "after";
-  }
+  /****************************************************
+   * ##: Add a model file
+   * @param {String} name - Model name (string)
+   * @param {String} filePath - Path to the model file (string)
+   * @returns {Promise} - Result of the operation
+   * History:
+   * 05-10-2025: Created
+   ****************************************************/
+  const addModelByFile = async (name, filePath) => {
+    try {
+      if (typeof filePath !== "string" || !filePath.trim()) {
+        return fail(_validationError("filePath must be a non-empty string"), "addModelFile");
+      }
+      // Check if model is already loaded (by name)
+      if (_registeredModel(name)) {
+        return ok({ message: `Model "${name}" is already loaded` });
+      }
 
-  // Return the parsed structure { options, invalidateKeys, invalidatePrefixes }
-  return { options, invalidateKeys, invalidatePrefixes };
-};
+      // Check if Model dir exists
+      if (!MODELS_DIR) {
+        setModelsDir(getModelsDir());
+      }
 
-/****************************************************
- * ##: Get the application root directory
- * @returns {String} - The absolute path to the application root
- * History:
- * 24-08-2025: Created
- ****************************************************/
-function getAppRoot() {
-  try {
-    // Prefer current working directory
-    let _root = process.cwd();
+      // Check if file exists (relative to app root + MODELS_DIR)
+      const fullPath = path.isAbsolute(filePath) ? filePath : path.join(getAppRoot(), MODELS_DIR, filePath);
+      await fs.promises.access(fullPath, fs.constants.R_OK);
+      require(fullPath); // Require the file to load the model
 
-    // If cwd is the disk root, fallback to main module directory (if available)
-    if (path.parse(_root).root === _root && require.main) {
-      return path.dirname(require.main.filename);
+      // Verify if model is now loaded
+      if (_registeredModel(name)) {
+        return ok({ message: `Model "${name}" loaded successfully from ${fullPath}` });
+      }
+    } catch (error) {
+      return fail(error, "addModelFile");
     }
-
-    // Normal case: return cwd
-    return _root;
-
-    // Error handling
-  } catch (error) {
-    // Fallback: return two levels above this file (common for node_modules usage)
-    return path.resolve(__dirname, "../..");
-  }
-}
-
-/****************************************************
- * ##: Pluralize a model name
- * Simple pluralization by appending "s" if not already ending with "s"
- * Only appends "s" if the last character is a letter (a-zA-Z).
- * @param {String} model - Model name (string)
- * @returns {String} - Pluralized model name
- * History:
- * 06-09-2025: Created
- ****************************************************/
-function pluralizeName(model) {
-  try {
-    if (model.endsWith("s") || !/[a-zA-Z]$/.test(model)) {
-      return model;
+  };
+
+  /****************************************************
+   * ##: Resolve a Mongoose Model
+   * Resolve a Mongoose Model from an exact model name (string).
+   *
+   * Resolution logic:
+   * 1. Accepts only a string as model name. Throws if not string.
+   * 2. Pluralizes the name if needed (appends "s").
+   * 3. Checks mongoose.models registry for the model.
+   * 4. If not found, attempts to load ALL model files from MODELS_DIR
+   *    (since model name may not match filename).
+   * 5. Re-checks mongoose.models registry after each file load.
+   * 6. Returns the model if found, otherwise throws a RepoError (code "MODEL_NOT_FOUND").
+   *
+   * @param {String} model - Model name (string)
+   * @param {String} [connection] - Named connection (setConnection); default: the mongoose instance
+   * History:
+   * 14-08-2025: Created
+   * 19-08-2025: Fix model resolution logic and removed modelCache
+   * 20-08-2025: Fix model directory resolution (from env variable)
+   * 22-08-2025: Accept only string as model name
+   * 06-09-2025: Improve pluralization logic (only if last char is a letter)
+   * 14-10-2025: Fixed to load all model files instead of assuming filename=modelname
+   * 18-10-2026: Resolve from a named connection (connection.models)
+   * 18-10-2026: Throws RepoError (VALIDATION, MODEL_NOT_FOUND)
+   ****************************************************/
+  const resolveModel = (model, connection) => {
+    // Only accept string for model name
+    if (typeof model !== "string") {
+      throw new RepoError("resolveModel: model must be a string", { code: "VALIDATION", operation: "resolveModel" });
     }
-    return `${model}s`;
 
-    // Error handling
-  } catch (err) {
-    // Fallback: return the original model name
-    return model;
-  }
-}
+    // Named connection (or the configured mongoose instance)
+    const registry = _registry(connection);
 
-/****************************************************
- * ##: Add a model file
- * @param {String} name - Model name (string)
- * @param {String} filePath - Path to the model file (string)
- * @returns {Promise} - Result of the operation
- * History:
- * 05-10-2025: Created
- ****************************************************/
-const addModelByFile = async (name, filePath) => {
-  try {
-    if (typeof filePath !== "string" || !filePath.trim()) {
-      return fail(new Error("filePath must be a non-empty string"), "addModelFile");
+    // First try the original name exactly as provided
+    if (_registeredModel(model, registry)) {
+      return _registeredModel(model, registry);
     }
-    // Check if model is already loaded (by name)
-    if (mongoose.models[name]) {
-      return ok({ message: `Model "${name}" is already loaded` });
+
+    // Then try pluralized form (only if last char is a letter and doesn't end with 's')
+    const name = pluralizeName(model);
+    if (name !== model && _registeredModel(name, registry)) {
+      return _registeredModel(name, registry);
     }
 
     // Check if Model dir exists
@@ -457,1583 +1250,3408 @@ const addModelByFile = async (name, filePath) => {
       setModelsDir(getModelsDir());
     }
 
-    // Check if file exists (relative to app root + MODELS_DIR)
-    const fullPath = path.isAbsolute(filePath) ? filePath : path.join(getAppRoot(), MODELS_DIR, filePath);
-    await fs.promises.access(fullPath, fs.constants.R_OK);
-    require(fullPath); // Require the file to load the model
-
-    // Verify if model is now loaded
-    if (mongoose.models[name]) {
-      return ok({ message: `Model "${name}" loaded successfully from ${fullPath}` });
-    }
-  } catch (error) {
-    return fail(error, "addModelFile");
-  }
-};
-
-/****************************************************
- * ##: Resolve a Mongoose Model
- * Resolve a Mongoose Model from an exact model name (string).
- *
- * Resolution logic:
- * 1. Accepts only a string as model name. Throws if not string.
- * 2. Pluralizes the name if needed (appends "s").
- * 3. Checks mongoose.models registry for the model.
- * 4. If not found, attempts to load ALL model files from MODELS_DIR
- *    (since model name may not match filename).
- * 5. Re-checks mongoose.models registry after each file load.
- * 6. Returns the model if found, otherwise throws descriptive error.
- *
- * @param {String} model - Model name (string)
- * History:
- * 14-08-2025: Created
- * 19-08-2025: Fix model resolution logic and removed modelCache
- * 20-08-2025: Fix model directory resolution (from env variable)
- * 22-08-2025: Accept only string as model name
- * 06-09-2025: Improve pluralization logic (only if last char is a letter)
- * 14-10-2025: Fixed to load all model files instead of assuming filename=modelname
- ****************************************************/
-const resolveModel = (model) => {
-  // Only accept string for model name
-  if (typeof model !== "string") {
-    throw new Error("resolveModel: model must be a string");
-  }
-
-  // First try the original name exactly as provided
-  if (mongoose.models[model]) {
-    return mongoose.models[model];
-  }
-
-  // Then try pluralized form (only if last char is a letter and doesn't end with 's')
-  const name = pluralizeName(model);
-  if (name !== model && mongoose.models[name]) {
-    return mongoose.models[name];
-  }
-
-  // Check if Model dir exists
-  if (!MODELS_DIR) {
-    setModelsDir(getModelsDir());
-  }
-
-  // Try to load all models first if model not found (recursively)
-  const fullPath = path.isAbsolute(MODELS_DIR) ? MODELS_DIR : path.join(getAppRoot(), MODELS_DIR);
-
-  if (fs.existsSync(fullPath) && fs.lstatSync(fullPath).isDirectory()) {
-    // Helper function to recursively find all model files
-    const findModelFilesRecursive = (dirPath) => {
-      const files = [];
-      const items = fs.readdirSync(dirPath);
-
-      for (const item of items) {
-        const itemPath = path.join(dirPath, item);
-        const stat = fs.lstatSync(itemPath);
-
-        if (stat.isDirectory()) {
-          // Recursively scan subdirectories
-          files.push(...findModelFilesRecursive(itemPath));
-        } else if (stat.isFile() && (item.endsWith(".js") || item.endsWith(".cjs") || item.endsWith(".mjs"))) {
-          // Add model files
-          files.push(itemPath);
+    // Try to load all models first if model not found (recursively)
+    const fullPath = path.isAbsolute(MODELS_DIR) ? MODELS_DIR : path.join(getAppRoot(), MODELS_DIR);
+
+    if (fs.existsSync(fullPath) && fs.lstatSync(fullPath).isDirectory()) {
+      // Helper function to recursively find all model files
+      const findModelFilesRecursive = (dirPath) => {
+        const files = [];
+        const items = fs.readdirSync(dirPath);
+
+        for (const item of items) {
+          const itemPath = path.join(dirPath, item);
+          const stat = fs.lstatSync(itemPath);
+
+          if (stat.isDirectory()) {
+            // Recursively scan subdirectories
+            files.push(...findModelFilesRecursive(itemPath));
+          } else if (stat.isFile() && (item.endsWith(".js") || item.endsWith(".cjs") || item.endsWith(".mjs"))) {
+            // Add model files
+            files.push(itemPath);
+          }
         }
-      }
 
-      return files;
-    };
+        return files;
+      };
 
-    const modelFiles = findModelFilesRecursive(fullPath);
+      const modelFiles = findModelFilesRecursive(fullPath);
 
-    // Try to load all model files until we find our model
-    for (const filePath of modelFiles) {
-      try {
-        require(filePath);
+      // Try to load all model files until we find our model
+      for (const filePath of modelFiles) {
+        try {
+          require(filePath);
 
-        // Check if our model is now registered (try both original and pluralized)
-        if (mongoose.models[model]) {
-          return mongoose.models[model];
-        }
-        if (name !== model && mongoose.models[name]) {
-          return mongoose.models[name];
+          // Check if our model is now registered (try both original and pluralized)
+          if (_registeredModel(model, registry)) {
+            return _registeredModel(model, registry);
+          }
+          if (name !== model && _registeredModel(name, registry)) {
+            return _registeredModel(name, registry);
+          }
+        } catch (fileError) {
+          // Continue trying other files
+          logger.debug && logger.debug(`Failed to load model file ${filePath}:`, fileError);
         }
-      } catch (fileError) {
-        // Continue trying other files
-        logger.debug && logger.debug(`Failed to load model file ${filePath}:`, fileError);
       }
     }
-  }
-
-  // Final check after trying to load all files
-  if (mongoose.models[model]) {
-    return mongoose.models[model];
-  }
-  if (name !== model && mongoose.models[name]) {
-    return mongoose.models[name];
-  }
 
-  // If still not resolved → throw
-  const availableModels = Object.keys(mongoose.models);
-  throw new Error(
-    `Mongoose model "${model}" (or "${name}") not found after loading all model files from ${fullPath}. ` +
-      `Available models (${availableModels.length}): ${availableModels.join(", ")}`,
-  );
-};
+    // Final check after trying to load all files
+    if (_registeredModel(model, registry)) {
+      return _registeredModel(model, registry);
+    }
+    if (name !== model && _registeredModel(name, registry)) {
+      return _registeredModel(name, registry);
+    }
 
-/*******************************************************
- * ##: Stable stringify with error handling
- * Creates deterministic JSON for cache keys
- * - Orders object keys alphabetically
- * - Handles Date, Set, Map, Buffer, TypedArrays, BigInt, RegExp, Error, Function, Symbol
- * - Detects cycles
- * - Improved: Handles custom class instances by including class name and all own properties
- * Always returns { status, data }:
- *   - { status: true, data: <string> }
- *   - { status: false, data: <Error> }
- * @param {Any} value - The value to stringify
- * @returns {SalesParkContract<object>} - Return a SalesPark Contract object
- * History:
- * 14-08-2025: Created
- *******************************************************/
-const stableStringify = (value) => {
-  try {
-    const seen = new WeakSet();
-    const str = JSON.stringify(value, function replacer(key, val) {
-      if (val && typeof val === "object") {
-        if (seen.has(val)) return "__cycle__"; // Handle cycles
-        seen.add(val);
-
-        if (val instanceof Date) return val.toISOString();
-        if (val instanceof Set) return Array.from(val).sort();
-        if (val instanceof Map) {
-          return Array.from(val.entries()).sort(([a], [b]) => (a > b ? 1 : a < b ? -1 : 0));
-        }
-        if (Array.isArray(val)) return val;
-
-        // Improved handling for custom class instances: include class name and all own properties
-        if (val.constructor && val.constructor.name !== "Object") {
-          const sorted = { __type: val.constructor.name }; // Marker for class type
-          // Get all own properties (including non-enumerable)
-          for (const k of Object.getOwnPropertyNames(val).sort()) {
-            sorted[k] = val[k];
+    // If still not resolved → throw
+    const availableModels = _modelNames(registry);
+    throw new RepoError(
+      `Mongoose model "${model}" (or "${name}")${connection ? ` on connection "${connection}"` : ""} not found after loading all model files from ${fullPath}. ` +
+        `Available models (${availableModels.length}): ${availableModels.join(", ")}`,
+      { code: "MODEL_NOT_FOUND", operation: "resolveModel", model },
+    );
+  };
+
+  /*******************************************************
+   * ##: Stable stringify with error handling
+   * Creates deterministic JSON for cache keys
+   * - Orders object keys alphabetically
+   * - Handles Date, Set, Map, Buffer, TypedArrays, BigInt, RegExp, Error, Function, Symbol
+   * - Detects cycles
+   * - Improved: Handles custom class instances by including class name and all own properties
+   * Always returns { status, data }:
+   *   - { status: true, data: <string> }
+   *   - { status: false, data: <Error> }
+   * @param {Any} value - The value to stringify
+   * @returns {SalesParkContract<object>} - Return a SalesPark Contract object
+   * History:
+   * 14-08-2025: Created
+   *******************************************************/
+  const stableStringify = (value) => {
+    try {
+      const seen = new WeakSet();
+      const str = JSON.stringify(value, function replacer(key, val) {
+        if (val && typeof val === "object") {
+          if (seen.has(val)) return "__cycle__"; // Handle cycles
+          seen.add(val);
+
+          if (val instanceof Date) return val.toISOString();
+          if (val instanceof Set) return Array.from(val).sort();
+          if (val instanceof Map) {
+            return Array.from(val.entries()).sort(([a], [b]) => (a > b ? 1 : a < b ? -1 : 0));
+          }
+          if (Array.isArray(val)) return val;
+
+          // Improved handling for custom class instances: include class name and all own properties
+          if (val.constructor && val.constructor.name !== "Object") {
+            const sorted = { __type: val.constructor.name }; // Marker for class type
+            // Get all own properties (including non-enumerable)
+            for (const k of Object.getOwnPropertyNames(val).sort()) {
+              sorted[k] = val[k];
+            }
+            return sorted;
           }
+
+          // Plain object with sorted keys
+          const sorted = {};
+          for (const k of Object.keys(val).sort()) sorted[k] = val[k];
           return sorted;
         }
 
-        // Plain object with sorted keys
-        const sorted = {};
-        for (const k of Object.keys(val).sort()) sorted[k] = val[k];
-        return sorted;
-      }
-
-      // Special cases / fallbacks
-      if (typeof val === "bigint") return val.toString() + "n";
-      if (typeof val === "symbol") return val.toString();
-      if (typeof val === "function") return `[Function:${val.name || "anonymous"}]`;
-      if (val instanceof RegExp) return val.toString();
-      if (val instanceof Error) return `${val.name}:${val.message}`;
-      if (Buffer.isBuffer(val)) return val.toString("base64");
-      if (ArrayBuffer.isView(val)) return Buffer.from(val.buffer).toString("base64");
-
-      return val;
-    });
+        // Special cases / fallbacks
+        if (typeof val === "bigint") return val.toString() + "n";
+        if (typeof val === "symbol") return val.toString();
+        if (typeof val === "function") return `[Function:${val.name || "anonymous"}]`;
+        if (val instanceof RegExp) return val.toString();
+        if (val instanceof Error) return `${val.name}:${val.message}`;
+        if (Buffer.isBuffer(val)) return val.toString("base64");
+        if (ArrayBuffer.isView(val)) return Buffer.from(val.buffer).toString("base64");
 
-    return { status: true, data: str };
+        return val;
+      });
 
-    // Error handling
-  } catch (err) {
-    return { status: false, data: err };
-  }
-};
+      return { status: true, data: str };
 
-/*******************************************************
- * ##: Build a safe cache key
- * Builds a cache key from function name and arguments
- * @param {String} fnName - Function name
- * @param {Array} args - Function arguments
- * @returns {SalesParkContract<object>} - Return a SalesPark Contract object
- * History:
- * 14-08-2025: Created
- *******************************************************/
-const buildCacheKey = (fnName, args) => {
-  try {
-    if (!Array.isArray(args) || args.length === 0 || typeof args[0] !== "string") {
-      return { status: false, data: new Error("Invalid args: first argument must be a model name (string)") };
+      // Error handling
+    } catch (err) {
+      return { status: false, data: err };
     }
+  };
+
+  /*******************************************************
+   * ##: Build a safe cache key
+   * Builds a cache key from function name and arguments
+   * @param {String} fnName - Function name
+   * @param {Array} args - Function arguments
+   * @param {String} [connection] - Named connection (adds a "conn=<name>:" segment)
+   * @returns {SalesParkContract<object>} - Return a SalesPark Contract object
+   * History:
+   * 14-08-2025: Created
+   * 18-10-2026: Added tenant segment (multi-tenancy)
+   * 18-10-2026: Added connection segment (named connections)
+   *******************************************************/
+  const buildCacheKey = (fnName, args, connection) => {
+    try {
+      if (!Array.isArray(args) || args.length === 0 || typeof args[0] !== "string") {
+        return { status: false, data: new Error("Invalid args: first argument must be a model name (string)") };
+      }
 
-    const [model, ...rest] = args;
-    const modelKey = model;
+      const [model, ...rest] = args;
+      const modelKey = model;
 
-    const strRes = stableStringify(rest ?? []);
-    if (!strRes.status) {
-      // Failed stringify → return error string as key, but don't cache
-      return { status: false, data: strRes.data };
-    }
+      const strRes = stableStringify(rest ?? []);
+      if (!strRes.status) {
+        // Failed stringify → return error string as key, but don't cache
+        return { status: false, data: strRes.data };
+      }
 
-    const argsKey = hash(strRes.data);
-    return { status: true, data: `${fnName}:${modelKey}:${argsKey}` };
+      const argsKey = hash(strRes.data);
 
-    // Error handling
-  } catch (err) {
-    return { status: false, data: err };
-  }
-};
+      // Reads on a named connection get their own key segment (same model, different database)
+      const connKey = connection ? `conn=${connection}:` : "";
 
-/*******************************************************
- * ##: Normalize TTL
- * Normalizes TTL values to milliseconds.
- * Accepts:
- *  - number: treated as milliseconds (0 disables caching for most stores)
- *  - string: "<int>[ms|s|m|h|d]" (case-insensitive). Examples: "500ms", "30s", "5m", "4h", "2d", "60000"
- * Fallbacks:
- *  - null/undefined/invalid -> DEFAULT_TTL
- *  - negative numbers -> 0
- * History:
- * 18-08-2025: Created
- * 29-01-2026: Refactored to use object map instead of switch statement for unit multipliers
- *******************************************************/
-const normalizeTTL = (ttl) => {
-  try {
-    if (typeof ttl === "number" && Number.isFinite(ttl)) {
-      return ttl < 0 ? 0 : ttl;
-    }
-
-    if (typeof ttl === "string") {
-      const s = ttl.trim().toLowerCase();
-      const m = s.match(/^(\d+)(ms|s|sec|secs|m|min|mins|h|hr|hrs|d|day|days)?$/);
-      if (m) {
-        const value = parseInt(m[1], 10);
-        const unit = m[2] || "ms";
-
-        // Extract key: "ms" stays as is, others use first char
-        const key = unit === "ms" ? "ms" : unit[0];
-
-        const multipliers = {
-          ms: 1,
-          s: 1_000,
-          m: 60_000,
-          h: 3_600_000,
-          d: 86_400_000,
-        };
+      // Tenant-scoped reads get their own key segment (invalidateCache({ prefixes: "getMany:users:tenant=42:" }))
+      const scope = _tenantScope(modelKey);
+      const tenantKey = scope ? `tenant=${String(scope.tenantId)}:` : "";
+      return { status: true, data: `${fnName}:${modelKey}:${connKey}${tenantKey}${argsKey}` };
 
-        return value * (multipliers[key] ?? 1);
+      // Error handling
+    } catch (err) {
+      return { status: false, data: err };
+    }
+  };
+
+  /*******************************************************
+   * ##: Normalize TTL
+   * Normalizes TTL values to milliseconds.
+   * Accepts:
+   *  - number: treated as milliseconds (0 disables caching for most stores)
+   *  - string: "<int>[ms|s|m|h|d]" (case-insensitive). Examples: "500ms", "30s", "5m", "4h", "2d", "60000"
+   * Fallbacks:
+   *  - null/undefined/invalid -> DEFAULT_TTL
+   *  - negative numbers -> 0
+   * History:
+   * 18-08-2025: Created
+   * 29-01-2026: Refactored to use object map instead of switch statement for unit multipliers
+   *******************************************************/
+  const normalizeTTL = (ttl) => {
+    try {
+      if (typeof ttl === "number" && Number.isFinite(ttl)) {
+        return ttl < 0 ? 0 : ttl;
       }
+
+      if (typeof ttl === "string") {
+        const s = ttl.trim().toLowerCase();
+        const m = s.match(/^(\d+)(ms|s|sec|secs|m|min|mins|h|hr|hrs|d|day|days)?$/);
+        if (m) {
+          const value = parseInt(m[1], 10);
+          const unit = m[2] || "ms";
+
+          // Extract key: "ms" stays as is, others use first char
+          const key = unit === "ms" ? "ms" : unit[0];
+
+          const multipliers = {
+            ms: 1,
+            s: 1_000,
+            m: 60_000,
+            h: 3_600_000,
+            d: 86_400_000,
+          };
+
+          return value * (multipliers[key] ?? 1);
+        }
+        return DEFAULT_TTL;
+      }
+
       return DEFAULT_TTL;
+    } catch (_) {
+      return DEFAULT_TTL;
+    }
+  };
+
+  /*******************************************************
+   * ##: Tag a cache key
+   * Uses the cache's native tag support when available, otherwise records
+   * the key in TAG_INDEX (entries expire with the TTL used for the put).
+   * @param {String} cacheKey - Cache key
+   * @param {String|String[]} tags - Tags to associate with the key
+   * @param {Number} ttlMs - TTL used for the put (ms)
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _tagCacheKey = async (cacheKey, tags, ttlMs) => {
+    const list = (Array.isArray(tags) ? tags : [tags]).filter((t) => typeof t === "string" && t);
+    if (!list.length) return;
+
+    if (typeof cache.setTags === "function") {
+      await cache.setTags(cacheKey, list, ttlMs);
+      return;
     }
 
-    return DEFAULT_TTL;
-  } catch (_) {
-    return DEFAULT_TTL;
-  }
-};
+    const now = _nowMs();
+    const expiresAt = ttlMs > 0 ? now + ttlMs : Infinity;
+    for (const tag of list) {
+      const entries = TAG_INDEX.get(tag) || new Map();
+      // Drop entries whose cache record has already expired
+      for (const [k, exp] of entries) if (exp <= now) entries.delete(k);
+      entries.set(cacheKey, expiresAt);
+      TAG_INDEX.set(tag, entries);
+    }
+  };
+
+  /*******************************************************
+   * ##: Get cache keys by tag
+   * @param {String} tag - Tag name
+   * @returns {String[]} - Keys currently associated with the tag
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _keysForTag = async (tag) => {
+    if (typeof cache.keysByTag === "function") return (await cache.keysByTag(tag)) || [];
+
+    const entries = TAG_INDEX.get(tag);
+    if (!entries) return [];
+    const now = _nowMs();
+    return Array.from(entries).filter(([, exp]) => exp > now).map(([k]) => k);
+  };
+
+  // In-flight cache misses (single-flight): Key: cache key, Value: Promise of the normalized result
+  const INFLIGHT = new Map();
+
+  // Cached value isolation: false (shared references) | "deep" (copies) | "freeze" (deep-frozen values)
+  let CACHE_CLONE = false;
+
+  // true is shorthand for "deep"; anything unknown disables cloning
+  const _cloneMode = (mode) => (mode === true ? "deep" : mode === "deep" || mode === "freeze" ? mode : false);
+
+  // BSON values (ObjectId, Decimal128, ...) and binary data are treated as immutable and shared
+  const _isOpaqueValue = (v) => Boolean(v._bsontype) || ArrayBuffer.isView(v) || v instanceof ArrayBuffer;
+
+  /*******************************************************
+   * ##: Deep clone (BSON-aware)
+   * Copies plain objects, arrays, Dates, Maps and Sets; keeps ObjectId,
+   * Decimal128 and other BSON values (immutable) as they are.
+   * @param {Any} value - The value to copy
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _deepClone = (value, seen = new WeakMap()) => {
+    if (!value || typeof value !== "object") return value;
+    if (_isOpaqueValue(value)) return Buffer.isBuffer(value) ? Buffer.from(value) : value;
+    if (seen.has(value)) return seen.get(value);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+
+    if (Array.isArray(value)) {
+      const out = [];
+      seen.set(value, out);
+      for (const item of value) out.push(_deepClone(item, seen));
+      return out;
+    }
+    if (value instanceof Map) {
+      const out = new Map();
+      seen.set(value, out);
+      for (const [k, v] of value) out.set(k, _deepClone(v, seen));
+      return out;
+    }
+    if (value instanceof Set) {
+      const out = new Set();
+      seen.set(value, out);
+      for (const v of value) out.add(_deepClone(v, seen));
+      return out;
+    }
 
-/*******************************************************
- * ##: Cache Wrapper
- * Wraps a function with caching logic and handle responses
- * @param {String} fnName - Function name
- * @param {Array} args - Function arguments
- * @param {Object} cacheOpts - Cache options
- * @param {Function} runFn - Function to run
- * History:
- * 14-08-2025: Created
- * 18-08-2025: Added support for cache TTL normalization
- * 29-01-2026: Fix undefined cache key
- *******************************************************/
-const withCache = async (fnName, args, cacheOpts, runFn) => {
-  const { enabled = true, key, ttl = DEFAULT_TTL, cacheIf = (r) => r?.status === true } = cacheOpts || {};
+    const out = Object.create(Object.getPrototypeOf(value));
+    seen.set(value, out);
+    for (const k of Object.keys(value)) out[k] = _deepClone(value[k], seen);
+    return out;
+  };
+
+  /*******************************************************
+   * ##: Deep freeze
+   * Freezes objects and arrays recursively (BSON values and buffers are left as they are)
+   * @param {Any} value - The value to freeze
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _deepFreeze = (value) => {
+    if (!value || typeof value !== "object" || Object.isFrozen(value) || _isOpaqueValue(value)) return value;
+    Object.freeze(value);
+    for (const k of Object.keys(value)) _deepFreeze(value[k]);
+    return value;
+  };
+
+  /*******************************************************
+   * ##: Set Cache Clone
+   * Global default for cacheOpts.clone (per-call cacheOpts.clone overrides it)
+   * @param {Boolean|String} mode - false | true/"deep" | "freeze"
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const setCacheClone = (mode) => {
+    if (![false, true, "deep", "freeze"].includes(mode)) {
+      return fail(_validationError('Cache clone mode must be false, true, "deep" or "freeze"'), "setCacheClone");
+    }
+    CACHE_CLONE = _cloneMode(mode);
+    return ok({ message: `Cache clone mode set to ${CACHE_CLONE || "off"}` });
+  };
+
+  /*******************************************************
+   * ##: Cache Wrapper
+   * Wraps a function with caching logic and handle responses
+   * @param {String} fnName - Function name
+   * @param {Array} args - Function arguments
+   * @param {Object} cacheOpts - Cache options
+   * @param {Function} runFn - Function to run
+   * @param {String} [connection] - Named connection (part of the cache key)
+   * History:
+   * 14-08-2025: Created
+   * 18-08-2025: Added support for cache TTL normalization
+   * 29-01-2026: Fix undefined cache key
+   * 18-10-2026: Added tags support
+   * 18-10-2026: Added stampede protection (concurrent misses share one runFn call)
+   * 18-10-2026: Added staleWhileRevalidate (serve expired entry, refresh in background)
+   * 18-10-2026: Await cache calls (async caches such as Redis)
+   * 18-10-2026: Added clone mode (callers never share mutable cached objects)
+   * 18-10-2026: Refuses explicit keys on tenant-scoped reads (tenants would share the entry)
+   * 18-10-2026: Added connection (named connections get their own keys)
+   *******************************************************/
+  const withCache = async (fnName, args, cacheOpts, runFn, connection) => {
+    const { enabled = true, key, ttl = DEFAULT_TTL, tags, staleWhileRevalidate, clone = CACHE_CLONE, cacheIf = (r) => r?.status === true } = cacheOpts || {};
+
+    const normalizedTTL = normalizeTTL(ttl);
+    const swrMs = staleWhileRevalidate ? normalizeTTL(staleWhileRevalidate) : 0;
+    const cloneMode = _cloneMode(clone);
+
+    // Value handed to a caller: a private copy ("deep") or the frozen shared value ("freeze")
+    const _out = (value) => (cloneMode === "deep" ? _deepClone(value) : value);
+
+    if (!enabled) {
+      const res = await runFn();
+      return res && typeof res.status === "boolean" ? res : ok(res);
+    }
 
-  const normalizedTTL = normalizeTTL(ttl);
+    // An explicit key has no tenant segment: every tenant would share the entry (and the in-flight query)
+    if (key != null && _tenantScope(args?.[0])) {
+      return fail(_validationError(`cacheOpts.key cannot be used on tenant-scoped model "${args[0]}": use the auto-built key (it has a tenant segment)`), `${fnName}/validation`);
+    }
 
-  if (!enabled) {
-    const res = await runFn();
-    return res && typeof res.status === "boolean" ? res : ok(res);
-  }
+    const k = typeof key === "string" ? { status: true, data: key } : (key ?? buildCacheKey(fnName, args, connection));
+    if (k.status === false) {
+      // If failed to build cache key, run the function without caching
+      const res = await runFn();
+      return res && typeof res.status === "boolean" ? res : ok(res);
+    }
+    const cacheKey = k.data;
+
+    // Run the query and store the result (wrapped with its stale time when SWR is enabled)
+    const fetchAndStore = async () => {
+      const res = await runFn();
+      const normalized = res && typeof res.status === "boolean" ? res : ok(res);
+      if (cacheIf(normalized)) {
+        // Store a copy (deep) or freeze the value (freeze) so the first caller cannot mutate the cached one
+        const stored = cloneMode === "deep" ? _deepClone(normalized) : cloneMode === "freeze" ? _deepFreeze(normalized) : normalized;
+        // With SWR the entry physically lives for ttl + staleWhileRevalidate
+        const storeTTL = swrMs > 0 ? normalizedTTL + swrMs : normalizedTTL;
+        const entry = swrMs > 0 ? { __swr: true, staleAt: _nowMs() + normalizedTTL, value: stored } : stored;
+        try {
+          await cache.put(cacheKey, entry, storeTTL);
+          METRICS.cache.puts += 1;
+          if (tags) await _tagCacheKey(cacheKey, tags, storeTTL);
+        } catch (err) {
+          // A failing cache store must not fail the read
+          fail(err, `withCache/put/${cacheKey}`);
+        }
+      }
+      return normalized;
+    };
 
-  const k = typeof key === "string" ? { status: true, data: key } : (key ?? buildCacheKey(fnName, args));
-  if (k.status === false) {
-    // If failed to build cache key, run the function without caching
-    const res = await runFn();
-    return res && typeof res.status === "boolean" ? res : ok(res);
-  }
-  const cacheKey = k.data;
+    // Register a flight so concurrent callers (and revalidations) share it
+    const startFlight = () => {
+      const flight = fetchAndStore();
+      INFLIGHT.set(cacheKey, flight);
+      flight.then(
+        () => INFLIGHT.delete(cacheKey),
+        () => INFLIGHT.delete(cacheKey),
+      );
+      return flight;
+    };
 
-  const hit = cache.get(cacheKey);
-  if (hit !== undefined && hit !== null) {
-    METRICS.cache.hits += 1;
-    return hit; // Is already {status,data}
-  }
-  METRICS.cache.misses += 1;
+    // Sync and async (Promise-returning) caches are both supported; a failing get counts as a miss
+    let hit;
+    try {
+      hit = await cache.get(cacheKey);
+    } catch (err) {
+      fail(err, `withCache/get/${cacheKey}`);
+    }
+    if (hit !== undefined && hit !== null) {
+      if (hit.__swr !== true) {
+        METRICS.cache.hits += 1;
+        return _out(hit); // Is already {status,data}
+      }
 
-  const res = await runFn();
-  const normalized = res && typeof res.status === "boolean" ? res : ok(res);
-  if (cacheIf(normalized)) {
-    cache.put(cacheKey, normalized, normalizedTTL);
-    METRICS.cache.puts += 1;
-  }
-  return normalized;
-};
+      // SWR entry: fresh → plain hit; stale → serve it and refresh in background
+      const isStale = _nowMs() >= hit.staleAt;
+      if (!isStale || swrMs > 0) {
+        METRICS.cache.hits += 1;
+        if (isStale) {
+          METRICS.cache.stale += 1;
+          if (!INFLIGHT.has(cacheKey)) {
+            // The stale entry is kept until a refresh succeeds (or the SWR window ends)
+            const ctx = `withCache/revalidate/${cacheKey}`;
+            startFlight().then(
+              (res) => res?.status === false && fail(res.data, ctx),
+              (err) => fail(err, ctx),
+            );
+          }
+        }
+        return _out(hit.value);
+      }
+    }
 
-/*******************************************************
- * ##: Run a unit of work inside a MongoDB transaction
- * @param {Function|Object} workOrObj - Work function (async callback) or object with { work, txOptions }
- * @param {Object} [txOptions={}] - Transaction options { readConcern, writeConcern, readPreference, maxCommitRetries } (if workOrObj is function or missing in object)
- * History:
- * 15-08-2025: Created
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- *******************************************************/
-const withTransaction = async (workOrObj, txOptions = {}) => {
-  let work, resolvedTxOptions;
-
-  if (typeof workOrObj === "object" && workOrObj !== null) {
-    // If first arg is an object, extract properties with fallback to extra args
-    work = workOrObj.work;
-    resolvedTxOptions = workOrObj.txOptions ?? txOptions;
-  } else {
-    // If first arg is function (work), use provided txOptions
-    work = workOrObj;
-    resolvedTxOptions = txOptions;
-  }
+    // Join an in-flight miss for the same key instead of querying again
+    const pending = INFLIGHT.get(cacheKey);
+    if (pending) {
+      METRICS.cache.coalesced += 1;
+      return _out(await pending);
+    }
+    METRICS.cache.misses += 1;
+
+    return await startFlight();
+  };
+
+  /*******************************************************
+   * ##: Run a unit of work inside a MongoDB transaction
+   * @param {Function|Object} workOrObj - Work function (async callback) or object with { work, txOptions, connection }
+   * @param {Object} [txOptions={}] - Transaction options { readConcern, writeConcern, readPreference, maxCommitRetries } (if workOrObj is function or missing in object)
+   * History:
+   * 15-08-2025: Created
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 18-10-2026: Added connection (session started on a named connection)
+   *******************************************************/
+  const withTransaction = async (workOrObj, txOptions = {}) => {
+    let work, resolvedTxOptions, connection;
+
+    if (typeof workOrObj === "object" && workOrObj !== null) {
+      // If first arg is an object, extract properties with fallback to extra args
+      work = workOrObj.work;
+      connection = workOrObj.connection;
+      resolvedTxOptions = workOrObj.txOptions ?? txOptions;
+    } else {
+      // If first arg is function (work), use provided txOptions
+      work = workOrObj;
+      resolvedTxOptions = txOptions;
+    }
 
-  // Ensure work is a function
-  if (typeof work !== "function") {
-    throw new Error("withTransaction: work must be a function");
-  }
+    // Ensure work is a function
+    if (typeof work !== "function") {
+      throw _validationError("withTransaction: work must be a function");
+    }
 
-  // Apply default for txOptions if undefined
-  resolvedTxOptions = resolvedTxOptions ?? {};
+    // Apply default for txOptions if undefined
+    resolvedTxOptions = resolvedTxOptions ?? {};
 
-  const session = await mongoose.startSession();
+    const session = await _registry(connection).startSession();
 
-  // Destructure options
-  const { readConcern, writeConcern, readPreference, maxCommitRetries = 0 } = resolvedTxOptions;
+    // Destructure options
+    const { readConcern, writeConcern, readPreference, maxCommitRetries = 0 } = resolvedTxOptions;
 
-  // Build transaction options
-  const txnOptions = {};
-  if (readConcern) txnOptions.readConcern = { level: readConcern };
-  if (writeConcern) txnOptions.writeConcern = writeConcern;
-  if (readPreference) txnOptions.readPreference = readPreference;
+    // Build transaction options
+    const txnOptions = {};
+    if (readConcern) txnOptions.readConcern = { level: readConcern };
+    if (writeConcern) txnOptions.writeConcern = writeConcern;
+    if (readPreference) txnOptions.readPreference = readPreference;
 
-  // Initialize attempt counter and timeout safeguards
-  let attempt = 0;
-  const maxAttempts = 10; // Hard cap to prevent infinite loops (implement as variable in later versions)
-  const startTime = Date.now();
-  const maxDurationMs = 30000; // Max 30 seconds for retries (implement as variable in later versions)
+    // Initialize attempt counter and timeout safeguards
+    let attempt = 0;
+    const maxAttempts = 10; // Hard cap to prevent infinite loops (implement as variable in later versions)
+    const startTime = Date.now();
+    const maxDurationMs = 30000; // Max 30 seconds for retries (implement as variable in later versions)
 
-  // Define operation name
-  const opName = "withTransaction";
+    // Define operation name
+    const opName = "withTransaction";
 
-  try {
-    // Define result variable
-    let result;
+    try {
+      // Define result variable
+      let result;
 
-    // Record start time
-    const start = _nowNs();
+      // Record start time
+      const start = _nowNs();
 
-    while (true) {
-      // Safeguard: Prevent infinite loops
-      if (attempt >= maxAttempts || Date.now() - startTime > maxDurationMs) {
-        throw new Error(`Transaction retry limit exceeded: max attempts (${maxAttempts}) or duration (${maxDurationMs}ms) reached`);
-      }
+      while (true) {
+        // Safeguard: Prevent infinite loops
+        if (attempt >= maxAttempts || Date.now() - startTime > maxDurationMs) {
+          throw new Error(`Transaction retry limit exceeded: max attempts (${maxAttempts}) or duration (${maxDurationMs}ms) reached`);
+        }
 
-      try {
-        // Start the transaction
-        await session.withTransaction(async () => {
-          // Execute the work function
-          result = await work(session);
-        }, txnOptions);
+        try {
+          // Start the transaction
+          await session.withTransaction(async () => {
+            // Execute the work function
+            result = await work(session);
+          }, txnOptions);
 
-        // Record database operation metrics
-        _recordDb(opName, start);
+          // Record database operation metrics
+          _recordDb(opName, start);
 
-        // Return the result
-        return ok(result);
+          // Return the result
+          return ok(result);
 
-        // Error handling
-      } catch (err) {
-        if (attempt < maxCommitRetries) {
-          attempt += 1;
-          continue; // retry whole transaction
+          // Error handling
+        } catch (err) {
+          if (attempt < maxCommitRetries) {
+            attempt += 1;
+            continue; // retry whole transaction
+          }
+          throw err;
         }
-        throw err;
       }
+
+      // Error handling and finally block
+    } catch (err) {
+      return fail(err, "withTransaction");
+    } finally {
+      await session.endSession();
+    }
+  };
+
+  /*******************************************************
+   * ##: Check if a cache key belongs to a model
+   * Matches auto-built keys ("fnName:model:hash") of the cached read helpers.
+   * Model names are compared after pluralization ("user" and "users" match).
+   * @param {String} key - Cache key
+   * @param {Set<String>} models - Pluralized model names
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _isModelCacheKey = (key, models) => {
+    const [fnName, modelName] = String(key).split(":");
+    return CACHED_READ_OPS.includes(fnName) && modelName !== undefined && models.has(pluralizeName(modelName));
+  };
+
+  // ======================================================
+  // ##: INVALIDATION BUS configuration
+  // Cross-process invalidation: invalidateCache() publishes { origin, keys, prefixes, tags, models }
+  // and every subscribed process applies remote messages locally (without publishing them again)
+  // ======================================================
+  const INSTANCE_ID = `${process.pid}-${Math.random().toString(36).slice(2, 10)}`;
+  let invalidationBus = null;
+  let unsubscribeBus = null;
+
+  // Normalize a value to an array of strings (bus messages may come from other processes)
+  const _toStringArray = (v) => (Array.isArray(v) ? v : v ? [v] : []).filter((x) => typeof x === "string" && x);
+
+  /*******************************************************
+   * ##: Set Invalidation Bus
+   * Set the pub/sub transport used to propagate cache invalidations between processes.
+   * Interface: { publish(message), subscribe(handler) } — subscribe may return an unsubscribe function.
+   * Pass null to disable.
+   * @param {Object|null} bus - The invalidation bus
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const setInvalidationBus = (bus) => {
+    // Detach from the previous bus
+    if (typeof unsubscribeBus === "function") {
+      try {
+        unsubscribeBus();
+      } catch (_) {}
     }
+    unsubscribeBus = null;
+    invalidationBus = null;
 
-    // Error handling and finally block
-  } catch (err) {
-    return fail(err, "withTransaction");
-  } finally {
-    await session.endSession();
-  }
-};
+    if (bus === null || bus === undefined) return ok({ message: "Invalidation bus disabled" });
 
-/*******************************************************
- * ##: Invalidate Cache
- * Invalidate cache by key(s) and/or prefixes
- * @param {string|string[]|{keys?:string|string[], prefixes?:string|string[]}} input - Cache keys and/or prefixes to invalidate
- * History:
- * 14-08-2025: Created
- *******************************************************/
-const invalidateCache = (input) => {
-  try {
-    // Initialize arrays to hold keys and prefixes that should be invalidated
-    let keys = [],
-      prefixes = [];
+    if (typeof bus.publish !== "function" || typeof bus.subscribe !== "function") {
+      return fail(_validationError("Invalid invalidation bus: must have publish and subscribe methods"), "setInvalidationBus");
+    }
 
-    // If nothing was passed, exit early with ok()
-    if (!input) return ok({ invalidated: 0 });
+    try {
+      const unsubscribe = bus.subscribe(_onRemoteInvalidation);
+      unsubscribeBus = typeof unsubscribe === "function" ? unsubscribe : null;
+      invalidationBus = bus;
+      return ok({ message: "Invalidation bus set successfully" });
 
-    // Case 1: input is a single string or an array → treat it as keys
-    if (typeof input === "string" || Array.isArray(input)) {
-      keys = Array.isArray(input) ? input : [input];
+      // Error handling
+    } catch (err) {
+      return fail(err, "setInvalidationBus");
     }
-    // Case 2: input is an object with { keys, prefixes }
-    else if (typeof input === "object") {
-      if (input.keys) keys = Array.isArray(input.keys) ? input.keys : [input.keys];
-      if (input.prefixes) prefixes = Array.isArray(input.prefixes) ? input.prefixes : [input.prefixes];
+  };
+
+  /*******************************************************
+   * ##: Publish an invalidation to other processes
+   * Publish failures are logged and never fail the local invalidation.
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _publishInvalidation = async ({ keys, prefixes, tags, models }) => {
+    if (!invalidationBus) return;
+    if (!keys.length && !prefixes.length && !tags.length && !models.length) return;
+
+    try {
+      await invalidationBus.publish({ origin: INSTANCE_ID, keys, prefixes, tags, models });
+    } catch (err) {
+      fail(err, "invalidateCache/publish");
     }
-
+  };
+
+  /*******************************************************
+   * ##: Handle an invalidation received from the bus
+   * Ignores messages published by this process and never re-publishes.
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const _onRemoteInvalidation = async (message) => {
+    try {
+      if (!message || typeof message !== "object" || message.origin === INSTANCE_ID) return;
+      await _invalidateLocal({
+        keys: _toStringArray(message.keys),
+        prefixes: _toStringArray(message.prefixes),
+        tags: _toStringArray(message.tags),
+        models: _toStringArray(message.models),
+      });
+    } catch (err) {
+      fail(err, "invalidateCache/remote");
+    }
+  };
+
+  /*******************************************************
+   * ##: Apply cache invalidation locally
+   * Deletes matching entries from this process' cache (never publishes).
+   * Used by invalidateCache() and by messages received from the invalidation bus.
+   * @param {Object} target - { keys, prefixes, tags, models } (arrays)
+   * @returns {Promise<Number>} - Number of invalidated entries
+   * History:
+   * 18-10-2026: Created (extracted from invalidateCache)
+   *******************************************************/
+  const _invalidateLocal = async ({ keys = [], prefixes = [], tags = [], models = [] }) => {
     // 1) Invalidate exact keys
     let count = 0;
     for (const k of new Set(keys.filter(Boolean))) {
       // use Set to avoid duplicates
       try {
-        cache.del(k); // delete each key from the cache
+        await cache.del(k); // delete each key from the cache
         count++;
       } catch (_) {}
     }
 
-    // 2) Invalidate keys by prefix (only if supported)
+    // 2) Invalidate keys by prefix (native delByPrefix if supported, otherwise scan keys())
     if (prefixes.length) {
-      // Get all keys currently in cache
-      const all = cache.keys() || [];
-      // For each prefix, remove all keys starting with it
-      for (const p of prefixes.filter(Boolean)) {
-        for (const key of all)
-          if (String(key).startsWith(p)) {
-            try {
-              cache.del(key);
-              count++;
-            } catch (_) {}
-          }
+      const validPrefixes = prefixes.filter(Boolean);
+      if (typeof cache.delByPrefix === "function") {
+        for (const p of validPrefixes) {
+          try {
+            count += Number(await cache.delByPrefix(p)) || 0;
+          } catch (_) {}
+        }
+      } else {
+        // Get all keys currently in cache
+        const all = (await cache.keys()) || [];
+        // For each prefix, remove all keys starting with it
+        for (const p of validPrefixes) {
+          for (const key of all)
+            if (String(key).startsWith(p)) {
+              try {
+                await cache.del(key);
+                count++;
+              } catch (_) {}
+            }
+        }
+      }
+    }
+
+    // 3) Invalidate keys by tag (native delByTag if supported, otherwise resolve keys by tag)
+    for (const tag of new Set(tags.filter(Boolean))) {
+      if (typeof cache.delByTag === "function") {
+        try {
+          count += Number(await cache.delByTag(tag)) || 0;
+        } catch (_) {}
+        continue;
+      }
+      for (const key of await _keysForTag(tag)) {
+        try {
+          await cache.del(key);
+          count++;
+        } catch (_) {}
+      }
+      TAG_INDEX.delete(tag);
+    }
+
+    // 4) Invalidate every auto-keyed cached read of the given models
+    if (models.length) {
+      const names = new Set(models.filter((m) => typeof m === "string" && m).map(pluralizeName));
+      for (const key of (await cache.keys()) || []) {
+        if (_isModelCacheKey(key, names)) {
+          try {
+            await cache.del(key);
+            count++;
+          } catch (_) {}
+        }
       }
     }
 
     // Update metrics: track how many keys were invalidated
     METRICS.cache.invalidations += count;
+    return count;
+  };
+
+  /*******************************************************
+   * ##: Invalidate Cache
+   * Invalidate cache by key(s), prefixes, tags and/or models
+   * @param {string|string[]|{keys?:string|string[], prefixes?:string|string[], tags?:string|string[], models?:string|string[]}} input - Cache keys, prefixes, tags and/or models to invalidate
+   * History:
+   * 14-08-2025: Created
+   * 18-10-2026: Added models (drops every auto-keyed cached read of a model)
+   * 18-10-2026: Added tags (drops every entry cached with cacheOpts.tags)
+   * 18-10-2026: Now async (supports async caches, native delByPrefix/delByTag)
+   * 18-10-2026: Publishes to the invalidation bus (if set) so other processes invalidate too
+   *******************************************************/
+  const invalidateCache = async (input) => {
+    try {
+      // Initialize arrays to hold keys, prefixes, tags and models that should be invalidated
+      let keys = [],
+        prefixes = [],
+        tags = [],
+        models = [];
+
+      // If nothing was passed, exit early with ok()
+      if (!input) return ok({ invalidated: 0 });
+
+      // Case 1: input is a single string or an array → treat it as keys
+      if (typeof input === "string" || Array.isArray(input)) {
+        keys = Array.isArray(input) ? input : [input];
+      }
+      // Case 2: input is an object with { keys, prefixes }
+      else if (typeof input === "object") {
+        if (input.keys) keys = Array.isArray(input.keys) ? input.keys : [input.keys];
+        if (input.prefixes) prefixes = Array.isArray(input.prefixes) ? input.prefixes : [input.prefixes];
+        if (input.tags) tags = Array.isArray(input.tags) ? input.tags : [input.tags];
+        if (input.models) models = Array.isArray(input.models) ? input.models : [input.models];
+      }
 
-    // Return success with number of invalidated entries
-    return ok({ invalidated: count });
+      // Invalidate locally, then let other processes know
+      const count = await _invalidateLocal({ keys, prefixes, tags, models });
+      await _publishInvalidation({ keys, prefixes, tags, models });
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "invalidateCache");
-  }
-};
+      // Return success with number of invalidated entries
+      return ok({ invalidated: count });
 
-/* =========================================== CRUD methods =========================================== */
-/* =========================================== CRUD methods =========================================== */
-/* =========================================== CRUD methods =========================================== */
+      // Error handling
+    } catch (err) {
+      return fail(err, "invalidateCache");
+    }
+  };
+
+  /* =========================================== CRUD methods =========================================== */
+  /* =========================================== CRUD methods =========================================== */
+  /* =========================================== CRUD methods =========================================== */
+
+  /*******************************************************
+   * ##: Create a new document in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, payload, writeArg, connection, timeoutMs, signal }
+   * @param {Object} [data] - Payload object (if modelOrObj is string)
+   * @param {Object} [writeArg] - Write options (e.g., session) (if modelOrObj is string)
+   * History:
+   * 14-08-2025: Created
+   * 15-08-2025: Added write options
+   * 19-08-2025: Removed fallback from options
+   * 22-08-2025: Updated to flexibly accept either separate params or single object
+   * 23-08-2025: Ensured created document is returned as plain object
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 17-11-2025: Support 'data' param in createOne, fallback to 'payload' for compatibility.
+   * 06-12-2025: Added conditional array handling for session support in createOne
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const createOne = _cancellable("createOne", async (modelOrObj, data, writeArg) => {
+    try {
+      let model, resolvedData, resolvedWriteArg, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        // Prefer 'data', fallback to 'payload' for retrocompatibility
+        resolvedData = modelOrObj.data ?? modelOrObj.payload ?? data;
+        resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
+      } else {
+        // If first arg is string (model name), use provided data/payload and writeArg
+        model = modelOrObj;
+        resolvedData = data; // positional argument still works as before
+        resolvedWriteArg = writeArg;
+      }
 
-/*******************************************************
- * ##: Create a new document in a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, payload, writeArg }
- * @param {Object} [data] - Payload object (if modelOrObj is string)
- * @param {Object} [writeArg] - Write options (e.g., session) (if modelOrObj is string)
- * History:
- * 14-08-2025: Created
- * 15-08-2025: Added write options
- * 19-08-2025: Removed fallback from options
- * 22-08-2025: Updated to flexibly accept either separate params or single object
- * 23-08-2025: Ensured created document is returned as plain object
- * 28-08-2025: remove _checkConnection (edge cases)
- * 17-11-2025: Support 'data' param in createOne, fallback to 'payload' for compatibility.
- * 06-12-2025: Added conditional array handling for session support in createOne
- *******************************************************/
-const createOne = async (modelOrObj, data, writeArg) => {
-  try {
-    let model, resolvedData, resolvedWriteArg;
+      // Early validation for edge cases (return fail with custom message)
+      if (modelOrObj === null || modelOrObj === undefined) {
+        return fail(new Error("First argument must be a model name (string) or options object"), "createOne/validation");
+      }
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      // Prefer 'data', fallback to 'payload' for retrocompatibility
-      resolvedData = modelOrObj.data ?? modelOrObj.payload ?? data;
-      resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
-    } else {
-      // If first arg is string (model name), use provided data/payload and writeArg
-      model = modelOrObj;
-      resolvedData = data; // positional argument still works as before
-      resolvedWriteArg = writeArg;
-    }
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "createOne/validation");
+      }
+      if (!resolvedData || typeof resolvedData !== "object") {
+        return fail(new Error("Data is required and must be an object"), "createOne/validation");
+      }
 
-    // Early validation for edge cases (return fail with custom message)
-    if (modelOrObj === null || modelOrObj === undefined) {
-      return fail(new Error("First argument must be a model name (string) or options object"), "createOne/validation");
-    }
+      // Stamp the current tenant onto the document (multi-tenancy)
+      resolvedData = _tenantDoc(model, resolvedData);
 
-    // Validate required parameters (return fail on invalid input to follow contract)
-    if (!model || typeof model !== "string") {
-      return fail(new Error("Model name is required and must be a string"), "createOne/validation");
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("createOne", model, connection);
+      const start = _nowNs();
+
+      // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes, autoInvalidate }
+      const { options: writeOptions, ...invalidation } = _parseWriteArg(resolvedWriteArg);
+      const options = _withMaxTime(writeOptions, timeoutMs);
+
+      let payload = resolvedData;
+      // Model.create() only reads options with an array payload (session for transactions, maxTimeMS, ...)
+      if (options) {
+        payload = [resolvedData];
+      }
+
+      // Create the document
+      const doc = await Model.create(payload, options);
+
+      // Invalidate cache (explicit keys/prefixes, plus every cached read of the model when auto-invalidation is on)
+      await _invalidateAfterWrite(model, invalidation);
+
+      // Record database operation metrics
+      _recordDb(opName, start);
+
+      // Return the created first document if doc was an array
+      if (Array.isArray(doc)) {
+        return ok(doc[0].toObject());
+      }
+
+      // Return the created document
+      return ok(doc.toObject());
+
+      // Error handling
+    } catch (err) {
+      return fail(err, "createOne");
     }
-    if (!resolvedData || typeof resolvedData !== "object") {
-      return fail(new Error("Data is required and must be an object"), "createOne/validation");
+  }, { race: false });
+
+  /*******************************************************
+   * ##: Create many documents (bulk insert)
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, docs, writeArg, connection, timeoutMs, signal }
+   * @param {Array<Object>|Object} [docs] - Array of documents to insert (or single object, coerced to array; if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
+   * History:
+   * 14-08-2025: Created
+   * 15-08-2025: Added write options
+   * 19-08-2025: Removed fallback from options
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props; added explicit coercion of single doc to array
+   * 23-08-2025: Ensured created documents are returned as plain array of objects
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const createMany = _cancellable("createMany", async (modelOrObj, docs, writeArg) => {
+    try {
+      let model, resolvedDocs, resolvedWriteArg, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        resolvedDocs = modelOrObj.docs ?? docs;
+        resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
+      } else {
+        // If first arg is string (model name), use provided docs and writeArg
+        model = modelOrObj;
+        resolvedDocs = docs;
+        resolvedWriteArg = writeArg;
+      }
+
+      // Early validation for edge cases (return fail with custom message)
+      if (modelOrObj === null || modelOrObj === undefined) {
+        return fail(new Error("First argument must be a model name (string) or options object"), "createMany/validation");
+      }
+
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "createMany/validation");
+      }
+      if (!resolvedDocs) {
+        return fail(new Error("Docs are required (array or single object)"), "createMany/validation");
+      }
+
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("createMany", model, connection);
+      const start = _nowNs();
+
+      // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes, autoInvalidate }
+      const { options: writeOptions, ...invalidation } = _parseWriteArg(resolvedWriteArg);
+      const options = _withMaxTime(writeOptions, timeoutMs);
+
+      // Coerce single document to array if necessary (as per function doc), stamping the current tenant (multi-tenancy)
+      const docsToInsert = (Array.isArray(resolvedDocs) ? resolvedDocs : [resolvedDocs]).map((doc) => _tenantDoc(model, doc));
+
+      // Insert the documents
+      const { ordered = true, ...rest } = options || {};
+      const res = await Model.insertMany(docsToInsert, { ordered, ...rest });
+
+      // Invalidate cache (explicit keys/prefixes, plus every cached read of the model when auto-invalidation is on)
+      await _invalidateAfterWrite(model, invalidation);
+
+      // Record database operation metrics
+      _recordDb(opName, start);
+
+      // Return array of plain objects
+      return ok(res.map((doc) => doc.toObject()));
+
+      // Error handling
+    } catch (err) {
+      return fail(err, "createMany");
     }
+  }, { race: false });
+  /*******************************************************
+   * ##: Get a single document from a model (with populate - optional)
+   * Resolve a model and retrieve a single document, with optional
+   * field selection, population of references, sorting, and caching.
+   *
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, populate, cacheOpts, queryOpts, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Array|String} [select] - Fields to select (if modelOrObj is string or missing in object)
+   * @param {Object} [sort] - Sort object (if modelOrObj is string or missing in object)
+   * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
+   * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
+   * @param {Object} [queryOpts] - Query options { readPreference, readConcern, maxTimeMS, hint, collation, comment } (if modelOrObj is string or missing in object)
+   *
+   * History:
+   * 14-08-2025: Created
+   * 21-08-2025: Added populate support
+   * 22-08-2025: Change parameter order
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 06-10-2025: Added sort support
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added queryOpts (read preference, read concern, maxTimeMS, hint, collation, comment)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const getOne = _cancellable("getOne", async (modelOrObj, filter, select, sort, populate, cacheOpts, queryOpts) => {
+    try {
+      let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPopulate, resolvedCacheOpts, resolvedQueryOpts, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedSelect = modelOrObj.select ?? select;
+        resolvedSort = modelOrObj.sort ?? sort;
+        resolvedPopulate = modelOrObj.populate ?? populate;
+        resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
+        resolvedQueryOpts = modelOrObj.queryOpts ?? queryOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedSelect = select;
+        resolvedSort = sort;
+        resolvedPopulate = populate;
+        resolvedCacheOpts = cacheOpts;
+        resolvedQueryOpts = queryOpts;
+      }
+
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "getOne/validation");
+      }
+      if (!resolvedFilter || typeof resolvedFilter !== "object") {
+        return fail(new Error("Filter is required and must be an object"), "getOne/validation");
+      }
+
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
+
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
+
+      // Read routing and query hints (defaults merged with the per-call queryOpts)
+      const queryOptions = _queryOpts(model, resolvedQueryOpts, timeoutMs);
+
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and record start time
+      const opName = _opName("getOne", model, connection);
+      const start = _nowNs();
+
+      // Query executor (with populate and sort support)
+      const runQuery = async () => {
+        let query = Model.findOne(resolvedFilter, resolvedSelect);
+        query = _applyQueryOpts(query, queryOptions);
+        if (resolvedSort) query = query.sort(resolvedSort);
+        if (resolvedPopulate) query = query.populate(resolvedPopulate);
+        const doc = await query.lean();
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+        // Record database operation metrics
+        _recordDb(opName, start);
 
-    // Build operation name and start time
-    const opName = `createOne:${model}`;
-    const start = _nowNs();
+        // Return the found document
+        return ok(doc);
+      };
+
+      // If caching is enabled, wrap query with cache logic
+      if (resolvedCacheOpts?.enabled) {
+        return await withCache("getOne", _withCollation([model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPopulate], queryOptions), resolvedCacheOpts, runQuery, connection);
+      }
 
-    // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes }
-    const { options, invalidateKeys, invalidatePrefixes } = _parseWriteArg(resolvedWriteArg);
+      // Execute query without cache
+      return await runQuery();
 
-    let payload = resolvedData;
-    // Check if options has session (for transaction support)
-    if (options && options.session) {
-      payload = [resolvedData];
+      // Error handling
+    } catch (err) {
+      return fail(err, "getOne");
     }
+  });
+
+  /*******************************************************
+   * ##: Get many documents from a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, populate, cacheOpts, queryOpts, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Array} [select] - Fields to select (if modelOrObj is string or missing in object)
+   * @param {Object} [sort] - Sort object (if modelOrObj is string or missing in object)
+   * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
+   * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
+   * @param {Object} [queryOpts] - Query options { readPreference, readConcern, maxTimeMS, hint, collation, comment } (if modelOrObj is string or missing in object)
+   * History:
+   * 14-08-2025: Created
+   * 20-08-2025: Updated (remove default sort)
+   * 22-08-2025: Added populate support
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added queryOpts (read preference, read concern, maxTimeMS, hint, collation, comment)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const getMany = _cancellable("getMany", async (modelOrObj, filter, select, sort, populate, cacheOpts, queryOpts) => {
+    try {
+      let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPopulate, resolvedCacheOpts, resolvedQueryOpts, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedSelect = modelOrObj.select ?? select;
+        resolvedSort = modelOrObj.sort ?? sort;
+        resolvedPopulate = modelOrObj.populate ?? populate;
+        resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
+        resolvedQueryOpts = modelOrObj.queryOpts ?? queryOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedSelect = select;
+        resolvedSort = sort;
+        resolvedPopulate = populate;
+        resolvedCacheOpts = cacheOpts;
+        resolvedQueryOpts = queryOpts;
+      }
+
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "getMany/validation");
+      }
 
-    // Create the document
-    const doc = await Model.create(payload, options);
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
 
-    // Optional cache invalidation (by key and/or prefix)
-    if (invalidateKeys || invalidatePrefixes) {
-      invalidateCache({ keys: invalidateKeys, prefixes: invalidatePrefixes });
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
+
+      // Read routing and query hints (defaults merged with the per-call queryOpts)
+      const queryOptions = _queryOpts(model, resolvedQueryOpts, timeoutMs);
+
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("getMany", model, connection);
+      const start = _nowNs();
+
+      // Query executor (with populate support)
+      const runQuery = async () => {
+        let query = Model.find(resolvedFilter, resolvedSelect).sort(resolvedSort);
+        query = _applyQueryOpts(query, queryOptions);
+        if (resolvedPopulate) query = query.populate(resolvedPopulate);
+        const docs = await query.lean();
+
+        // Record database operation metrics
+        _recordDb(opName, start);
+
+        // Return the found documents
+        return ok(docs);
+      };
+
+      // Use cache only if cacheOpts is defined/active
+      if (resolvedCacheOpts?.enabled) {
+        return await withCache("getMany", _withCollation([model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPopulate], queryOptions), resolvedCacheOpts, runQuery, connection);
+      }
+
+      // Find the documents without cache
+      return await runQuery();
+
+      // Error handling
+    } catch (err) {
+      return fail(err, "getMany");
     }
+  });
+
+  /*******************************************************
+   * ##: Get many documents from a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, populate, cacheOpts, queryOpts, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Array} [select=[]] - Fields to select (if modelOrObj is string or missing in object)
+   * @param {Object} [sort={}] - Sort object (if modelOrObj is string or missing in object)
+   * @param {Number} limit - Maximum number of documents to return
+   * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
+   * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
+   * @param {Object} [queryOpts] - Query options { readPreference, readConcern, maxTimeMS, hint, collation, comment } (if modelOrObj is string or missing in object)
+   * History:
+   * 04-10-2025: Created (copy of getMany)
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added queryOpts (read preference, read concern, maxTimeMS, hint, collation, comment)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const getManyWithLimit = _cancellable("getManyWithLimit", async (modelOrObj, filter, select = [], sort = {}, limit, populate, cacheOpts, queryOpts) => {
+    try {
+      let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedLimit, resolvedPopulate, resolvedCacheOpts, resolvedQueryOpts, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedSelect = modelOrObj.select ?? select;
+        resolvedSort = modelOrObj.sort ?? sort;
+        resolvedLimit = modelOrObj.limit ?? limit;
+        resolvedPopulate = modelOrObj.populate ?? populate;
+        resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
+        resolvedQueryOpts = modelOrObj.queryOpts ?? queryOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedSelect = select;
+        resolvedSort = sort;
+        resolvedLimit = limit;
+        resolvedPopulate = populate;
+        resolvedCacheOpts = cacheOpts;
+        resolvedQueryOpts = queryOpts;
+      }
+
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "getMany/validation");
+      }
+
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
+
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
+
+      // Read routing and query hints (defaults merged with the per-call queryOpts)
+      const queryOptions = _queryOpts(model, resolvedQueryOpts, timeoutMs);
 
-    // Record database operation metrics
-    _recordDb(opName, start);
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("getManyWithLimit", model, connection);
+      const start = _nowNs();
+
+      // Query executor (with populate support)
+      const runQuery = async () => {
+        let query = Model.find(resolvedFilter, resolvedSelect).sort(resolvedSort);
+        query = _applyQueryOpts(query, queryOptions);
+        if (resolvedLimit && typeof resolvedLimit === "number" && resolvedLimit > 0) {
+          query = query.limit(resolvedLimit);
+        }
+        if (resolvedPopulate) query = query.populate(resolvedPopulate);
+        const docs = await query.lean();
 
-    // Return the created first document if doc was an array
-    if (Array.isArray(doc)) {
-      return ok(doc[0].toObject());
+        // Record database operation metrics
+        _recordDb(opName, start);
+
+        // Return the found documents
+        return ok(docs);
+      };
+
+      // Use cache only if cacheOpts is defined/active
+      if (resolvedCacheOpts?.enabled) {
+        return await withCache(
+          "getManyWithLimit",
+          _withCollation([model, resolvedFilter, resolvedSelect, resolvedSort, resolvedLimit, resolvedPopulate], queryOptions),
+          resolvedCacheOpts,
+          runQuery,
+          connection,
+        );
+      }
+
+      // Find the documents without cache
+      return await runQuery();
+
+      // Error handling
+    } catch (err) {
+      return fail(err, "getManyWithLimit");
     }
+  });
+
+  /*******************************************************
+   * ##: Aggregate documents in a model
+   * Executes a MongoDB aggregation pipeline.
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, pipeline, cacheOpts, queryOpts, connection, timeoutMs, signal }
+   * @param {Array<Object>} [pipeline] - Aggregation pipeline stages (if modelOrObj is string or missing in object)
+   * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
+   * @param {Object} [queryOpts] - Query options { readPreference, readConcern, maxTimeMS, hint, collation, comment } (if modelOrObj is string or missing in object)
+   * History:
+   * 21-08-2025: Created
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added queryOpts (read preference, read concern, maxTimeMS, hint, collation, comment)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const aggregate = _cancellable("aggregate", async (modelOrObj, pipeline, cacheOpts, queryOpts) => {
+    try {
+      let model, resolvedPipeline, resolvedCacheOpts, resolvedQueryOpts, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedPipeline = modelOrObj.pipeline ?? pipeline;
+        resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
+        resolvedQueryOpts = modelOrObj.queryOpts ?? queryOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedPipeline = pipeline;
+        resolvedCacheOpts = cacheOpts;
+        resolvedQueryOpts = queryOpts;
+      }
 
-    // Return the created document
-    return ok(doc.toObject());
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "aggregate/validation");
+      }
+      if (!resolvedPipeline || !Array.isArray(resolvedPipeline)) {
+        return fail(new Error("Pipeline is required and must be an array of stages"), "aggregate/validation");
+      }
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "createOne");
-  }
-};
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedPipeline = _softDeletePipeline(model, resolvedPipeline, withDeleted);
 
-/*******************************************************
- * ##: Create many documents (bulk insert)
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, docs, writeArg }
- * @param {Array<Object>|Object} [docs] - Array of documents to insert (or single object, coerced to array; if modelOrObj is string or missing in object)
- * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
- * History:
- * 14-08-2025: Created
- * 15-08-2025: Added write options
- * 19-08-2025: Removed fallback from options
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props; added explicit coercion of single doc to array
- * 23-08-2025: Ensured created documents are returned as plain array of objects
- * 28-08-2025: remove _checkConnection (edge cases)
- *******************************************************/
-const createMany = async (modelOrObj, docs, writeArg) => {
-  try {
-    let model, resolvedDocs, resolvedWriteArg;
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedPipeline = _tenantPipeline(model, resolvedPipeline);
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedDocs = modelOrObj.docs ?? docs;
-      resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
-    } else {
-      // If first arg is string (model name), use provided docs and writeArg
-      model = modelOrObj;
-      resolvedDocs = docs;
-      resolvedWriteArg = writeArg;
+      // Read routing and query hints (defaults merged with the per-call queryOpts)
+      const queryOptions = _queryOpts(model, resolvedQueryOpts, timeoutMs);
+
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("aggregate", model, connection);
+      const start = _nowNs();
+
+      // Aggregation with the query options (Aggregate.option() takes the same keys as a query)
+      const buildAggregate = () => (queryOptions ? Model.aggregate(resolvedPipeline).option(queryOptions) : Model.aggregate(resolvedPipeline));
+
+      // Use cache only if cacheOpts is defined/active
+      if (resolvedCacheOpts?.enabled) {
+        return await withCache(
+          "aggregate",
+          _withCollation([model, resolvedPipeline], queryOptions),
+          resolvedCacheOpts,
+          async () => {
+            // Execute the aggregation
+            const result = await buildAggregate().exec();
+
+            // Record database operation metrics
+            _recordDb(opName, start);
+
+            // Return the result
+            return ok(result);
+          },
+          connection,
+        );
+      }
+
+      // Execute the aggregation without cache
+      const result = await buildAggregate().exec();
+
+      // Record database operation metrics
+      _recordDb(opName, start);
+
+      // Return the result
+      return ok(result);
+
+      // Error handling
+    } catch (err) {
+      return fail(err, "aggregate");
     }
+  });
+
+  /*******************************************************
+   * ##: Metered cursor
+   * Async generator over a Mongoose cursor; records the total duration and the
+   * number of streamed documents once iteration ends (completed, broken out of or failed)
+   * The iteration throws a TIMEOUT error once timeoutMs has elapsed since the call, or an
+   * ABORTED error once the signal fires; the cursor is closed right away, so a pending read
+   * does not hold the iteration (stopped iterations record no count/latency). The timer and
+   * the abort listener start on the first next(): an iterator never consumed holds nothing,
+   * and the timer is unref'd so an abandoned one never keeps the process alive
+   * @param {Object} cursor - Mongoose QueryCursor or AggregationCursor
+   * @param {String} opName - Operation name for metrics
+   * @param {BigInt} start - Start time (ns)
+   * @param {Object} [cancel] - { timeoutMs, signal }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Added timeoutMs and signal
+   * 18-10-2026: Closes the cursor on timeout/abort; no db metrics for stopped iterations
+   * 18-10-2026: Timer unref'd
+   *******************************************************/
+  const _meteredCursor = async function* (cursor, opName, start, { timeoutMs, signal } = {}) {
+    let docs = 0;
+    let stopped = null; // TIMEOUT / ABORTED error that ended the iteration
+
+    // Release the server-side cursor (ignore errors: already exhausted/closed)
+    const close = async () => {
+      try {
+        if (typeof cursor.close === "function") await cursor.close();
+      } catch (_) {}
+    };
+    const stop = (err) => {
+      if (stopped) return;
+      stopped = err;
+      if (err.code === "TIMEOUT") _recordTimeout(opName);
+      close();
+    };
 
-    // Early validation for edge cases (return fail with custom message)
-    if (modelOrObj === null || modelOrObj === undefined) {
-      return fail(new Error("First argument must be a model name (string) or options object"), "createMany/validation");
+    // Generator body: runs on the first next(), not when the iterator is created
+    const onAbort = () => stop(_abortError(opName, signal));
+    if (signal?.aborted) onAbort();
+    else if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    const timer = timeoutMs ? setTimeout(() => stop(_timeoutError(opName, timeoutMs)), Math.max(0, timeoutMs - _elapsedMs(start))) : undefined;
+    if (typeof timer?.unref === "function") timer.unref();
+
+    try {
+      for await (const doc of cursor) {
+        if (stopped) break;
+        docs += 1;
+        yield doc;
+      }
+      if (stopped) throw stopped;
+    } catch (err) {
+      if (stopped) throw stopped; // Reading from the closed cursor failed
+      if (!isMaxTimeError(err)) throw err;
+      stop(_timeoutError(opName, timeoutMs, err));
+      throw stopped;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+      if (!stopped) _recordDb(opName, start, docs);
+      // Early break, consumer error or destroyed stream
+      await close();
     }
+  };
+
+  /*******************************************************
+   * ##: Iterate many documents from a model
+   * Streams lean documents through a Mongoose cursor instead of loading them into one array
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, populate, streamOpts, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Array} [select=[]] - Fields to select (if modelOrObj is string or missing in object)
+   * @param {Object} [sort={}] - Sort object (if modelOrObj is string or missing in object)
+   * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
+   * @param {Object} [streamOpts] - { batchSize, limit } (if modelOrObj is string or missing in object)
+   * @returns {Object} - { status, data: AsyncIterable<Object> }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const iterateMany = _cancellable("iterateMany", async (modelOrObj, filter, select = [], sort = {}, populate, streamOpts) => {
+    try {
+      let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPopulate, resolvedStreamOpts, withDeleted, connection, timeoutMs, signal;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        signal = modelOrObj.signal;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedSelect = modelOrObj.select ?? select;
+        resolvedSort = modelOrObj.sort ?? sort;
+        resolvedPopulate = modelOrObj.populate ?? populate;
+        resolvedStreamOpts = modelOrObj.streamOpts ?? streamOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedSelect = select;
+        resolvedSort = sort;
+        resolvedPopulate = populate;
+        resolvedStreamOpts = streamOpts;
+      }
 
-    // Validate required parameters (return fail on invalid input to follow contract)
-    if (!model || typeof model !== "string") {
-      return fail(new Error("Model name is required and must be a string"), "createMany/validation");
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "iterateMany/validation");
+      }
+      const { batchSize, limit } = resolvedStreamOpts || {};
+      if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize <= 0)) {
+        return fail(new Error("batchSize must be a positive integer"), "iterateMany/validation");
+      }
+
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
+
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
+
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("iterateMany", model, connection);
+      const start = _nowNs();
+
+      // Build the query and open the cursor (documents are fetched in batches while iterating)
+      let query = Model.find(resolvedFilter ?? {}, resolvedSelect ?? []).sort(resolvedSort ?? {});
+      if (limit && typeof limit === "number" && limit > 0) query = query.limit(limit);
+      if (resolvedPopulate) query = query.populate(resolvedPopulate);
+      if (timeoutMs) query = query.maxTimeMS(Math.ceil(timeoutMs));
+      const cursor = query.lean().cursor(batchSize ? { batchSize } : {});
+
+      // Return the async iterator
+      return ok(_meteredCursor(cursor, opName, start, { timeoutMs, signal }));
+
+      // Error handling
+    } catch (err) {
+      return fail(err, "iterateMany");
     }
-    if (!resolvedDocs) {
-      return fail(new Error("Docs are required (array or single object)"), "createMany/validation");
+  }, { race: false });
+
+  /*******************************************************
+   * ##: Stream many documents from a model
+   * Same as iterateMany, as a Node.js Readable (objectMode)
+   * @returns {Object} - { status, data: Readable }
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const streamMany = async (...args) => {
+    const res = await iterateMany(...args);
+    return res.status ? ok(Readable.from(res.data)) : res;
+  };
+
+  /*******************************************************
+   * ##: Iterate aggregation results
+   * Streams the pipeline output through an aggregation cursor
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, pipeline, streamOpts, connection, timeoutMs, signal }
+   * @param {Array<Object>} [pipeline] - Aggregation pipeline stages (if modelOrObj is string or missing in object)
+   * @param {Object} [streamOpts] - { batchSize, allowDiskUse } (if modelOrObj is string or missing in object)
+   * @returns {Object} - { status, data: AsyncIterable<Object> }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const iterateAggregate = _cancellable("iterateAggregate", async (modelOrObj, pipeline, streamOpts) => {
+    try {
+      let model, resolvedPipeline, resolvedStreamOpts, withDeleted, connection, timeoutMs, signal;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        signal = modelOrObj.signal;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedPipeline = modelOrObj.pipeline ?? pipeline;
+        resolvedStreamOpts = modelOrObj.streamOpts ?? streamOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedPipeline = pipeline;
+        resolvedStreamOpts = streamOpts;
+      }
+
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "iterateAggregate/validation");
+      }
+      if (!resolvedPipeline || !Array.isArray(resolvedPipeline)) {
+        return fail(new Error("Pipeline is required and must be an array of stages"), "iterateAggregate/validation");
+      }
+      const { batchSize, allowDiskUse } = resolvedStreamOpts || {};
+      if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize <= 0)) {
+        return fail(new Error("batchSize must be a positive integer"), "iterateAggregate/validation");
+      }
+
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedPipeline = _softDeletePipeline(model, resolvedPipeline, withDeleted);
+
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedPipeline = _tenantPipeline(model, resolvedPipeline);
+
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("iterateAggregate", model, connection);
+      const start = _nowNs();
+
+      // Open the aggregation cursor
+      let agg = Model.aggregate(resolvedPipeline);
+      if (allowDiskUse) agg = agg.allowDiskUse(true);
+      if (timeoutMs) agg = agg.option({ maxTimeMS: Math.ceil(timeoutMs) });
+      const cursor = agg.cursor(batchSize ? { batchSize } : {});
+
+      // Return the async iterator
+      return ok(_meteredCursor(cursor, opName, start, { timeoutMs, signal }));
+
+      // Error handling
+    } catch (err) {
+      return fail(err, "iterateAggregate");
     }
+  }, { race: false });
+
+  /*******************************************************
+   * ##: Stream aggregation results
+   * Same as iterateAggregate, as a Node.js Readable (objectMode)
+   * @returns {Object} - { status, data: Readable }
+   * History:
+   * 18-10-2026: Created
+   *******************************************************/
+  const streamAggregate = async (...args) => {
+    const res = await iterateAggregate(...args);
+    return res.status ? ok(Readable.from(res.data)) : res;
+  };
+
+  /*******************************************************
+   * ##: Update a single document in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, data, writeArg, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Object} [data] - Update data (if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
+   * History:
+   * 14-08-2025: Created
+   * 15-08-2025: Added write options
+   * 19-08-2025: Removed fallback from options
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 13-11-2025: Fixed incorrect returning document
+   * 19-01-2026: Fix wantsDoc res.toObject() when res is null
+   * 18-10-2026: Lean / includeResultMetadata results are returned as is (no toObject())
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Tenant field guarded in the update (TENANT_MISMATCH)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const updateOne = _cancellable("updateOne", async (modelOrObj, filter, data, writeArg) => {
+    try {
+      let model, resolvedFilter, resolvedData, resolvedWriteArg, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedData = modelOrObj.data ?? data;
+        resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedData = data;
+        resolvedWriteArg = writeArg;
+      }
+
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "updateOne/validation");
+      }
+      if (!resolvedFilter || typeof resolvedFilter !== "object") {
+        return fail(new Error("Filter is required and must be an object"), "updateOne/validation");
+      }
+      if (!resolvedData || typeof resolvedData !== "object") {
+        return fail(new Error("Data is required and must be an object"), "updateOne/validation");
+      }
+
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
+
+      // Restrict to the current tenant and refuse updates that move the document to another tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
+      resolvedData = _tenantUpdate(model, resolvedData);
+
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("updateOne", model, connection);
+      const start = _nowNs();
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+      // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes, autoInvalidate }
+      const { options: writeOptions, ...invalidation } = _parseWriteArg(resolvedWriteArg);
+      const options = _withMaxTime(writeOptions, timeoutMs);
 
-    // Build operation name and start time
-    const opName = `createMany:${model}`;
-    const start = _nowNs();
+      let res;
+      const _wantsDoc = wantsDoc(options);
 
-    // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes }
-    const { options, invalidateKeys, invalidatePrefixes } = _parseWriteArg(resolvedWriteArg);
+      // Update the document - return document if requested, otherwise return operation result
+      if (_wantsDoc && typeof Model.findOneAndUpdate === "function") {
+        // Update and return the document
+        res = await Model.findOneAndUpdate(resolvedFilter, resolvedData, options);
+      } else {
+        // Update without returning the document
+        res = await Model.updateOne(resolvedFilter, resolvedData, options);
+      }
 
-    // Coerce single document to array if necessary (as per function doc)
-    const docsToInsert = Array.isArray(resolvedDocs) ? resolvedDocs : [resolvedDocs];
+      // Invalidate cache (explicit keys/prefixes, plus every cached read of the model when auto-invalidation is on)
+      await _invalidateAfterWrite(model, invalidation);
 
-    // Insert the documents
-    const { ordered = true, ...rest } = options || {};
-    const res = await Model.insertMany(docsToInsert, { ordered, ...rest });
+      // Record database operation metrics
+      _recordDb(opName, start);
 
-    // Optional cache invalidation (by key and/or prefix)
-    if (invalidateKeys || invalidatePrefixes) {
-      invalidateCache({ keys: invalidateKeys, prefixes: invalidatePrefixes });
-    }
+      // Return the result (guard null when findOneAndUpdate matches nothing)
+      return ok(_wantsDoc ? toPlainDoc(res) : res);
 
-    // Record database operation metrics
-    _recordDb(opName, start);
+      // Error handling
+    } catch (err) {
+      return fail(err, "updateOne");
+    }
+  }, { race: false });
+
+  /*******************************************************
+   * ##: Update many documents in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, data, writeArg, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Object} [data] - Update data (if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
+   * History:
+   * 14-08-2025: Created
+   * 15-08-2025: Added write options
+   * 19-08-2025: Removed fallback from options
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Tenant field guarded in the update (TENANT_MISMATCH)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const updateMany = _cancellable("updateMany", async (modelOrObj, filter, data, writeArg) => {
+    try {
+      let model, resolvedFilter, resolvedData, resolvedWriteArg, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedData = modelOrObj.data ?? data;
+        resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedData = data;
+        resolvedWriteArg = writeArg;
+      }
 
-    // Return array of plain objects
-    return ok(res.map((doc) => doc.toObject()));
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "createMany");
-  }
-};
-/*******************************************************
- * ##: Get a single document from a model (with populate - optional)
- * Resolve a model and retrieve a single document, with optional
- * field selection, population of references, sorting, and caching.
- *
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, populate, cacheOpts }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {Array|String} [select] - Fields to select (if modelOrObj is string or missing in object)
- * @param {Object} [sort] - Sort object (if modelOrObj is string or missing in object)
- * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
- * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
- *
- * History:
- * 14-08-2025: Created
- * 21-08-2025: Added populate support
- * 22-08-2025: Change parameter order
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- * 28-08-2025: remove _checkConnection (edge cases)
- * 06-10-2025: Added sort support
- *******************************************************/
-const getOne = async (modelOrObj, filter, select, sort, populate, cacheOpts) => {
-  try {
-    let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPopulate, resolvedCacheOpts;
+      // Restrict to the current tenant and refuse updates that move the document to another tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
+      resolvedData = _tenantUpdate(model, resolvedData);
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedSelect = modelOrObj.select ?? select;
-      resolvedSort = modelOrObj.sort ?? sort;
-      resolvedPopulate = modelOrObj.populate ?? populate;
-      resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedSelect = select;
-      resolvedSort = sort;
-      resolvedPopulate = populate;
-      resolvedCacheOpts = cacheOpts;
-    }
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
 
-    // Validate required parameters (return fail on invalid input to follow contract)
-    if (!model || typeof model !== "string") {
-      return fail(new Error("Model name is required and must be a string"), "getOne/validation");
-    }
-    if (!resolvedFilter || typeof resolvedFilter !== "object") {
-      return fail(new Error("Filter is required and must be an object"), "getOne/validation");
-    }
+      // Build operation name and start time
+      const opName = _opName("updateMany", model, connection);
+      const start = _nowNs();
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+      // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes, autoInvalidate }
+      const { options: writeOptions, ...invalidation } = _parseWriteArg(resolvedWriteArg);
+      const options = _withMaxTime(writeOptions, timeoutMs);
 
-    // Build operation name and record start time
-    const opName = `getOne:${model}`;
-    const start = _nowNs();
+      // Update the documents
+      const res = await Model.updateMany(resolvedFilter, resolvedData, options);
 
-    // Query executor (with populate and sort support)
-    const runQuery = async () => {
-      let query = Model.findOne(resolvedFilter, resolvedSelect);
-      if (resolvedSort) query = query.sort(resolvedSort);
-      if (resolvedPopulate) query = query.populate(resolvedPopulate);
-      const doc = await query.lean();
+      // Invalidate cache (explicit keys/prefixes, plus every cached read of the model when auto-invalidation is on)
+      await _invalidateAfterWrite(model, invalidation);
 
       // Record database operation metrics
       _recordDb(opName, start);
 
-      // Return the found document
-      return ok(doc);
-    };
+      // Return the updated documents
+      return ok(res);
 
-    // If caching is enabled, wrap query with cache logic
-    if (resolvedCacheOpts?.enabled) {
-      return await withCache("getOne", [model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPopulate], resolvedCacheOpts, runQuery);
+      // Error handling
+    } catch (err) {
+      return fail(err, "updateMany");
     }
+  }, { race: false });
+
+  /*******************************************************
+   * ##: Delete a single document in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, writeArg, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
+   * History:
+   * 14-08-2025: Created
+   * 15-08-2025: Added write options
+   * 19-08-2025: Removed fallback from options
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 18-10-2026: Added returnDocument option (findOneAndDelete, returns the deleted document)
+   * 18-10-2026: Lean / includeResultMetadata results are returned as is (no toObject())
+   * 18-10-2026: Soft-delete mode (sets the marker field; options.hardDelete removes the document)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const deleteOne = _cancellable("deleteOne", async (modelOrObj, filter, writeArg) => {
+    try {
+      let model, resolvedFilter, resolvedWriteArg, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedWriteArg = writeArg;
+      }
 
-    // Execute query without cache
-    return await runQuery();
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
+
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("deleteOne", model, connection);
+      const start = _nowNs();
+
+      // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes, autoInvalidate }
+      const { options: writeOptions, ...invalidation } = _parseWriteArg(resolvedWriteArg);
+      const options = _withMaxTime(writeOptions, timeoutMs);
+
+      let res;
+      const _wantsDoc = wantsDeletedDoc(options);
+
+      // returnDocument/hardDelete only select the path, they are not driver options
+      const { returnDocument, hardDelete, ...deleteOptions } = options || {};
+      const sd = hardDelete ? null : _softDelete(model);
+
+      // Delete the document - return the deleted document if requested, otherwise return operation result
+      if (sd) {
+        // Soft delete: set the marker on a not-yet-deleted document
+        const update = { $set: { [sd.field]: new Date() } };
+        const liveFilter = _softDeleteFilter(model, resolvedFilter, false);
+        if (_wantsDoc && typeof Model.findOneAndUpdate === "function") {
+          res = await Model.findOneAndUpdate(liveFilter, update, { ...deleteOptions, new: true });
+        } else {
+          const r = await Model.updateOne(liveFilter, update, deleteOptions);
+          res = { acknowledged: r.acknowledged, deletedCount: r.modifiedCount, softDeleted: true };
+        }
+      } else if (_wantsDoc && typeof Model.findOneAndDelete === "function") {
+        res = await Model.findOneAndDelete(resolvedFilter, deleteOptions);
+      } else {
+        // Delete without returning the document
+        res = await Model.deleteOne(resolvedFilter, deleteOptions);
+      }
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "getOne");
-  }
-};
+      // Invalidate cache (explicit keys/prefixes, plus every cached read of the model when auto-invalidation is on)
+      await _invalidateAfterWrite(model, invalidation);
 
-/*******************************************************
- * ##: Get many documents from a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, populate, cacheOpts }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {Array} [select] - Fields to select (if modelOrObj is string or missing in object)
- * @param {Object} [sort] - Sort object (if modelOrObj is string or missing in object)
- * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
- * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
- * History:
- * 14-08-2025: Created
- * 20-08-2025: Updated (remove default sort)
- * 22-08-2025: Added populate support
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- * 28-08-2025: remove _checkConnection (edge cases)
- *******************************************************/
-const getMany = async (modelOrObj, filter, select, sort, populate, cacheOpts) => {
-  try {
-    let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPopulate, resolvedCacheOpts;
+      // Record database operation metrics
+      _recordDb(opName, start);
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedSelect = modelOrObj.select ?? select;
-      resolvedSort = modelOrObj.sort ?? sort;
-      resolvedPopulate = modelOrObj.populate ?? populate;
-      resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedSelect = select;
-      resolvedSort = sort;
-      resolvedPopulate = populate;
-      resolvedCacheOpts = cacheOpts;
-    }
+      // Return the result (deleted document as plain object, or null when nothing matched)
+      return ok(_wantsDoc ? toPlainDoc(res) : res);
 
-    // Validate required parameters (return fail on invalid input to follow contract)
-    if (!model || typeof model !== "string") {
-      return fail(new Error("Model name is required and must be a string"), "getMany/validation");
+      // Error handling
+    } catch (err) {
+      return fail(err, "deleteOne");
     }
+  }, { race: false });
+
+  /*******************************************************
+   * ##: Delete many documents in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, writeArg, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
+   * History:
+   * 14-08-2025: Created
+   * 15-08-2025: Added write options
+   * 19-08-2025: Removed fallback from options
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 18-10-2026: Soft-delete mode (sets the marker field; options.hardDelete removes the documents)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const deleteMany = _cancellable("deleteMany", async (modelOrObj, filter, writeArg) => {
+    try {
+      let model, resolvedFilter, resolvedWriteArg, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedWriteArg = writeArg;
+      }
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
 
-    // Build operation name and start time
-    const opName = `getMany:${model}`;
-    const start = _nowNs();
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
 
-    // Query executor (with populate support)
-    const runQuery = async () => {
-      let query = Model.find(resolvedFilter, resolvedSelect).sort(resolvedSort);
-      if (resolvedPopulate) query = query.populate(resolvedPopulate);
-      const docs = await query.lean();
+      // Build operation name and start time
+      const opName = _opName("deleteMany", model, connection);
+      const start = _nowNs();
 
-      // Record database operation metrics
-      _recordDb(opName, start);
+      // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes, autoInvalidate }
+      const { options: writeOptions, ...invalidation } = _parseWriteArg(resolvedWriteArg);
+      const options = _withMaxTime(writeOptions, timeoutMs);
 
-      // Return the found documents
-      return ok(docs);
-    };
+      // Soft delete: set the marker on not-yet-deleted documents (options.hardDelete removes them)
+      const { hardDelete, ...deleteOptions } = options || {};
+      const sd = hardDelete ? null : _softDelete(model);
 
-    // Use cache only if cacheOpts is defined/active
-    if (resolvedCacheOpts?.enabled) {
-      return await withCache("getMany", [model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPopulate], resolvedCacheOpts, runQuery);
-    }
+      // Delete the documents
+      let res;
+      if (sd) {
+        const r = await Model.updateMany(_softDeleteFilter(model, resolvedFilter, false), { $set: { [sd.field]: new Date() } }, deleteOptions);
+        res = { acknowledged: r.acknowledged, deletedCount: r.modifiedCount, softDeleted: true };
+      } else {
+        res = await Model.deleteMany(resolvedFilter, deleteOptions);
+      }
 
-    // Find the documents without cache
-    return await runQuery();
+      // Invalidate cache (explicit keys/prefixes, plus every cached read of the model when auto-invalidation is on)
+      await _invalidateAfterWrite(model, invalidation);
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "getMany");
-  }
-};
+      // Record database operation metrics
+      _recordDb(opName, start);
 
-/*******************************************************
- * ##: Get many documents from a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, populate, cacheOpts }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {Array} [select=[]] - Fields to select (if modelOrObj is string or missing in object)
- * @param {Object} [sort={}] - Sort object (if modelOrObj is string or missing in object)
- * @param {Number} limit - Maximum number of documents to return
- * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
- * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
- * History:
- * 04-10-2025: Created (copy of getMany)
- *******************************************************/
-const getManyWithLimit = async (modelOrObj, filter, select = [], sort = {}, limit, populate, cacheOpts) => {
-  try {
-    let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedLimit, resolvedPopulate, resolvedCacheOpts;
+      // Return the result
+      return ok(res);
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedSelect = modelOrObj.select ?? select;
-      resolvedSort = modelOrObj.sort ?? sort;
-      resolvedLimit = modelOrObj.limit ?? limit;
-      resolvedPopulate = modelOrObj.populate ?? populate;
-      resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedSelect = select;
-      resolvedSort = sort;
-      resolvedLimit = limit;
-      resolvedPopulate = populate;
-      resolvedCacheOpts = cacheOpts;
+      // Error handling
+    } catch (err) {
+      return fail(err, "deleteMany");
     }
+  }, { race: false });
+
+  /*******************************************************
+   * ##: Soft-delete maintenance (shared by restoreOne, restoreMany and purgeDeleted)
+   * Only ever touches soft-deleted documents ({ [field]: { $ne: null } } is always added)
+   * @param {String} fnName - Helper name (metrics/logging)
+   * @param {Function} exec - async (Model, deletedFilter, options, field) => result
+   * @param {Array} args - Original helper arguments (modelOrObj, filter, writeArg)
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   *******************************************************/
+  const _softDeleteMaintenance = async (fnName, exec, [modelOrObj, filter, writeArg]) => {
+    try {
+      let model, resolvedFilter, resolvedWriteArg, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedWriteArg = writeArg;
+      }
 
-    // Validate required parameters (return fail on invalid input to follow contract)
-    if (!model || typeof model !== "string") {
-      return fail(new Error("Model name is required and must be a string"), "getMany/validation");
-    }
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), `${fnName}/validation`);
+      }
+      const sd = _softDelete(model);
+      if (!sd) {
+        return fail(new Error(`Soft delete is not enabled for model "${model}"`), `${fnName}/validation`);
+      }
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
 
-    // Build operation name and start time
-    const opName = `getManyWithLimit:${model}`;
-    const start = _nowNs();
+      // Build operation name and start time
+      const opName = _opName(fnName, model, connection);
+      const start = _nowNs();
 
-    // Query executor (with populate support)
-    const runQuery = async () => {
-      let query = Model.find(resolvedFilter, resolvedSelect).sort(resolvedSort);
-      if (resolvedLimit && typeof resolvedLimit === "number" && resolvedLimit > 0) {
-        query = query.limit(resolvedLimit);
-      }
-      if (resolvedPopulate) query = query.populate(resolvedPopulate);
-      const docs = await query.lean();
+      // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes, autoInvalidate }
+      const { options: writeOptions, ...invalidation } = _parseWriteArg(resolvedWriteArg);
+      const options = _withMaxTime(writeOptions, timeoutMs);
+
+      const deletedFilter = { $and: [_tenantFilter(model, resolvedFilter ?? {}), { [sd.field]: { $ne: null } }] };
+      const res = await exec(Model, deletedFilter, options, sd.field);
+
+      // Invalidate cache (explicit keys/prefixes, plus every cached read of the model when auto-invalidation is on)
+      await _invalidateAfterWrite(model, invalidation);
 
       // Record database operation metrics
       _recordDb(opName, start);
 
-      // Return the found documents
-      return ok(docs);
-    };
+      // Return the result
+      return ok(res);
 
-    // Use cache only if cacheOpts is defined/active
-    if (resolvedCacheOpts?.enabled) {
-      return await withCache(
-        "getManyWithLimit",
-        [model, resolvedFilter, resolvedSelect, resolvedSort, resolvedLimit, resolvedPopulate],
-        resolvedCacheOpts,
-        runQuery,
-      );
+      // Error handling
+    } catch (err) {
+      return fail(err, fnName);
     }
+  };
+
+  /*******************************************************
+   * ##: Restore a soft-deleted document in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, writeArg, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
+   * @returns {Object} - { status, data: { acknowledged, restoredCount } }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const restoreOne = _cancellable("restoreOne", async (modelOrObj, filter, writeArg) =>
+    _softDeleteMaintenance(
+      "restoreOne",
+      async (Model, deletedFilter, options, field) => {
+        const res = await Model.updateOne(deletedFilter, { $unset: { [field]: 1 } }, options);
+        return { acknowledged: res.acknowledged, restoredCount: res.modifiedCount };
+      },
+      [modelOrObj, filter, writeArg],
+    ),
+    { race: false },
+  );
 
-    // Find the documents without cache
-    return await runQuery();
+  /*******************************************************
+   * ##: Restore soft-deleted documents in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, writeArg, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
+   * @returns {Object} - { status, data: { acknowledged, restoredCount } }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const restoreMany = _cancellable("restoreMany", async (modelOrObj, filter, writeArg) =>
+    _softDeleteMaintenance(
+      "restoreMany",
+      async (Model, deletedFilter, options, field) => {
+        const res = await Model.updateMany(deletedFilter, { $unset: { [field]: 1 } }, options);
+        return { acknowledged: res.acknowledged, restoredCount: res.modifiedCount };
+      },
+      [modelOrObj, filter, writeArg],
+    ),
+    { race: false },
+  );
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "getManyWithLimit");
-  }
-};
+  /*******************************************************
+   * ##: Permanently remove soft-deleted documents in a model
+   * e.g. purgeDeleted("users", { deletedAt: { $lt: thirtyDaysAgo } })
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, writeArg, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
+   * @returns {Object} - { status, data: driver deleteMany result }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const purgeDeleted = _cancellable("purgeDeleted", async (modelOrObj, filter, writeArg) =>
+    _softDeleteMaintenance("purgeDeleted", (Model, deletedFilter, options) => Model.deleteMany(deletedFilter, options), [modelOrObj, filter, writeArg]),
+    { race: false },
+  );
 
-/*******************************************************
- * ##: Aggregate documents in a model
- * Executes a MongoDB aggregation pipeline.
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, pipeline, cacheOpts }
- * @param {Array<Object>} [pipeline] - Aggregation pipeline stages (if modelOrObj is string or missing in object)
- * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
- * History:
- * 21-08-2025: Created
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- * 28-08-2025: remove _checkConnection (edge cases)
- *******************************************************/
-const aggregate = async (modelOrObj, pipeline, cacheOpts) => {
-  try {
-    let model, resolvedPipeline, resolvedCacheOpts;
+  /****************************************************
+   * ##: Check if a document should be returned
+   * @param {object} opts - Options object
+   * History:
+   * 28-08-2025: Created
+   ****************************************************/
+  function wantsDoc(opts) {
+    return opts?.new === true || opts?.returnDocument === "after" || opts?.returnDocument === true;
+  }
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedPipeline = modelOrObj.pipeline ?? pipeline;
-      resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedPipeline = pipeline;
-      resolvedCacheOpts = cacheOpts;
-    }
+  /****************************************************
+   * ##: Check if a deleted document should be returned
+   * Any returnDocument value (true, "before", "after") asks for the removed document
+   * @param {object} opts - Options object
+   * History:
+   * 18-10-2026: Created
+   ****************************************************/
+  function wantsDeletedDoc(opts) {
+    return opts?.returnDocument === true || opts?.returnDocument === "before" || opts?.returnDocument === "after";
+  }
 
-    // Validate required parameters (return fail on invalid input to follow contract)
-    if (!model || typeof model !== "string") {
-      return fail(new Error("Model name is required and must be a string"), "aggregate/validation");
-    }
-    if (!resolvedPipeline || !Array.isArray(resolvedPipeline)) {
-      return fail(new Error("Pipeline is required and must be an array of stages"), "aggregate/validation");
-    }
+  /****************************************************
+   * ##: Plain object of a returned document
+   * Hydrated documents go through toObject(); lean results and
+   * includeResultMetadata responses are returned as is
+   * @param {any} res - findOneAndUpdate / findOneAndDelete result
+   * @returns {Object|null} - null when nothing matched
+   * History:
+   * 18-10-2026: Created
+   ****************************************************/
+  function toPlainDoc(res) {
+    return typeof res?.toObject === "function" ? res.toObject() : (res ?? null);
+  }
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+  /*******************************************************
+   * ##: Upsert a single document in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, data, writeArg, withDeleted, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Object} [data] - Upsert data (if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
+   * History:
+   * 14-08-2025: Created
+   * 15-08-2025: Added write options
+   * 19-08-2025: Removed fallback from options
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 28-08-2025: remove _checkConnection (edge cases) and implement option for returning the upserted document or counts
+   * 13-11-2025: Fixed incorrect returning document
+   * 19-01-2026: Fix wantsDoc res.toObject() when res is null
+   * 18-10-2026: Lean / includeResultMetadata results are returned as is (no toObject())
+   * 18-10-2026: Soft-delete scoping (never matches a soft-deleted document unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Tenant field guarded in the update (TENANT_MISMATCH)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const upsertOne = _cancellable("upsertOne", async (modelOrObj, filter, data, writeArg) => {
+    try {
+      let model, resolvedFilter, resolvedData, resolvedWriteArg, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedData = modelOrObj.data ?? data;
+        resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedData = data;
+        resolvedWriteArg = writeArg;
+      }
 
-    // Build operation name and start time
-    const opName = `aggregate:${model}`;
-    const start = _nowNs();
+      // Match live documents only, so the upsert inserts instead of reviving a soft-deleted one (object form: withDeleted: true)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
 
-    // Use cache only if cacheOpts is defined/active
-    if (resolvedCacheOpts?.enabled) {
-      return await withCache("aggregate", [model, resolvedPipeline], resolvedCacheOpts, async () => {
-        // Execute the aggregation
-        const result = await Model.aggregate(resolvedPipeline).exec();
+      // Restrict to the current tenant and refuse updates that move the document to another tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
+      resolvedData = _tenantUpdate(model, resolvedData);
 
-        // Record database operation metrics
-        _recordDb(opName, start);
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
 
-        // Return the result
-        return ok(result);
-      });
-    }
+      // Build operation name and start time
+      const opName = _opName("upsertOne", model, connection);
+      const start = _nowNs();
 
-    // Execute the aggregation without cache
-    const result = await Model.aggregate(resolvedPipeline).exec();
+      // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes, autoInvalidate }
+      const { options: writeOptions, ...invalidation } = _parseWriteArg(resolvedWriteArg);
+      const options = _withMaxTime(writeOptions, timeoutMs);
 
-    // Record database operation metrics
-    _recordDb(opName, start);
+      // Merge user-provided options with upsert:true (user options cannot disable upsert)
+      const opts = { upsert: true, ...options };
+      let res;
+      const _wantsDoc = wantsDoc(opts);
 
-    // Return the result
-    return ok(result);
+      // Upsert the document
+      if (_wantsDoc && typeof Model.findOneAndUpdate === "function") {
+        // Upsert and return the document
+        res = await Model.findOneAndUpdate(resolvedFilter, resolvedData, opts);
+      } else {
+        // Upsert without returning the document
+        res = await Model.updateOne(resolvedFilter, resolvedData, opts);
+      }
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "aggregate");
-  }
-};
+      // Invalidate cache (explicit keys/prefixes, plus every cached read of the model when auto-invalidation is on)
+      await _invalidateAfterWrite(model, invalidation);
 
-/*******************************************************
- * ##: Update a single document in a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, data, writeArg }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {Object} [data] - Update data (if modelOrObj is string or missing in object)
- * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
- * History:
- * 14-08-2025: Created
- * 15-08-2025: Added write options
- * 19-08-2025: Removed fallback from options
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- * 28-08-2025: remove _checkConnection (edge cases)
- * 13-11-2025: Fixed incorrect returning document
- * 19-01-2026: Fix wantsDoc res.toObject() when res is null
- *******************************************************/
-const updateOne = async (modelOrObj, filter, data, writeArg) => {
-  try {
-    let model, resolvedFilter, resolvedData, resolvedWriteArg;
+      // Record database operation metrics
+      _recordDb(opName, start);
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedData = modelOrObj.data ?? data;
-      resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedData = data;
-      resolvedWriteArg = writeArg;
-    }
+      // Return the result (guard null when findOneAndUpdate matches nothing)
+      return ok(_wantsDoc ? toPlainDoc(res) : res);
 
-    // Validate required parameters (return fail on invalid input to follow contract)
-    if (!model || typeof model !== "string") {
-      return fail(new Error("Model name is required and must be a string"), "updateOne/validation");
+      // Error handling
+    } catch (err) {
+      return fail(err, "upsertOne");
     }
-    if (!resolvedFilter || typeof resolvedFilter !== "object") {
-      return fail(new Error("Filter is required and must be an object"), "updateOne/validation");
-    }
-    if (!resolvedData || typeof resolvedData !== "object") {
-      return fail(new Error("Data is required and must be an object"), "updateOne/validation");
+  }, { race: false });
+
+  // Default number of operations sent per bulkWrite round trip
+  const BULK_CHUNK_SIZE = 1000;
+
+  // Per-operation errors of a bulkWrite chunk (write errors and Mongoose cast/validation errors), indexed against the full ops array
+  const _bulkWriteErrors = (err, offset) => {
+    const results = err?.mongoose?.results; // Unordered with invalid ops: one entry per op (null when it succeeded)
+    if (Array.isArray(results)) {
+      const errors = [];
+      results.forEach((r, i) => {
+        if (r) errors.push({ index: offset + i, code: r.code ?? null, message: r.errmsg ?? r.message ?? String(r) });
+      });
+      return errors;
     }
+    return (err?.writeErrors || []).map((e) => ({
+      index: offset + (e.index ?? e.err?.index ?? 0),
+      code: e.code ?? null,
+      message: e.errmsg ?? e.err?.errmsg ?? e.message,
+    }));
+  };
+
+  /*******************************************************
+   * ##: Bulk write (mixed operations) in a model
+   * Sends insertOne / updateOne / updateMany / replaceOne / deleteOne / deleteMany
+   * operations in chunks and returns normalized counts plus per-operation errors.
+   * Ordered (default): stops at the first failed operation. Unordered: runs every operation.
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, ops, writeArg, withDeleted, connection, timeoutMs, signal }
+   * @param {Array<Object>} [ops] - Bulk operations (if modelOrObj is string or missing in object)
+   * @param {String|String[]|Object} [writeArg] - Flexible extra arg; options also accept ordered and chunkSize (if modelOrObj is string or missing in object)
+   * @returns {Object} - { status, data: { insertedCount, matchedCount, modifiedCount, deletedCount, upsertedCount, insertedIds, upsertedIds, errors } }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Soft-delete scoping for update/replace operations (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Soft-delete mode turns delete operations into marker updates (options.hardDelete removes the documents)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const bulkWrite = _cancellable("bulkWrite", async (modelOrObj, ops, writeArg) => {
+    try {
+      let model, resolvedOps, resolvedWriteArg, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedOps = modelOrObj.ops ?? ops;
+        resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedOps = ops;
+        resolvedWriteArg = writeArg;
+      }
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "bulkWrite/validation");
+      }
+      if (!Array.isArray(resolvedOps) || resolvedOps.length === 0) {
+        return fail(new Error("Ops must be a non-empty array of bulk operations"), "bulkWrite/validation");
+      }
 
-    // Build operation name and start time
-    const opName = `updateOne:${model}`;
-    const start = _nowNs();
+      // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes, autoInvalidate }
+      const { options: writeOptions, ...invalidation } = _parseWriteArg(resolvedWriteArg);
+      const { hardDelete, ...options } = _withMaxTime(writeOptions, timeoutMs) || {};
 
-    // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes }
-    const { options, invalidateKeys, invalidatePrefixes } = _parseWriteArg(resolvedWriteArg);
+      // Update/replace operations skip soft-deleted documents (object form: withDeleted: true to include them);
+      // delete operations soft delete (options.hardDelete removes the documents)
+      resolvedOps = _softDeleteBulkOps(model, resolvedOps, withDeleted, hardDelete);
 
-    let res;
-    const _wantsDoc = wantsDoc(options);
+      // Restrict filters to the current tenant and stamp inserted/replacement documents (multi-tenancy)
+      resolvedOps = _tenantBulkOps(model, resolvedOps);
 
-    // Update the document - return document if requested, otherwise return operation result
-    if (_wantsDoc && typeof Model.findOneAndUpdate === "function") {
-      // Update and return the document
-      res = await Model.findOneAndUpdate(resolvedFilter, resolvedData, options);
-    } else {
-      // Update without returning the document
-      res = await Model.updateOne(resolvedFilter, resolvedData, options);
-    }
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
 
-    // Invalidate cache by exact keys and/or prefixes (if provided)
-    if (invalidateKeys || invalidatePrefixes) {
-      invalidateCache({ keys: invalidateKeys, prefixes: invalidatePrefixes });
-    }
+      // Build operation name and start time
+      const opName = _opName("bulkWrite", model, connection);
+      const start = _nowNs();
 
-    // Record database operation metrics
-    _recordDb(opName, start);
+      const { ordered = true, chunkSize = BULK_CHUNK_SIZE, ...rest } = options;
+      if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+        return fail(new Error("chunkSize must be a positive integer"), "bulkWrite/validation");
+      }
 
-    // Return the result (guard null when findOneAndUpdate matches nothing)
-    return ok(_wantsDoc ? (res ? res.toObject() : null) : res);
+      const summary = {
+        insertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+        upsertedCount: 0,
+        insertedIds: {},
+        upsertedIds: {},
+        errors: [],
+      };
+
+      // Adds a chunk result (BulkWriteResult, or the partial result carried by a bulk write error)
+      const addResult = (res, offset) => {
+        if (!res) return;
+        for (const k of ["insertedCount", "matchedCount", "modifiedCount", "deletedCount", "upsertedCount"]) summary[k] += Number(res[k]) || 0;
+        for (const [i, id] of Object.entries(res.insertedIds || {})) summary.insertedIds[offset + Number(i)] = id;
+        for (const [i, id] of Object.entries(res.upsertedIds || {})) summary.upsertedIds[offset + Number(i)] = id;
+      };
+
+      let written = false;
+      try {
+        for (let offset = 0; offset < resolvedOps.length; offset += chunkSize) {
+          const chunk = resolvedOps.slice(offset, offset + chunkSize);
+          try {
+            const res = await Model.bulkWrite(chunk, { ordered, ...rest });
+            written = true;
+            addResult(res, offset);
+            // Unordered: Mongoose skips ops that fail casting/validation and reports them on the result
+            summary.errors.push(..._bulkWriteErrors(res, offset));
+          } catch (err) {
+            const errors = _bulkWriteErrors(err, offset);
+            if (!errors.length) throw err; // Not a per-operation failure (network, invalid ops shape, ...)
+
+            written = true;
+            fail(err, `bulkWrite/chunk/${offset}`);
+            addResult(err.result, offset);
+            summary.errors.push(...errors);
+          }
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "updateOne");
-  }
-};
+          // Ordered: nothing after the first failed operation runs
+          if (ordered && summary.errors.length) break;
+        }
+      } finally {
+        // Invalidate cache when anything may have been written (explicit keys/prefixes, plus auto-invalidation)
+        if (written) await _invalidateAfterWrite(model, invalidation);
+      }
 
-/*******************************************************
- * ##: Update many documents in a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, data, writeArg }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {Object} [data] - Update data (if modelOrObj is string or missing in object)
- * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
- * History:
- * 14-08-2025: Created
- * 15-08-2025: Added write options
- * 19-08-2025: Removed fallback from options
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- * 28-08-2025: remove _checkConnection (edge cases)
- *******************************************************/
-const updateMany = async (modelOrObj, filter, data, writeArg) => {
-  try {
-    let model, resolvedFilter, resolvedData, resolvedWriteArg;
+      // Record database operation metrics
+      _recordDb(opName, start);
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedData = modelOrObj.data ?? data;
-      resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedData = data;
-      resolvedWriteArg = writeArg;
-    }
+      // Return the normalized result
+      return ok(summary);
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+      // Error handling
+    } catch (err) {
+      return fail(err, "bulkWrite");
+    }
+  }, { race: false });
+
+  /*******************************************************
+   * ##: Get many documents in a model with pagination
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, page, limit, populate, cacheOpts, queryOpts, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Array} [select=[]] - Fields to select (if modelOrObj is string or missing in object)
+   * @param {Object} [sort={}] - Sort object (if modelOrObj is string or missing in object)
+   * @param {Number} [page=1] - Page number (if modelOrObj is string or missing in object)
+   * @param {Number} [limit=100] - Number of documents per page (if modelOrObj is string or missing in object)
+   * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
+   * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
+   * @param {Object} [countOpts] - Total options { total: true | false | "estimated", parallel, cacheOpts } (if modelOrObj is string or missing in object)
+   * @param {Object} [queryOpts] - Query options { readPreference, readConcern, maxTimeMS, hint, collation, comment } (if modelOrObj is string or missing in object)
+   * History:
+   * 14-08-2025: Created
+   * 20-08-2025: Updated (remove default sort)
+   * 22-08-2025: Added support for populate
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props and defaults
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 18-10-2026: Added countOpts (skip/estimated/cached/parallel total) and totalPages, hasNextPage, hasPrevPage
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added queryOpts (read preference, read concern, maxTimeMS, hint, collation, comment)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const getManyWithPagination = _cancellable("getManyWithPagination", async (modelOrObj, filter, select = [], sort = {}, page = 1, limit = 100, populate, cacheOpts, countOpts, queryOpts) => {
+    try {
+      let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPage, resolvedLimit, resolvedPopulate, resolvedCacheOpts, resolvedCountOpts, resolvedQueryOpts, withDeleted, connection;
+      let timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedSelect = modelOrObj.select ?? select;
+        resolvedSort = modelOrObj.sort ?? sort;
+        resolvedPage = modelOrObj.page ?? page;
+        resolvedLimit = modelOrObj.limit ?? limit;
+        resolvedPopulate = modelOrObj.populate ?? populate;
+        resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
+        resolvedCountOpts = modelOrObj.countOpts ?? countOpts;
+        resolvedQueryOpts = modelOrObj.queryOpts ?? queryOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedSelect = select;
+        resolvedSort = sort;
+        resolvedPage = page;
+        resolvedLimit = limit;
+        resolvedPopulate = populate;
+        resolvedCacheOpts = cacheOpts;
+        resolvedCountOpts = countOpts;
+        resolvedQueryOpts = queryOpts;
+      }
 
-    // Build operation name and start time
-    const opName = `updateMany:${model}`;
-    const start = _nowNs();
+      // Apply defaults for optional parameters (in case they are undefined)
+      resolvedSelect = resolvedSelect ?? [];
+      resolvedSort = resolvedSort ?? {};
+      resolvedPage = resolvedPage ?? 1;
+      resolvedLimit = resolvedLimit ?? 100;
 
-    // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes }
-    const { options, invalidateKeys, invalidatePrefixes } = _parseWriteArg(resolvedWriteArg);
+      // Total mode: true (countDocuments, default), "estimated" (estimatedDocumentCount when the filter is empty) or false (no total)
+      const { total: totalMode = true, parallel = false, cacheOpts: totalCacheOpts } = resolvedCountOpts || {};
+      if (![true, false, "estimated"].includes(totalMode)) {
+        return fail(new Error('countOpts.total must be true, false or "estimated"'), "getManyWithPagination/validation");
+      }
 
-    // Update the documents
-    const res = await Model.updateMany(resolvedFilter, resolvedData, options);
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
 
-    // Invalidate cache by key/keys if provided
-    if (invalidateKeys || invalidatePrefixes) {
-      invalidateCache({ keys: invalidateKeys, prefixes: invalidatePrefixes });
-    }
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
 
-    // Record database operation metrics
-    _recordDb(opName, start);
+      // Read routing and query hints (defaults merged with the per-call queryOpts)
+      const queryOptions = _queryOpts(model, resolvedQueryOpts, timeoutMs);
 
-    // Return the updated documents
-    return ok(res);
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "updateMany");
-  }
-};
+      // Build operation name and start time
+      const opName = _opName("getManyWithPagination", model, connection);
+      const start = _nowNs();
 
-/*******************************************************
- * ##: Delete a single document in a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, writeArg }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
- * History:
- * 14-08-2025: Created
- * 15-08-2025: Added write options
- * 19-08-2025: Removed fallback from options
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- * 28-08-2025: remove _checkConnection (edge cases)
- *******************************************************/
-const deleteOne = async (modelOrObj, filter, writeArg) => {
-  try {
-    let model, resolvedFilter, resolvedWriteArg;
+      // Total executor (estimatedDocumentCount only applies to an empty filter, it ignores filters)
+      const runCount = async () => {
+        const estimated = totalMode === "estimated" && (!resolvedFilter || Object.keys(resolvedFilter).length === 0);
+        let query = estimated ? Model.estimatedDocumentCount() : Model.countDocuments(resolvedFilter);
+        query = _applyQueryOpts(query, queryOptions);
+        const count = await query;
+        return ok(count);
+      };
+
+      // Total, optionally cached on its own (shares countDocuments keys, so model invalidation drops it too)
+      const getTotal = async () => {
+        if (totalMode === false) return null;
+        const res = totalCacheOpts?.enabled
+          ? await withCache(
+              "countDocuments",
+              _withCollation(totalMode === "estimated" ? [model, resolvedFilter, "estimated"] : [model, resolvedFilter], queryOptions),
+              totalCacheOpts,
+              runCount,
+              connection,
+            )
+          : await runCount();
+        if (!res.status) throw res.data;
+        return res.data;
+      };
+
+      // Query executor (with populate support)
+      const runQuery = async () => {
+        const getDocs = async () => {
+          // Without a total, one extra document tells whether there is a next page
+          let query = Model.find(resolvedFilter, resolvedSelect)
+            .sort(resolvedSort)
+            .skip((resolvedPage - 1) * resolvedLimit)
+            .limit(totalMode === false ? resolvedLimit + 1 : resolvedLimit);
+          query = _applyQueryOpts(query, queryOptions);
+          if (resolvedPopulate) query = query.populate(resolvedPopulate);
+          return await query.lean();
+        };
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedWriteArg = writeArg;
-    }
+        let total, docs;
+        if (parallel) {
+          [total, docs] = await Promise.all([getTotal(), getDocs()]);
+        } else {
+          total = await getTotal();
+          docs = await getDocs();
+        }
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+        let hasNextPage;
+        if (totalMode === false) {
+          hasNextPage = docs.length > resolvedLimit;
+          if (hasNextPage) docs = docs.slice(0, resolvedLimit);
+        }
+        const totalPages = total === null ? null : Math.ceil(total / resolvedLimit);
+        if (totalPages !== null) hasNextPage = resolvedPage < totalPages;
 
-    // Build operation name and start time
-    const opName = `deleteOne:${model}`;
-    const start = _nowNs();
+        // Record database operation metrics
+        _recordDb(opName, start);
 
-    // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes }
-    const { options, invalidateKeys, invalidatePrefixes } = _parseWriteArg(resolvedWriteArg);
+        // Return the found documents
+        return ok({ data: docs, total, page: resolvedPage, limit: resolvedLimit, totalPages, hasNextPage, hasPrevPage: resolvedPage > 1 });
+      };
+
+      // Use cache only if cacheOpts is defined/active
+      if (resolvedCacheOpts?.enabled) {
+        const keyArgs = [model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPage, resolvedLimit, resolvedPopulate];
+        // The total mode changes the response (the default keeps the original key)
+        if (totalMode !== true) keyArgs.push({ total: totalMode });
+        return await withCache(
+          "getManyWithPagination",
+          _withCollation(keyArgs, queryOptions),
+          resolvedCacheOpts,
+          runQuery,
+          connection,
+        );
+      }
 
-    // Delete the document
-    const res = await Model.deleteOne(resolvedFilter, options);
+      // Execute without cache
+      return await runQuery();
 
-    // Invalidate cache by key/keys if provided
-    if (invalidateKeys || invalidatePrefixes) {
-      invalidateCache({ keys: invalidateKeys, prefixes: invalidatePrefixes });
+      // Error handling
+    } catch (err) {
+      return fail(err, "getManyWithPagination");
+    }
+  });
+
+  // ##: Keyset (cursor) pagination helpers
+
+  // Normalizes a sort spec ({ a: -1 }, "a -b", [["a", -1]]) into [[field, 1|-1]], always ending with _id as tie-breaker
+  const _normalizeKeysetSort = (sort) => {
+    let entries = [];
+    if (typeof sort === "string") {
+      entries = sort
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((t) => (t.startsWith("-") ? [t.slice(1), -1] : [t, 1]));
+    } else if (Array.isArray(sort)) {
+      entries = sort.map(([field, dir]) => [field, dir]);
+    } else if (sort && typeof sort === "object") {
+      entries = Object.entries(sort);
     }
 
-    // Record database operation metrics
-    _recordDb(opName, start);
-
-    // Return the result
-    return ok(res);
-
-    // Error handling
-  } catch (err) {
-    return fail(err, "deleteOne");
-  }
-};
-
-/*******************************************************
- * ##: Delete many documents in a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, writeArg }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
- * History:
- * 14-08-2025: Created
- * 15-08-2025: Added write options
- * 19-08-2025: Removed fallback from options
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- * 28-08-2025: remove _checkConnection (edge cases)
- *******************************************************/
-const deleteMany = async (modelOrObj, filter, writeArg) => {
-  try {
-    let model, resolvedFilter, resolvedWriteArg;
+    const out = entries.map(([field, dir]) => {
+      const d = String(dir).toLowerCase();
+      if (dir === 1 || d === "1" || d === "asc" || d === "ascending") return [field, 1];
+      if (dir === -1 || d === "-1" || d === "desc" || d === "descending") return [field, -1];
+      throw new Error(`Invalid sort direction for "${field}" (use 1, -1, "asc" or "desc")`);
+    });
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedWriteArg = writeArg;
+    // Tie-break on _id (same direction as the last key, so a single index can serve the query)
+    if (!out.some(([field]) => field === "_id")) out.push(["_id", out.length ? out[out.length - 1][1] : 1]);
+    return out;
+  };
+
+  // Reads a (dotted) path from a lean document
+  const _getPath = (doc, path) => path.split(".").reduce((v, k) => (v === null || v === undefined ? undefined : v[k]), doc);
+
+  // Makes sure the sort fields are returned by the projection; returns the fields to strip from the results
+  const _selectWithSortFields = (select, fields) => {
+    const isEmpty = !select || (Array.isArray(select) && !select.length) || (typeof select === "object" && !Array.isArray(select) && !Object.keys(select).length);
+    if (isEmpty) return { select, added: [] };
+
+    // Object projection ({ name: 1 } or { password: 0 })
+    if (!Array.isArray(select) && typeof select === "object") {
+      const projection = { ...select };
+      const inclusive = Object.entries(projection).some(([k, v]) => k !== "_id" && v && v !== "0");
+      const added = [];
+      for (const field of fields) {
+        if (inclusive && field !== "_id" && !projection[field]) {
+          projection[field] = 1;
+          added.push(field);
+        } else if ((!inclusive || field === "_id") && field in projection && !projection[field]) {
+          delete projection[field];
+          added.push(field);
+        }
+      }
+      return { select: projection, added };
     }
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+    // Array or space separated string (["name", "-password"], "name email")
+    const tokens = (Array.isArray(select) ? select : String(select).split(/\s+/)).filter(Boolean);
+    const inclusive = tokens.some((t) => !t.startsWith("-") && !t.startsWith("+"));
+    const added = [];
+    let out = tokens.filter((t) => {
+      if (t.startsWith("-") && fields.includes(t.slice(1))) {
+        added.push(t.slice(1));
+        return false;
+      }
+      return true;
+    });
+    if (inclusive) {
+      for (const field of fields) {
+        if (field !== "_id" && !out.includes(field)) {
+          out.push(field);
+          added.push(field);
+        }
+      }
+    }
+    return { select: out, added };
+  };
+
+  // Tags BSON values so a cursor round-trips ObjectId, Date and Decimal128
+  const _encodeKeysetValue = (v) => {
+    if (v instanceof Date) return { $d: v.toISOString() };
+    if (v && (v._bsontype === "ObjectId" || v._bsontype === "ObjectID")) return { $o: v.toHexString() };
+    if (v && v._bsontype === "Decimal128") return { $n: v.toString() };
+    return v === undefined ? null : v;
+  };
+
+  const _decodeKeysetValue = (v) => {
+    if (v && typeof v === "object") {
+      if (typeof v.$d === "string") return new Date(v.$d);
+      if (typeof v.$o === "string") return new (mongoose.base || mongoose).Types.ObjectId(v.$o);
+      if (typeof v.$n === "string") return (mongoose.base || mongoose).Types.Decimal128.fromString(v.$n);
+    }
+    return v;
+  };
+
+  // Opaque cursor token: base64url JSON { k: sort keys, v: boundary values, d: "next" | "prev" }
+  const _encodeCursor = (sortSpec, doc, direction) => {
+    const payload = {
+      k: sortSpec.map(([field, dir]) => `${field}:${dir}`),
+      v: sortSpec.map(([field]) => _encodeKeysetValue(_getPath(doc, field))),
+      d: direction,
+    };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+  };
+
+  const _decodeCursor = (cursor, sortSpec) => {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    } catch (_) {
+      throw new Error("Invalid cursor");
+    }
+    if (!payload || !Array.isArray(payload.k) || !Array.isArray(payload.v) || !["next", "prev"].includes(payload.d)) {
+      throw new Error("Invalid cursor");
+    }
+    if (payload.k.join(",") !== sortSpec.map(([field, dir]) => `${field}:${dir}`).join(",")) {
+      throw new Error("Cursor does not match the requested sort");
+    }
+    return { values: payload.v.map(_decodeKeysetValue), direction: payload.d };
+  };
+
+  // Condition for "sorts after value" on one field; MongoDB sorts null/missing before any other value
+  const _keysetAfter = (field, dir, value) => {
+    if (value === null) return dir === 1 ? { [field]: { $ne: null } } : null; // Nothing sorts after null when descending
+    if (dir === 1) return { [field]: { $gt: value } };
+    return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+  };
+
+  // Builds the keyset condition: (a > x) OR (a = x AND b > y) OR ... for the given scan directions
+  // Null-aware: { a: null } matches null and missing values, so they are neither skipped nor repeated
+  const _keysetFilter = (sortSpec, values) => ({
+    $or: sortSpec
+      .map(([field, dir], i) => {
+        const after = _keysetAfter(field, dir, values[i]);
+        if (!after) return null;
+        const cond = {};
+        for (let j = 0; j < i; j++) cond[sortSpec[j][0]] = values[j];
+        return { ...cond, ...after };
+      })
+      .filter(Boolean),
+  });
+
+  /*******************************************************
+   * ##: Get many documents with cursor (keyset) pagination
+   * Pages with a range query on the sort keys instead of skip(), so deep
+   * pages cost the same as the first one (no countDocuments either).
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, cursor, limit, populate, cacheOpts, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Array} [select=[]] - Fields to select (if modelOrObj is string or missing in object)
+   * @param {Object} [sort={}] - Sort object; _id is appended as tie-breaker (if modelOrObj is string or missing in object)
+   * @param {String} [cursor] - nextCursor/prevCursor from a previous call; omit for the first page
+   * @param {Number} [limit=100] - Number of documents per page (if modelOrObj is string or missing in object)
+   * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
+   * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
+   * @returns {Object} - { status, data: { data, nextCursor, prevCursor, hasMore } }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Null-aware keyset condition (null / missing sort values are no longer skipped)
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const getManyWithCursor = _cancellable("getManyWithCursor", async (modelOrObj, filter, select = [], sort = {}, cursor, limit = 100, populate, cacheOpts) => {
+    try {
+      let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedCursor, resolvedLimit, resolvedPopulate, resolvedCacheOpts, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedSelect = modelOrObj.select ?? select;
+        resolvedSort = modelOrObj.sort ?? sort;
+        resolvedCursor = modelOrObj.cursor ?? cursor;
+        resolvedLimit = modelOrObj.limit ?? limit;
+        resolvedPopulate = modelOrObj.populate ?? populate;
+        resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedSelect = select;
+        resolvedSort = sort;
+        resolvedCursor = cursor;
+        resolvedLimit = limit;
+        resolvedPopulate = populate;
+        resolvedCacheOpts = cacheOpts;
+      }
 
-    // Build operation name and start time
-    const opName = `deleteMany:${model}`;
-    const start = _nowNs();
+      // Apply defaults for optional parameters (in case they are undefined)
+      resolvedFilter = resolvedFilter ?? {};
+      resolvedSelect = resolvedSelect ?? [];
+      resolvedLimit = resolvedLimit ?? 100;
 
-    // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes }
-    const { options, invalidateKeys, invalidatePrefixes } = _parseWriteArg(resolvedWriteArg);
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "getManyWithCursor/validation");
+      }
+      if (!Number.isInteger(resolvedLimit) || resolvedLimit <= 0) {
+        return fail(new Error("Limit must be a positive integer"), "getManyWithCursor/validation");
+      }
 
-    // Delete the documents
-    const res = await Model.deleteMany(resolvedFilter, options);
+      let sortSpec, position;
+      try {
+        sortSpec = _normalizeKeysetSort(resolvedSort);
+        position = resolvedCursor ? _decodeCursor(resolvedCursor, sortSpec) : null;
+      } catch (err) {
+        return fail(err, "getManyWithCursor/validation");
+      }
 
-    // Invalidate cache by key/keys if provided
-    if (invalidateKeys || invalidatePrefixes) {
-      invalidateCache({ keys: invalidateKeys, prefixes: invalidatePrefixes });
-    }
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
+
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
+
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
+
+      // Build operation name and start time
+      const opName = _opName("getManyWithCursor", model, connection);
+      const start = _nowNs();
+
+      // Query executor (with populate support)
+      const runQuery = async () => {
+        // Going back scans in reverse order from the first document of the current page
+        const backwards = position?.direction === "prev";
+        const scanSort = sortSpec.map(([field, dir]) => [field, backwards ? -dir : dir]);
+        const query = position ? { $and: [resolvedFilter, _keysetFilter(scanSort, position.values)] } : resolvedFilter;
+        const { select: projection, added } = _selectWithSortFields(
+          resolvedSelect,
+          sortSpec.map(([field]) => field),
+        );
+
+        // One extra document tells whether there is another page in the scan direction
+        let q = Model.find(query, projection)
+          .sort(Object.fromEntries(scanSort))
+          .limit(resolvedLimit + 1);
+        if (timeoutMs) q = q.maxTimeMS(Math.ceil(timeoutMs));
+        if (resolvedPopulate) q = q.populate(resolvedPopulate);
+        let docs = await q.lean();
+
+        const more = docs.length > resolvedLimit;
+        if (more) docs = docs.slice(0, resolvedLimit);
+        if (backwards) docs.reverse();
 
-    // Record database operation metrics
-    _recordDb(opName, start);
+        // Record database operation metrics
+        _recordDb(opName, start);
 
-    // Return the result
-    return ok(res);
+        const first = docs[0];
+        const last = docs[docs.length - 1];
+        const hasMore = backwards ? Boolean(last) : more;
+        const hasPrev = backwards ? more : Boolean(position) && Boolean(first);
+        const nextCursor = hasMore && last ? _encodeCursor(sortSpec, last, "next") : null;
+        const prevCursor = hasPrev ? _encodeCursor(sortSpec, first, "prev") : null;
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "deleteMany");
-  }
-};
+        // Strip fields that were only selected to build the cursors
+        if (added.length) {
+          for (const doc of docs) for (const field of added) if (!field.includes(".")) delete doc[field];
+        }
 
-/****************************************************
- * ##: Check if a document should be returned
- * @param {object} opts - Options object
- * History:
- * 28-08-2025: Created
- ****************************************************/
-function wantsDoc(opts) {
-  return opts?.new === true || opts?.returnDocument === "after" || opts?.returnDocument === true;
-}
+        // Return the page and the cursors around it
+        return ok({ data: docs, nextCursor, prevCursor, hasMore });
+      };
+
+      // Use cache only if cacheOpts is defined/active
+      if (resolvedCacheOpts?.enabled) {
+        return await withCache(
+          "getManyWithCursor",
+          [model, resolvedFilter, resolvedSelect, resolvedSort, resolvedCursor ?? null, resolvedLimit, resolvedPopulate],
+          resolvedCacheOpts,
+          runQuery,
+          connection,
+        );
+      }
 
-/*******************************************************
- * ##: Upsert a single document in a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, data, writeArg }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {Object} [data] - Upsert data (if modelOrObj is string or missing in object)
- * @param {String|String[]|Object} [writeArg] - Flexible extra arg (if modelOrObj is string or missing in object)
- * History:
- * 14-08-2025: Created
- * 15-08-2025: Added write options
- * 19-08-2025: Removed fallback from options
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- * 28-08-2025: remove _checkConnection (edge cases) and implement option for returning the upserted document or counts
- * 13-11-2025: Fixed incorrect returning document
- * 19-01-2026: Fix wantsDoc res.toObject() when res is null
- *******************************************************/
-const upsertOne = async (modelOrObj, filter, data, writeArg) => {
-  try {
-    let model, resolvedFilter, resolvedData, resolvedWriteArg;
+      // Execute without cache
+      return await runQuery();
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedData = modelOrObj.data ?? data;
-      resolvedWriteArg = modelOrObj.writeArg ?? writeArg;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedData = data;
-      resolvedWriteArg = writeArg;
+      // Error handling
+    } catch (err) {
+      return fail(err, "getManyWithCursor");
     }
+  });
+
+  /*******************************************************
+   * ##: Count documents in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, cacheOpts, queryOpts, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
+   * @param {Object} [queryOpts] - Query options { readPreference, readConcern, maxTimeMS, hint, collation, comment } (if modelOrObj is string or missing in object)
+   * History:
+   * 14-08-2025: Created
+   * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
+   * 28-08-2025: remove _checkConnection (edge cases)
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added queryOpts (read preference, read concern, maxTimeMS, hint, collation, comment)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const countDocuments = _cancellable("countDocuments", async (modelOrObj, filter, cacheOpts, queryOpts) => {
+    try {
+      let model, resolvedFilter, resolvedCacheOpts, resolvedQueryOpts, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
+        resolvedQueryOpts = modelOrObj.queryOpts ?? queryOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedCacheOpts = cacheOpts;
+        resolvedQueryOpts = queryOpts;
+      }
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+      // Apply default for filter if undefined (empty filter counts all documents)
+      resolvedFilter = resolvedFilter ?? {};
 
-    // Build operation name and start time
-    const opName = `upsertOne:${model}`;
-    const start = _nowNs();
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
 
-    // Parse flexible writeArg into { options, invalidateKeys, invalidatePrefixes }
-    const { options, invalidateKeys, invalidatePrefixes } = _parseWriteArg(resolvedWriteArg);
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
 
-    // Merge user-provided options with upsert:true (user options cannot disable upsert)
-    const opts = { upsert: true, ...options };
-    let res;
-    const _wantsDoc = wantsDoc(opts);
+      // Read routing and query hints (defaults merged with the per-call queryOpts)
+      const queryOptions = _queryOpts(model, resolvedQueryOpts, timeoutMs);
 
-    // Upsert the document
-    if (_wantsDoc && typeof Model.findOneAndUpdate === "function") {
-      // Upsert and return the document
-      res = await Model.findOneAndUpdate(resolvedFilter, resolvedData, opts);
-    } else {
-      // Upsert without returning the document
-      res = await Model.updateOne(resolvedFilter, resolvedData, opts);
-    }
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
 
-    // Invalidate cache by key/keys if provided
-    if (invalidateKeys || invalidatePrefixes) {
-      invalidateCache({ keys: invalidateKeys, prefixes: invalidatePrefixes });
-    }
+      // Build operation name and start time
+      const opName = _opName("countDocuments", model, connection);
+      const start = _nowNs();
 
-    // Record database operation metrics
-    _recordDb(opName, start);
+      // Count query with the query options
+      const buildCount = () => _applyQueryOpts(Model.countDocuments(resolvedFilter), queryOptions);
 
-    // Return the result (guard null when findOneAndUpdate matches nothing)
-    return ok(_wantsDoc ? (res ? res.toObject() : null) : res);
+      // Use cache only if cacheOpts is defined/active
+      if (resolvedCacheOpts?.enabled) {
+        return await withCache(
+          "countDocuments",
+          _withCollation([model, resolvedFilter], queryOptions),
+          resolvedCacheOpts,
+          async () => {
+            // Find the documents (count)
+            const count = await buildCount();
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "upsertOne");
-  }
-};
+            // Record database operation metrics
+            _recordDb(opName, start);
 
-/*******************************************************
- * ##: Get many documents in a model with pagination
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, select, sort, page, limit, populate, cacheOpts }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {Array} [select=[]] - Fields to select (if modelOrObj is string or missing in object)
- * @param {Object} [sort={}] - Sort object (if modelOrObj is string or missing in object)
- * @param {Number} [page=1] - Page number (if modelOrObj is string or missing in object)
- * @param {Number} [limit=100] - Number of documents per page (if modelOrObj is string or missing in object)
- * @param {Array|Object|String} [populate] - Populate definition(s) (if modelOrObj is string or missing in object)
- * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
- * History:
- * 14-08-2025: Created
- * 20-08-2025: Updated (remove default sort)
- * 22-08-2025: Added support for populate
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props and defaults
- * 28-08-2025: remove _checkConnection (edge cases)
- *******************************************************/
-const getManyWithPagination = async (modelOrObj, filter, select = [], sort = {}, page = 1, limit = 100, populate, cacheOpts) => {
-  try {
-    let model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPage, resolvedLimit, resolvedPopulate, resolvedCacheOpts;
+            // Return the result
+            return ok(count);
+          },
+          connection,
+        );
+      }
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedSelect = modelOrObj.select ?? select;
-      resolvedSort = modelOrObj.sort ?? sort;
-      resolvedPage = modelOrObj.page ?? page;
-      resolvedLimit = modelOrObj.limit ?? limit;
-      resolvedPopulate = modelOrObj.populate ?? populate;
-      resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedSelect = select;
-      resolvedSort = sort;
-      resolvedPage = page;
-      resolvedLimit = limit;
-      resolvedPopulate = populate;
-      resolvedCacheOpts = cacheOpts;
-    }
-
-    // Apply defaults for optional parameters (in case they are undefined)
-    resolvedSelect = resolvedSelect ?? [];
-    resolvedSort = resolvedSort ?? {};
-    resolvedPage = resolvedPage ?? 1;
-    resolvedLimit = resolvedLimit ?? 100;
-
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
-
-    // Build operation name and start time
-    const opName = `getManyWithPagination:${model}`;
-    const start = _nowNs();
-
-    // Query executor (with populate support)
-    const runQuery = async () => {
-      const total = await Model.countDocuments(resolvedFilter);
-      let query = Model.find(resolvedFilter, resolvedSelect)
-        .sort(resolvedSort)
-        .skip((resolvedPage - 1) * resolvedLimit)
-        .limit(resolvedLimit);
-      if (resolvedPopulate) query = query.populate(resolvedPopulate);
-      const docs = await query.lean();
+      // Find the documents (count) without cache
+      const count = await buildCount();
 
       // Record database operation metrics
       _recordDb(opName, start);
 
-      // Return the found documents
-      return ok({ data: docs, total, page: resolvedPage, limit: resolvedLimit });
-    };
+      // Return the result
+      return ok(count);
 
-    // Use cache only if cacheOpts is defined/active
-    if (resolvedCacheOpts?.enabled) {
-      return await withCache(
-        "getManyWithPagination",
-        [model, resolvedFilter, resolvedSelect, resolvedSort, resolvedPage, resolvedLimit, resolvedPopulate],
-        resolvedCacheOpts,
-        runQuery,
-      );
+      // Error handling
+    } catch (err) {
+      return fail(err, "countDocuments");
     }
+  });
+
+  /*******************************************************
+   * ##: Get distinct values in a model
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, field, filter, cacheOpts, queryOpts, connection, timeoutMs, signal }
+   * @param {String} [field] - Field name to distinct on (if modelOrObj is string or missing in object)
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
+   * @param {Object} [queryOpts] - Query options { readPreference, readConcern, maxTimeMS, hint, collation, comment } (if modelOrObj is string or missing in object)
+   * History:
+   * 13-03-2026: Created
+   * 18-10-2026: Soft-delete scoping (skips soft-deleted documents unless withDeleted)
+   * 18-10-2026: Multi-tenancy scoping (tenant filter/stamp from withTenant context)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added queryOpts (read preference, read concern, maxTimeMS, hint, collation, comment)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const distinct = _cancellable("distinct", async (modelOrObj, field, filter, cacheOpts, queryOpts) => {
+    try {
+      let model, resolvedField, resolvedFilter, resolvedCacheOpts, resolvedQueryOpts, withDeleted, connection, timeoutMs;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs;
+        withDeleted = modelOrObj.withDeleted === true;
+        resolvedField = modelOrObj.field ?? field;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
+        resolvedQueryOpts = modelOrObj.queryOpts ?? queryOpts;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedField = field;
+        resolvedFilter = filter;
+        resolvedCacheOpts = cacheOpts;
+        resolvedQueryOpts = queryOpts;
+      }
 
-    // Execute without cache
-    return await runQuery();
-
-    // Error handling
-  } catch (err) {
-    return fail(err, "getManyWithPagination");
-  }
-};
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "distinct/validation");
+      }
+      if (!resolvedField || typeof resolvedField !== "string") {
+        return fail(new Error("Field is required and must be a string"), "distinct/validation");
+      }
 
-/*******************************************************
- * ##: Count documents in a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, cacheOpts }
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
- * History:
- * 14-08-2025: Created
- * 22-08-2025: Updated to flexibly accept either separate params or single object, with fallback for missing props
- * 28-08-2025: remove _checkConnection (edge cases)
- *******************************************************/
-const countDocuments = async (modelOrObj, filter, cacheOpts) => {
-  try {
-    let model, resolvedFilter, resolvedCacheOpts;
+      // Apply default for filter if undefined (empty filter distincts across all documents)
+      resolvedFilter = resolvedFilter ?? {};
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedFilter = filter;
-      resolvedCacheOpts = cacheOpts;
-    }
+      // Exclude soft-deleted documents (object form: withDeleted: true to include them)
+      resolvedFilter = _softDeleteFilter(model, resolvedFilter, withDeleted);
 
-    // Apply default for filter if undefined (empty filter counts all documents)
-    resolvedFilter = resolvedFilter ?? {};
+      // Restrict to the current tenant (multi-tenancy)
+      resolvedFilter = _tenantFilter(model, resolvedFilter);
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+      // Read routing and query hints (defaults merged with the per-call queryOpts)
+      const queryOptions = _queryOpts(model, resolvedQueryOpts, timeoutMs);
 
-    // Build operation name and start time
-    const opName = `countDocuments:${model}`;
-    const start = _nowNs();
+      // Resolve the model (cached)
+      const Model = await resolveModel(model, connection);
 
-    // Use cache only if cacheOpts is defined/active
-    if (resolvedCacheOpts?.enabled) {
-      return await withCache("countDocuments", [model, resolvedFilter], resolvedCacheOpts, async () => {
-        // Find the documents (count)
-        const count = await Model.countDocuments(resolvedFilter);
+      // Build operation name and start time
+      const opName = _opName("distinct", model, connection);
+      const start = _nowNs();
 
-        // Record database operation metrics
-        _recordDb(opName, start);
+      // Distinct query with the query options
+      const buildDistinct = () => _applyQueryOpts(Model.distinct(resolvedField, resolvedFilter), queryOptions);
 
-        // Return the result
-        return ok(count);
-      });
-    }
+      // Use cache only if cacheOpts is defined/active
+      if (resolvedCacheOpts?.enabled) {
+        return await withCache(
+          "distinct",
+          _withCollation([model, resolvedField, resolvedFilter], queryOptions),
+          resolvedCacheOpts,
+          async () => {
+            const values = await buildDistinct();
 
-    // Find the documents (count) without cache
-    const count = await Model.countDocuments(resolvedFilter);
+            // Record database operation metrics
+            _recordDb(opName, start);
 
-    // Record database operation metrics
-    _recordDb(opName, start);
+            // Return the result
+            return ok(values);
+          },
+          connection,
+        );
+      }
 
-    // Return the result
-    return ok(count);
+      // Execute without cache
+      const values = await buildDistinct();
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "countDocuments");
-  }
-};
+      // Record database operation metrics
+      _recordDb(opName, start);
 
-/*******************************************************
- * ##: Get distinct values in a model
- * @param {String|Object} modelOrObj - Model name (string) or object with { model, field, filter, cacheOpts }
- * @param {String} [field] - Field name to distinct on (if modelOrObj is string or missing in object)
- * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
- * @param {Object} [cacheOpts] - Cache options (if modelOrObj is string or missing in object)
- * History:
- * 13-03-2026: Created
- *******************************************************/
-const distinct = async (modelOrObj, field, filter, cacheOpts) => {
-  try {
-    let model, resolvedField, resolvedFilter, resolvedCacheOpts;
+      // Return the result
+      return ok(values);
 
-    if (typeof modelOrObj === "object" && modelOrObj !== null) {
-      // If first arg is an object, extract properties with fallback to extra args
-      model = modelOrObj.model;
-      resolvedField = modelOrObj.field ?? field;
-      resolvedFilter = modelOrObj.filter ?? filter;
-      resolvedCacheOpts = modelOrObj.cacheOpts ?? cacheOpts;
-    } else {
-      // If first arg is string (model name), use provided subsequent args
-      model = modelOrObj;
-      resolvedField = field;
-      resolvedFilter = filter;
-      resolvedCacheOpts = cacheOpts;
+      // Error handling
+    } catch (err) {
+      return fail(err, "distinct");
     }
+  });
+
+  /*******************************************************
+   * ##: Process documents in batches
+   * Walks every document matching the filter in _id order (range queries, no skip),
+   * running the handler on each batch with bounded concurrency. Progress can be
+   * checkpointed (last fully processed _id + counters) so an interrupted run resumes.
+   * Handler: async (docs, { batch, fromId, toId }) => void | { processed?, failed?, skipped? }
+   * (a thrown error counts the whole batch as failed)
+   * timeoutMs/signal stop dispatching batches (running ones finish and are checkpointed); the
+   * run then fails with a TIMEOUT / ABORTED error carrying the summary (err.summary)
+   * @param {String|Object} modelOrObj - Model name (string) or object with { model, filter, handler, options, connection, timeoutMs, signal }
+   * @param {Object} [filter] - Filter object (if modelOrObj is string or missing in object)
+   * @param {Function} [handler] - Batch handler (if modelOrObj is string or missing in object)
+   * @param {Object} [options] - { batchSize=500, concurrency=1, sort=1 (_id direction), select, populate, withDeleted, checkpoint: { load, save }, onProgress, stopOnError=false }
+   * @returns {Object} - { status, data: { processed, failed, skipped, batches, lastId, resumedFrom, errors } }
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Added withDeleted (soft-delete mode)
+   * 18-10-2026: Added connection option (named connections)
+   * 18-10-2026: Added timeoutMs and signal (object form; TIMEOUT / ABORTED errors)
+   *******************************************************/
+  const _processInBatches = async (modelOrObj, filter, handler, options) => {
+    try {
+      let model, resolvedFilter, resolvedHandler, resolvedOptions, connection, timeoutMs, signal;
+
+      if (typeof modelOrObj === "object" && modelOrObj !== null) {
+        // If first arg is an object, extract properties with fallback to extra args
+        model = modelOrObj.model;
+        connection = modelOrObj.connection;
+        timeoutMs = modelOrObj.timeoutMs ?? undefined;
+        signal = modelOrObj.signal ?? undefined;
+        resolvedFilter = modelOrObj.filter ?? filter;
+        resolvedHandler = modelOrObj.handler ?? handler;
+        resolvedOptions = modelOrObj.options ?? options;
+      } else {
+        // If first arg is string (model name), use provided subsequent args
+        model = modelOrObj;
+        resolvedFilter = filter;
+        resolvedHandler = handler;
+        resolvedOptions = options;
+      }
 
-    // Validate required parameters (return fail on invalid input to follow contract)
-    if (!model || typeof model !== "string") {
-      return fail(new Error("Model name is required and must be a string"), "distinct/validation");
-    }
-    if (!resolvedField || typeof resolvedField !== "string") {
-      return fail(new Error("Field is required and must be a string"), "distinct/validation");
-    }
+      const { batchSize = 500, concurrency = 1, sort = 1, select = [], populate, withDeleted, checkpoint, onProgress, stopOnError = false } = resolvedOptions || {};
+      const direction = typeof sort === "object" && sort !== null ? sort._id : sort;
+
+      // Validate required parameters (return fail on invalid input to follow contract)
+      if (!model || typeof model !== "string") {
+        return fail(new Error("Model name is required and must be a string"), "processInBatches/validation");
+      }
+      if (typeof resolvedHandler !== "function") {
+        return fail(new Error("Handler is required and must be a function"), "processInBatches/validation");
+      }
+      if (!Number.isInteger(batchSize) || batchSize <= 0 || !Number.isInteger(concurrency) || concurrency <= 0) {
+        return fail(new Error("batchSize and concurrency must be positive integers"), "processInBatches/validation");
+      }
+      if (direction !== 1 && direction !== -1) {
+        return fail(new Error("Sort must be 1, -1 or { _id: 1 | -1 } (batches walk _id ranges)"), "processInBatches/validation");
+      }
+      if (checkpoint && (typeof checkpoint.load !== "function" || typeof checkpoint.save !== "function")) {
+        return fail(new Error("Checkpoint must have load and save methods"), "processInBatches/validation");
+      }
 
-    // Apply default for filter if undefined (empty filter distincts across all documents)
-    resolvedFilter = resolvedFilter ?? {};
+      // Resume from the last checkpoint (state saved by a previous run)
+      const saved = checkpoint ? await checkpoint.load() : null;
+      const summary = {
+        processed: saved?.processed ?? 0,
+        failed: saved?.failed ?? 0,
+        skipped: saved?.skipped ?? 0,
+        batches: saved?.batches ?? 0,
+        lastId: saved?.lastId ?? null,
+        resumedFrom: saved?.lastId ?? null,
+        errors: [],
+      };
+
+      // Build operation name and start time
+      const opName = _opName("processInBatches", model, connection);
+      const start = _nowNs();
+
+      const inflight = new Set();
+      const done = new Map(); // Batch sequence => result (committed in order)
+      let nextToCommit = 0;
+      let commitChain = Promise.resolve(); // Checkpoint saves run one at a time, in order
+      let handled = 0; // Documents handed to the handler in this run
+      let stopped = false;
+      let fatalError = null; // checkpoint.save / onProgress failure
+
+      // Advances the checkpoint over every finished batch with no unfinished batch before it
+      const commit = async () => {
+        while (done.has(nextToCommit)) {
+          const r = done.get(nextToCommit);
+          done.delete(nextToCommit);
+          nextToCommit += 1;
+          summary.processed += r.processed;
+          summary.failed += r.failed;
+          summary.skipped += r.skipped;
+          summary.batches += 1;
+          summary.lastId = r.toId;
+
+          const state = { lastId: summary.lastId, processed: summary.processed, failed: summary.failed, skipped: summary.skipped, batches: summary.batches };
+          if (checkpoint) await checkpoint.save(state);
+          if (typeof onProgress === "function") await onProgress(state);
+        }
+      };
+
+      // Never rejects: handler errors count as failed documents, checkpoint errors stop the run
+      const runBatch = async (seq, docs) => {
+        const fromId = docs[0]._id;
+        const toId = docs[docs.length - 1]._id;
+        handled += docs.length;
+        let result;
+        try {
+          const res = (await resolvedHandler(docs, { batch: (saved?.batches ?? 0) + seq + 1, fromId, toId })) || {};
+          const failed = Number(res.failed) || 0;
+          const skipped = Number(res.skipped) || 0;
+          result = { processed: res.processed ?? docs.length - failed - skipped, failed, skipped, toId };
+        } catch (err) {
+          fail(err, `processInBatches/handler/${model}`);
+          summary.errors.push({ fromId, toId, error: err?.message ?? String(err) });
+          result = { processed: 0, failed: docs.length, skipped: 0, toId };
+          if (stopOnError) stopped = true;
+        }
+        done.set(seq, result);
+        commitChain = commitChain.then(commit).catch((err) => {
+          fatalError = fatalError || err;
+          stopped = true;
+        });
+        await commitChain;
+      };
+
+      let seq = 0;
+      let cursorId = summary.lastId;
+      let readError = null;
+      let interrupted = null; // "TIMEOUT" | "ABORTED"
+
+      while (!stopped) {
+        // No new batch once the signal fired or timeoutMs elapsed (running batches still finish and are checkpointed)
+        if (signal?.aborted || (timeoutMs && _elapsedMs(start) >= timeoutMs)) {
+          interrupted = signal?.aborted ? "ABORTED" : "TIMEOUT";
+          break;
+        }
 
-    // Resolve the model (cached)
-    const Model = await resolveModel(model);
+        // Next _id range (reads go through getManyWithLimit, without cache, bounded by the remaining time)
+        const rangeFilter = cursorId === null ? resolvedFilter ?? {} : { $and: [resolvedFilter ?? {}, { _id: { [direction === 1 ? "$gt" : "$lt"]: cursorId } }] };
+        const remainingMs = timeoutMs ? Math.max(1, timeoutMs - _elapsedMs(start)) : undefined;
+        const page = await getManyWithLimit({ model, connection, filter: rangeFilter, select, sort: { _id: direction }, limit: batchSize, populate, withDeleted, timeoutMs: remainingMs, signal });
+        if (!page.status) {
+          if (page.data?.code === "TIMEOUT" || page.data?.code === "ABORTED") interrupted = page.data.code;
+          else readError = page.data;
+          break;
+        }
+        const docs = page.data;
+        if (!docs.length) break;
+        cursorId = docs[docs.length - 1]._id;
 
-    // Build operation name and start time
-    const opName = `distinct:${model}`;
-    const start = _nowNs();
+        // Bounded concurrency: wait for a free slot
+        const p = runBatch(seq++, docs).finally(() => inflight.delete(p));
+        inflight.add(p);
+        if (inflight.size >= concurrency) await Promise.race(inflight);
 
-    // Use cache only if cacheOpts is defined/active
-    if (resolvedCacheOpts?.enabled) {
-      return await withCache("distinct", [model, resolvedField, resolvedFilter], resolvedCacheOpts, async () => {
-        const values = await Model.distinct(resolvedField, resolvedFilter);
+        if (docs.length < batchSize) break;
+      }
 
-        // Record database operation metrics
-        _recordDb(opName, start);
+      // Wait for the batches still running
+      await Promise.all(inflight);
 
-        // Return the result
-        return ok(values);
-      });
+      // Record database operation metrics
+      _recordDb(opName, start, handled);
+
+      // A failed read or checkpoint stops the run; the checkpoint keeps the progress made so far
+      if (fatalError) return fail(fatalError, "processInBatches/checkpoint");
+      if (readError) return fail(readError, "processInBatches/read");
+
+      // Timed out or aborted: the error carries the summary of the batches completed so far
+      if (interrupted) {
+        const err = interrupted === "TIMEOUT" ? _timeoutError(opName, timeoutMs) : _abortError(opName, signal);
+        err.summary = summary;
+        if (interrupted === "TIMEOUT") _recordTimeout(opName);
+        return fail(err, "processInBatches");
+      }
+
+      // Return the summary
+      return ok(summary);
+
+      // Error handling
+    } catch (err) {
+      return fail(err, "processInBatches");
+    }
+  };
+  // timeoutMs/signal are honoured between batches (no race: running batches are never abandoned)
+  const processInBatches = _cancellable("processInBatches", _processInBatches, { race: false });
+
+  /*******************************************************
+   * ##: Scoped repository
+   * Binds every helper to one model, with defaults for reads (select, sort,
+   * populate, cacheOpts, withDeleted) and writes (invalidateKeys/Prefixes, tags);
+   * defaults.connection binds it to a named connection.
+   * repo() itself is a synchronous factory: an invalid model name throws a
+   * RepoError (VALIDATION), like resolveModel(); its methods never throw.
+   * Methods take the same positional arguments as the module helpers, without
+   * the model; per-call arguments override the defaults (cacheOpts is merged,
+   * false disables it; invalidation keys/prefixes/tags are added to the defaults).
+   * @param {String} model - Model name
+   * @param {Object} [defaults] - { select, sort, populate, cacheOpts, withDeleted, connection, invalidateKeys, invalidatePrefixes, tags }
+   * @returns {Object} - Repository object (every method returns { status, data })
+   * @throws {RepoError} - VALIDATION when the model name is not a non-empty string
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Write options kept apart from invalidation keys, resolve() memoized; withDeleted reaches upsertOne and bulkWrite
+   * 18-10-2026: Added connection default (named connections)
+   * 18-10-2026: Throws a RepoError (VALIDATION) for an invalid model name
+   *******************************************************/
+  const repo = (model, defaults = {}) => {
+    if (!model || typeof model !== "string") {
+      throw new RepoError("repo: model name is required and must be a string", { code: "VALIDATION", operation: "repo" });
     }
+    const d = defaults || {};
 
-    // Execute without cache
-    const values = await Model.distinct(resolvedField, resolvedFilter);
+    // Per-call cacheOpts: merged over the default, false disables caching for the call
+    const cacheOf = (cacheOpts) => {
+      if (cacheOpts === false) return undefined;
+      if (!d.cacheOpts) return cacheOpts;
+      return cacheOpts ? { ...d.cacheOpts, ...cacheOpts } : d.cacheOpts;
+    };
 
-    // Record database operation metrics
-    _recordDb(opName, start);
+    // Per-call writeArg plus default invalidation, rebuilt as { options, invalidateKeys, ... } so Mongoose
+    // only ever receives the write options (a direct { session } stays apart from the invalidation keys)
+    const writeOf = (writeArg) => {
+      const { options, ...invalidation } = _parseWriteArg(writeArg);
+      const arg = { options };
+      if (invalidation.autoInvalidate !== undefined) arg.autoInvalidate = invalidation.autoInvalidate;
+      for (const k of ["invalidateKeys", "invalidatePrefixes", "tags"]) {
+        const values = [].concat(d[k] ?? [], invalidation[k] ?? []);
+        if (values.length) arg[k] = [...new Set(values)];
+      }
+      return arg;
+    };
 
-    // Return the result
-    return ok(values);
+    // The model is resolved once per repository
+    let Model = null;
+
+    // Read arguments with defaults
+    const read = (filter, select, sort, populate) => ({
+      model,
+      connection: d.connection,
+      filter,
+      select: select ?? d.select,
+      sort: sort ?? d.sort,
+      populate: populate ?? d.populate,
+      withDeleted: d.withDeleted,
+    });
 
-    // Error handling
-  } catch (err) {
-    return fail(err, "distinct");
-  }
+    return {
+      model,
+      resolve: () => Model || (Model = resolveModel(model, d.connection)),
+      // reads
+      getOne: (filter, select, sort, populate, cacheOpts, queryOpts) => getOne({ ...read(filter, select, sort, populate), cacheOpts: cacheOf(cacheOpts), queryOpts }),
+      getMany: (filter, select, sort, populate, cacheOpts, queryOpts) => getMany({ ...read(filter, select, sort, populate), cacheOpts: cacheOf(cacheOpts), queryOpts }),
+      getManyWithLimit: (filter, select, sort, limit, populate, cacheOpts, queryOpts) =>
+        getManyWithLimit({ ...read(filter, select, sort, populate), limit, cacheOpts: cacheOf(cacheOpts), queryOpts }),
+      getManyWithPagination: (filter, select, sort, page, limit, populate, cacheOpts, countOpts, queryOpts) =>
+        getManyWithPagination({ ...read(filter, select, sort, populate), page, limit, cacheOpts: cacheOf(cacheOpts), countOpts, queryOpts }),
+      getManyWithCursor: (filter, select, sort, cursor, limit, populate, cacheOpts) =>
+        getManyWithCursor({ ...read(filter, select, sort, populate), cursor, limit, cacheOpts: cacheOf(cacheOpts) }),
+      aggregate: (pipeline, cacheOpts, queryOpts) => aggregate({ model, connection: d.connection, pipeline, cacheOpts: cacheOf(cacheOpts), queryOpts, withDeleted: d.withDeleted }),
+      countDocuments: (filter, cacheOpts, queryOpts) => countDocuments({ model, connection: d.connection, filter, cacheOpts: cacheOf(cacheOpts), queryOpts, withDeleted: d.withDeleted }),
+      distinct: (field, filter, cacheOpts, queryOpts) => distinct({ model, connection: d.connection, field, filter, cacheOpts: cacheOf(cacheOpts), queryOpts, withDeleted: d.withDeleted }),
+      // streaming and batches
+      iterateMany: (filter, select, sort, populate, streamOpts) => iterateMany({ ...read(filter, select, sort, populate), streamOpts }),
+      streamMany: (filter, select, sort, populate, streamOpts) => streamMany({ ...read(filter, select, sort, populate), streamOpts }),
+      iterateAggregate: (pipeline, streamOpts) => iterateAggregate({ model, connection: d.connection, pipeline, streamOpts, withDeleted: d.withDeleted }),
+      streamAggregate: (pipeline, streamOpts) => streamAggregate({ model, connection: d.connection, pipeline, streamOpts, withDeleted: d.withDeleted }),
+      processInBatches: (filter, handler, options) =>
+        processInBatches({ model, connection: d.connection, filter, handler, options: { select: d.select, populate: d.populate, withDeleted: d.withDeleted, ...options } }),
+      // writes
+      createOne: (data, writeArg) => createOne({ model, connection: d.connection, data, writeArg: writeOf(writeArg) }),
+      createMany: (docs, writeArg) => createMany({ model, connection: d.connection, docs, writeArg: writeOf(writeArg) }),
+      updateOne: (filter, data, writeArg) => updateOne({ model, connection: d.connection, filter, data, writeArg: writeOf(writeArg), withDeleted: d.withDeleted }),
+      updateMany: (filter, data, writeArg) => updateMany({ model, connection: d.connection, filter, data, writeArg: writeOf(writeArg), withDeleted: d.withDeleted }),
+      upsertOne: (filter, data, writeArg) => upsertOne({ model, connection: d.connection, filter, data, writeArg: writeOf(writeArg), withDeleted: d.withDeleted }),
+      deleteOne: (filter, writeArg) => deleteOne({ model, connection: d.connection, filter, writeArg: writeOf(writeArg) }),
+      deleteMany: (filter, writeArg) => deleteMany({ model, connection: d.connection, filter, writeArg: writeOf(writeArg) }),
+      restoreOne: (filter, writeArg) => restoreOne({ model, connection: d.connection, filter, writeArg: writeOf(writeArg) }),
+      restoreMany: (filter, writeArg) => restoreMany({ model, connection: d.connection, filter, writeArg: writeOf(writeArg) }),
+      purgeDeleted: (filter, writeArg) => purgeDeleted({ model, connection: d.connection, filter, writeArg: writeOf(writeArg) }),
+      bulkWrite: (ops, writeArg) => bulkWrite({ model, connection: d.connection, ops, writeArg: writeOf(writeArg), withDeleted: d.withDeleted }),
+    };
+  };
+
+  /****************************************************
+   * ##: Safe Query Execution
+   * Keeps your return contract: always { status, data }.
+   * You can call with a function reference or the name of a function of this instance.
+   * @param {Function} func - Function to execute
+   * @param {...any} args - Arguments to pass to the function
+   * History:
+   * 14-08-2025: Created
+   * 18-10-2026: Names resolve against the instance (createRepoUtils)
+   ****************************************************/
+  const safeQuery = async (fn, ...args) => {
+    try {
+      const f = typeof fn === "function" ? fn : api[fn];
+      if (typeof f !== "function") {
+        return fail(_validationError(`Function "${fn}" not found`), `/mongo/repo/index.js/safeQuery/${fn}`);
+      }
+      const res = await f(...args);
+      return res && typeof res.status === "boolean" && "data" in res ? res : ok(res);
+    } catch (err) {
+      return fail(err, "/mongo/repo/index.js/safeQuery/catch");
+    }
+  };
+
+  const api = {
+    // model resolver
+    resolveModel,
+    loadModels,
+    // ops
+    createOne,
+    createMany,
+    getOne,
+    getMany,
+    getManyWithLimit,
+    getManyWithPagination,
+    getManyWithCursor,
+    aggregate,
+    iterateMany,
+    streamMany,
+    iterateAggregate,
+    streamAggregate,
+    updateOne,
+    updateMany,
+    deleteOne,
+    deleteMany,
+    restoreOne,
+    restoreMany,
+    purgeDeleted,
+    upsertOne,
+    bulkWrite,
+    countDocuments,
+    distinct,
+    // utils
+    safeQuery,
+    withTransaction,
+    invalidateCache,
+    processInBatches,
+    repo,
+
+    // metrics
+    getMetrics,
+    resetMetrics,
+    // others
+    setLogger,
+    setMongoose,
+    setConnection,
+    setModelsDir,
+    setCache,
+    setDefaultCacheOptions,
+    setDefaultQueryOptions,
+    setAutoInvalidation,
+    setCacheClone,
+    setSoftDelete,
+    setTenancy,
+    withTenant,
+    withoutTenant,
+    // cache adapters
+    MemoryCache,
+    createMemoryCache,
+    RedisCache,
+    TieredCache,
+    // invalidation bus
+    setInvalidationBus,
+    MemoryInvalidationBus,
+    addModelByFile,
+    // errors
+    RepoError,
+  };
+
+  // Apply instance options (invalid options fail fast)
+  const { mongoose: mongooseOpt, connection, modelsDir, logger: loggerOpt, cache: cacheOpt } = options || {};
+  const _apply = (res) => {
+    if (!res.status) throw res.data;
+  };
+  if (loggerOpt !== undefined) _apply(setLogger(loggerOpt));
+  if (mongooseOpt !== undefined && connection !== undefined) throw new Error("createRepoUtils: pass either mongoose or connection, not both");
+  if ((connection ?? mongooseOpt) !== undefined) _apply(setMongoose(connection ?? mongooseOpt));
+  if (modelsDir !== undefined) _apply(setModelsDir(modelsDir));
+  if (cacheOpt !== undefined) _apply(setCache(cacheOpt));
+
+  return api;
 };
 
-/****************************************************
- * ##: Safe Query Execution
- * Keeps your return contract: always { status, data }.
- * You can call with a function reference or the exported name in this module.
- * @param {Function} func - Function to execute
- * @param {...any} args - Arguments to pass to the function
- * History:
- * 14-08-2025: Created
- ****************************************************/
-const safeQuery = async (fn, ...args) => {
-  try {
-    const f = typeof fn === "function" ? fn : module.exports?.[fn];
-    if (typeof f !== "function") {
-      return fail(new Error(`Function "${fn}" not found`), `/mongo/repo/index.js/safeQuery/${fn}`);
-    }
-    const res = await f(...args);
-    return res && typeof res.status === "boolean" && "data" in res ? res : ok(res);
-  } catch (err) {
-    return fail(err, "/mongo/repo/index.js/safeQuery/catch");
-  }
-};
+// Default instance (top-level API)
+const defaultInstance = createRepoUtils();
 
 module.exports = {
-  // model resolver
-  resolveModel,
-  loadModels,
-  // ops
-  createOne,
-  createMany,
-  getOne,
-  getMany,
-  getManyWithLimit,
-  getManyWithPagination,
-  aggregate,
-  updateOne,
-  updateMany,
-  deleteOne,
-  deleteMany,
-  upsertOne,
-  countDocuments,
-  distinct,
-  // utils
-  safeQuery,
-  withTransaction,
-  invalidateCache,
-
-  // metrics
-  getMetrics,
-  resetMetrics,
-  // others
-  setLogger,
-  setMongoose,
-  setModelsDir,
-  setCache,
-  addModelByFile,
+  ...defaultInstance,
+  createRepoUtils,
 };
@@ -0,0 +1,37 @@
+"use strict";
+const { EventEmitter } = require("events");
+
+/******************************************************************
+ * ##: Memory Invalidation Bus
+ * In-process transport for cross-process cache invalidation, built on
+ * an EventEmitter. Useful for tests and single-host setups; share one
+ * emitter between buses to simulate several processes.
+ *
+ * Bus interface (used by setInvalidationBus()):
+ *  - publish(message): void | Promise<void>
+ *  - subscribe(handler): unsubscribe function (optional return)
+ * Messages are plain JSON-serializable objects:
+ *  { origin, keys?, prefixes?, tags?, models? }
+ *
+ * History:
+ * 18-10-2026: Created
+ ******************************************************************/
+class MemoryInvalidationBus {
+  constructor({ emitter, channel = "sp-repo:invalidate" } = {}) {
+    this.emitter = emitter || new EventEmitter();
+    this.channel = channel;
+  }
+
+  publish(message) {
+    // Deliver asynchronously, like a network transport would
+    setImmediate(() => this.emitter.emit(this.channel, message));
+  }
+
+  subscribe(handler) {
+    this.emitter.on(this.channel, handler);
+    return () => this.emitter.off(this.channel, handler);
+  }
+}
+
+module.exports = MemoryInvalidationBus;
+module.exports.MemoryInvalidationBus = MemoryInvalidationBus;
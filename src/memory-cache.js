@@ -1,58 +1,222 @@
 "use strict";
+
+/******************************************************************
+ * ##: Human readable byte size
+ * History:
+ * 06-06-2025: Created
+ * 18-10-2026: Moved to module scope (used by stats reporting)
+ ******************************************************************/
+function humanFileSize(bytes, si = false, dp = 1) {
+  const thresh = si ? 1000 : 1024;
+
+  if (Math.abs(bytes) < thresh) {
+    return bytes + " B";
+  }
+
+  const units = ["kB", "MB", "GB", "TB", "PB", "EB", "ZB", "YB"];
+  let u = -1;
+  const r = 10 ** dp;
+
+  do {
+    bytes /= thresh;
+    ++u;
+  } while (Math.round(Math.abs(bytes) * r) / r >= thresh && u < units.length - 1);
+
+  return bytes.toFixed(dp) + " " + units[u];
+}
+
 class MemoryCache {
-  constructor(maxEntries = 5000, defaultTTL = 60_000) {
-    this.cache = new Map(); // Key: string, Value: { value, expiresAt, timeout }
+  /******************************************************************
+   * ##: MemoryCache constructor
+   * Accepts positional (maxEntries, defaultTTL, options) or a single options object:
+   * { maxEntries, defaultTTL, maxBytes, maxEntryBytes, sweepIntervalMs, statsIntervalMs, logger }
+   * Expiry is checked lazily on read plus one periodic sweep (started with the first
+   * expiring entry). Timers are unref'd, so they never keep the process alive.
+   * A put() timeoutCallback fires once, when the expired entry is removed: by the
+   * next sweep (up to sweepIntervalMs after the TTL) or earlier by a get()/del()
+   * that finds it expired. Evicted, overwritten or deleted entries never fire it.
+   * History:
+   * 06-06-2025: Created
+   * 18-10-2026: Options object, optional stats reporting through a logger, dispose()
+   * 18-10-2026: Single expiry sweeper instead of one setTimeout per entry
+   ******************************************************************/
+  constructor(maxEntries = 5000, defaultTTL = 60_000, options = {}) {
+    if (maxEntries && typeof maxEntries === "object") {
+      options = maxEntries;
+      maxEntries = options.maxEntries ?? 5000;
+      defaultTTL = options.defaultTTL ?? 60_000;
+    }
+    const { maxBytes = Infinity, maxEntryBytes = Infinity, sweepIntervalMs = 1_000, statsIntervalMs = 0, logger = null } = options || {};
+
+    this.cache = new Map(); // Key: string, Value: { value, expiresAt, onExpire, tags, size }
+    this.tagIndex = new Map(); // Key: tag, Value: Set of cache keys
     this.maxEntries = maxEntries;
     this.defaultTTL = defaultTTL; // in ms
+    this.maxBytes = maxBytes; // Total byte budget (LRU eviction until under budget)
+    this.maxEntryBytes = maxEntryBytes; // Values larger than this are not cached
+    this._bytes = 0; // Tracked size of all entries (updated on put/delete)
     this._hitCount = 0;
     this._missCount = 0;
     this._debug = false;
+    this._logger = logger;
+    this._statsTimer = null;
+    this.sweepIntervalMs = sweepIntervalMs; // Period of the expiry sweep (ms)
+    this._sweepTimer = null;
 
-    function humanFileSize(bytes, si = false, dp = 1) {
-      const thresh = si ? 1000 : 1024;
-
-      if (Math.abs(bytes) < thresh) {
-        return bytes + " B";
-      }
-
-      const units = si ? ["kB", "MB", "GB", "TB", "PB", "EB", "ZB", "YB"] : ["kB", "MB", "GB", "TB", "PB", "EB", "ZB", "YB"]; //["KiB", "MiB", "GiB", "TiB", "PiB", "EiB", "ZiB", "YiB"];
-      let u = -1;
-      const r = 10 ** dp;
+    if (statsIntervalMs > 0) this._startStats(statsIntervalMs);
+  }
 
-      do {
-        bytes /= thresh;
-        ++u;
-      } while (Math.round(Math.abs(bytes) * r) / r >= thresh && u < units.length - 1);
+  /******************************************************************
+   * ##: Periodic stats reporting
+   * Reports { entries, bytes, hits, misses } through the logger
+   * (function (message, stats) or object with info/log).
+   * History:
+   * 18-10-2026: Created (replaces the hard-coded console.log debug timer)
+   ******************************************************************/
+  _startStats(intervalMs) {
+    this._statsTimer = setInterval(() => this._reportStats(), intervalMs);
+    if (typeof this._statsTimer.unref === "function") this._statsTimer.unref();
+  }
 
-      return bytes.toFixed(dp) + " " + units[u];
+  _reportStats() {
+    const stats = this.stats();
+    const message = `[MemoryCache] entries: ${stats.entries}, size: ${humanFileSize(stats.bytes)}`;
+    const logger = this._logger;
+    try {
+      if (typeof logger === "function") logger(message, stats);
+      else if (logger && typeof logger.info === "function") logger.info(message, stats);
+      else if (logger && typeof logger.log === "function") logger.log(message, stats);
+    } catch (_) {
+      // Ignore logger errors
     }
+  }
 
-    /******************************************************************
-     * ##: Debug Memory Usage (TEMP)
-     * Imprime periodicamente o tamanho dos arrays globais
-     * History:
-     * 06-06-2025: Created
-     ******************************************************************/
-    const debugMemoryUsage = () => {
-      setInterval(() => {
-        // Print cache size and size in bytes
-        console.log(`🔴🔴🔴 [MemoryCacheV2 Mongo-Repo-Utils] : ${this.cache.size}, (${humanFileSize(this.sizebytes())})`);
-      }, 15000); //  every 15 seconds
-    };
+  stats() {
+    return { entries: this.size(), bytes: this.sizebytes(), hits: this._hitCount, misses: this._missCount };
+  }
 
-    debugMemoryUsage();
+  // Stops the stats timer and the sweeper, and drops every entry
+  dispose() {
+    if (this._statsTimer) clearInterval(this._statsTimer);
+    this._statsTimer = null;
+    this.clear();
   }
 
   _log(...args) {
     if (this._debug) console.log("[MemoryCache]", ...args);
   }
 
+  _isExpired(record, now = Date.now()) {
+    return record.expiresAt !== Infinity && now > record.expiresAt;
+  }
+
   _delete(key) {
     const record = this.cache.get(key);
-    if (record && record.timeout) clearTimeout(record.timeout);
+    if (record && record.tags) this._unindexTags(key, record.tags);
+    if (record && record.size) this._bytes -= record.size;
     this.cache.delete(key);
   }
 
+  // Removes an expired record and fires its timeout callback (put/putResolver semantics)
+  _expire(key, record) {
+    this._delete(key);
+    if (record.onExpire) {
+      try {
+        record.onExpire(key, record.value);
+      } catch (error) {
+        this._log(`Timeout callback failed for "${key}"`, error);
+      }
+    }
+  }
+
+  /******************************************************************
+   * ##: Expiry sweeper
+   * One unref'd interval for the whole cache: removes expired entries and
+   * fires their timeout callbacks. Stops itself when the cache is empty.
+   * History:
+   * 18-10-2026: Created
+   ******************************************************************/
+  _ensureSweeper() {
+    if (this._sweepTimer || !(this.sweepIntervalMs > 0)) return;
+    this._sweepTimer = setInterval(() => this._sweep(), this.sweepIntervalMs);
+    if (typeof this._sweepTimer.unref === "function") this._sweepTimer.unref();
+  }
+
+  _stopSweeper() {
+    if (this._sweepTimer) clearInterval(this._sweepTimer);
+    this._sweepTimer = null;
+  }
+
+  _sweep() {
+    const now = Date.now();
+    for (const [key, record] of this.cache) {
+      if (this._isExpired(record, now)) this._expire(key, record);
+    }
+    if (this.cache.size === 0) this._stopSweeper();
+  }
+
+  _sizeOf(key, value) {
+    try {
+      return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value) ?? "");
+
+      // Error handling
+    } catch (error) {
+      return Buffer.byteLength(key);
+    }
+  }
+
+  /******************************************************************
+   * ##: Store a record
+   * Shared by put() and putResolver(). Computes the entry size once,
+   * skips values above maxEntryBytes and evicts the least recently
+   * used entries until maxEntries and maxBytes are respected.
+   *
+   * @returns {boolean} - True if stored, false if the value is too large
+   *
+   * History:
+   * 18-10-2026: Created (extracted from put/putResolver, added byte budget)
+   ******************************************************************/
+  _set(key, value, ttl, timeoutCallback) {
+    // Clear existing record (and tags) if key exists
+    if (this.cache.has(key)) {
+      this._delete(key);
+    }
+
+    // Skip values above the per-entry limit (or the whole budget)
+    const size = this._sizeOf(key, value);
+    if (size > this.maxEntryBytes || size > this.maxBytes) {
+      this._log(`Skipped "${key}" (${size} bytes)`);
+      return false;
+    }
+
+    // Remove oldest entries while the entry limit or the byte budget is exceeded
+    while (this.cache.size > 0 && (this.cache.size >= this.maxEntries || this._bytes + size > this.maxBytes)) {
+      const oldestKey = this.cache.keys().next().value;
+      this._delete(oldestKey);
+    }
+
+    // Implemented no TTL (Infinity) for no expiration
+    if (ttl === -1) {
+      this.cache.set(key, { value, expiresAt: Infinity, onExpire: null, size });
+    } else {
+      // Expiry is handled lazily on read and by the sweeper (which fires timeoutCallback)
+      this.cache.set(key, { value, expiresAt: Date.now() + ttl, onExpire: timeoutCallback || null, size });
+      this._ensureSweeper();
+    }
+    this._bytes += size;
+
+    return true;
+  }
+
+  _unindexTags(key, tags) {
+    for (const tag of tags) {
+      const keys = this.tagIndex.get(tag);
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) this.tagIndex.delete(tag);
+    }
+  }
+
   putResolver(key, value, ttl, timeoutCallback) {
     return new Promise((resolve) => {
       if (timeoutCallback && typeof timeoutCallback !== "function") {
@@ -61,28 +225,9 @@ class MemoryCache {
         return;
       }
 
-      // Clear existing timeout if key exists
-      if (this.cache.has(key)) {
-        clearTimeout(this.cache.get(key).timeout);
-        this.cache.delete(key);
-      }
-
-      // Remove oldest if limit is reached
-      if (this.cache.size >= this.maxEntries) {
-        const oldestKey = this.cache.keys().next().value;
-        this._delete(oldestKey);
-      }
-
-      // Implemented no TTL (Infinity) for no expiration
-      if (ttl === -1) {
-        this.cache.set(key, { value, expiresAt: Infinity, timeout: null });
-      } else {
-        const expiresAt = Date.now() + ttl;
-        const timeout = setTimeout(() => {
-          this._delete(key);
-          if (timeoutCallback) timeoutCallback(key, value);
-        }, ttl);
-        this.cache.set(key, { value, expiresAt, timeout });
+      if (!this._set(key, value, ttl, timeoutCallback)) {
+        resolve({ status: false, data: "Value exceeds the maximum entry size" });
+        return;
       }
 
       resolve({ status: true, data: value });
@@ -99,29 +244,8 @@ class MemoryCache {
       throw new Error("MemoryCache timeout callback must be a function");
     }
 
-    // Clear existing timeout if key exists
-    if (this.cache.has(key)) {
-      clearTimeout(this.cache.get(key).timeout);
-      this.cache.delete(key);
-    }
-
-    // Remove oldest if limit is reached
-    if (this.cache.size >= this.maxEntries) {
-      const oldestKey = this.cache.keys().next().value;
-      this._delete(oldestKey);
-    }
-
-    // Implemented no TTL (Infinity) for no expiration
-    if (ttl === -1) {
-      this.cache.set(key, { value, expiresAt: Infinity, timeout: null });
-    } else {
-      const expiresAt = Date.now() + ttl;
-      const timeout = setTimeout(() => {
-        this._delete(key);
-        if (timeoutCallback) timeoutCallback(key, value);
-      }, ttl);
-      this.cache.set(key, { value, expiresAt, timeout });
-    }
+    // Values above maxEntryBytes are not cached (the value is still returned)
+    this._set(key, value, ttl, timeoutCallback);
 
     return value;
   }
@@ -133,12 +257,10 @@ class MemoryCache {
       return defaultValue;
     }
 
-    if (record.expiresAt !== Infinity) {
-      if (Date.now() > record.expiresAt) {
-        this._missCount++;
-        this._delete(key);
-        return defaultValue;
-      }
+    if (this._isExpired(record)) {
+      this._missCount++;
+      this._expire(key, record);
+      return defaultValue;
     }
 
     this._hitCount++;
@@ -159,13 +281,11 @@ class MemoryCache {
         return;
       }
 
-      if (record.expiresAt !== Infinity) {
-        if (Date.now() > record.expiresAt) {
-          this._missCount++;
-          this._delete(key);
-          resolve({ status: true, data: defaultValue });
-          return;
-        }
+      if (this._isExpired(record)) {
+        this._missCount++;
+        this._expire(key, record);
+        resolve({ status: true, data: defaultValue });
+        return;
       }
 
       this._hitCount++;
@@ -188,6 +308,7 @@ class MemoryCache {
    *
    * History:
    * 02-01-2026: Added force parameter
+   * 18-10-2026: Expired records are removed (as expired) instead of lingering until the sweep
    ******************************************************************/
   del(key, force = false) {
     const record = this.cache.get(key);
@@ -195,19 +316,13 @@ class MemoryCache {
       return false;
     }
 
-    let canDelete = true;
-    if (!force) {
-      if (record.expiresAt !== Infinity && Date.now() > record.expiresAt) {
-        canDelete = false;
-      }
-    }
-
-    if (canDelete) {
-      clearTimeout(record.timeout);
-      return this.cache.delete(key);
+    if (!force && this._isExpired(record)) {
+      this._expire(key, record);
+      return false;
     }
 
-    return false;
+    this._delete(key);
+    return true;
   }
 
   delByPatternResolver(pattern) {
@@ -231,7 +346,8 @@ class MemoryCache {
   delResolver(key) {
     return new Promise((resolve) => {
       try {
-        const response = this.cache.delete(key);
+        const response = this.cache.has(key);
+        this._delete(key);
 
         if (response) {
           resolve({ status: true, data: `Key "${key}" deleted successfully.` });
@@ -247,14 +363,15 @@ class MemoryCache {
   }
 
   clear() {
-    for (const [, record] of this.cache) {
-      clearTimeout(record.timeout);
-    }
+    this._stopSweeper();
     this.cache.clear();
+    this.tagIndex.clear();
+    this._bytes = 0;
     this._hitCount = 0;
     this._missCount = 0;
   }
 
+  // Tracked entry count: an expired record is subtracted when the sweep (or a get/del) removes it
   size() {
     return this.cache.size;
   }
@@ -267,23 +384,62 @@ class MemoryCache {
     return this._missCount;
   }
 
-  keys() {
-    return Array.from(this.cache.keys());
+  // Remaining TTL in ms (-1: no expiration, -2: missing or expired), same convention as Redis PTTL
+  ttl(key) {
+    const record = this.cache.get(key);
+    if (!record || this._isExpired(record)) return -2;
+    if (record.expiresAt === Infinity) return -1;
+    return record.expiresAt - Date.now();
   }
 
-  sizebytes() {
-    try {
-      let total = 0;
-      for (const [key, record] of this.cache) {
-        total += Buffer.byteLength(key);
-        total += Buffer.byteLength(JSON.stringify(record.value));
-      }
-      return total;
+  // Live keys only (expired records awaiting the sweep are skipped)
+  keys() {
+    const now = Date.now();
+    const keys = [];
+    for (const [key, record] of this.cache) {
+      if (!this._isExpired(record, now)) keys.push(key);
+    }
+    return keys;
+  }
 
-      // Error handling
-    } catch (error) {
-      return 0;
+  /******************************************************************
+   * ##: Tag a cached record
+   * Associates tags with an existing key. The tag index is cleaned
+   * whenever the record is deleted, evicted or expires.
+   *
+   * @param {string} key - The key to tag
+   * @param {string[]} tags - Tags to associate with the key
+   * @returns {boolean} - True if the key exists and was tagged
+   *
+   * History:
+   * 18-10-2026: Created
+   ******************************************************************/
+  setTags(key, tags) {
+    const record = this.cache.get(key);
+    if (!record || !Array.isArray(tags)) return false;
+
+    const merged = new Set(record.tags || []);
+    for (const tag of tags) {
+      if (typeof tag !== "string" || !tag) continue;
+      merged.add(tag);
+      if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+      this.tagIndex.get(tag).add(key);
     }
+    record.tags = Array.from(merged);
+    return true;
+  }
+
+  keysByTag(tag) {
+    const now = Date.now();
+    return Array.from(this.tagIndex.get(tag) || []).filter((key) => {
+      const record = this.cache.get(key);
+      return record && !this._isExpired(record, now);
+    });
+  }
+
+  // Tracked at put time (key + JSON-serialized value), no re-serialization; updated like size()
+  sizebytes() {
+    return this._bytes;
   }
 
   debug(bool) {
@@ -291,5 +447,13 @@ class MemoryCache {
   }
 }
 
-module.exports = new MemoryCache();
-module.exports.MemoryCache = MemoryCache;
+/******************************************************************
+ * ##: Create a MemoryCache
+ * @param {Object} [options] - { maxEntries, defaultTTL, maxBytes, maxEntryBytes, statsIntervalMs, logger }
+ * @returns {MemoryCache}
+ * History:
+ * 18-10-2026: Created (replaces the module-level singleton)
+ ******************************************************************/
+const createMemoryCache = (options = {}) => new MemoryCache(options || {});
+
+module.exports = { MemoryCache, createMemoryCache };
@@ -0,0 +1,182 @@
+"use strict";
+
+/******************************************************************
+ * ##: Redis Cache adapter
+ * Wraps an ioredis or node-redis (v4+) client into the cache interface
+ * used by setCache(): { get, put, del, keys } plus the optional
+ * { delByPrefix, setTags, keysByTag, delByTag } capabilities.
+ *
+ * Raw commands are sent through client.call(...args) (ioredis) or
+ * client.sendCommand(args) (node-redis), so any object exposing one of
+ * them (e.g. an in-process fake) can be used as the client.
+ *
+ * Values are serialized as JSON; Dates and ObjectIds are tagged so they
+ * round-trip as Date and ObjectId instances.
+ *
+ * History:
+ * 18-10-2026: Created
+ ******************************************************************/
+class RedisCache {
+  constructor(client, { prefix = "sp-repo:", tagPrefix = "sp-repo-tags:", defaultTTL = 60_000, scanCount = 500, ObjectId } = {}) {
+    if (!client || (typeof client.call !== "function" && typeof client.sendCommand !== "function")) {
+      throw new Error("RedisCache client must expose call(...args) (ioredis) or sendCommand(args) (node-redis)");
+    }
+    this.client = client;
+    this.prefix = prefix; // Namespace for cached values
+    this.tagPrefix = tagPrefix; // Namespace for tag sets (kept apart so keys() never lists them)
+    this.defaultTTL = defaultTTL; // in ms
+    this.scanCount = scanCount;
+    this._ObjectId = ObjectId || null;
+  }
+
+  _command(args) {
+    if (typeof this.client.call === "function") return this.client.call(...args);
+    return this.client.sendCommand(args.map(String));
+  }
+
+  _objectId() {
+    if (!this._ObjectId) {
+      try {
+        this._ObjectId = require("mongoose").Types.ObjectId;
+      } catch (_) {
+        this._ObjectId = null;
+      }
+    }
+    return this._ObjectId;
+  }
+
+  /******************************************************************
+   * ##: Serialize a value
+   * JSON with tagged Dates ({ __sp_type: "Date" }) and ObjectIds ({ __sp_type: "ObjectId" })
+   * History:
+   * 18-10-2026: Created
+   ******************************************************************/
+  serialize(value) {
+    return JSON.stringify(value, function replacer(key, val) {
+      const raw = this[key]; // Original value (before toJSON)
+      if (raw instanceof Date) return { __sp_type: "Date", v: raw.toISOString() };
+      if (raw && (raw._bsontype === "ObjectId" || raw._bsontype === "ObjectID")) return { __sp_type: "ObjectId", v: raw.toHexString() };
+      return val;
+    });
+  }
+
+  deserialize(str) {
+    if (str === null || str === undefined) return null;
+    const ObjectId = this._objectId();
+    return JSON.parse(str, (key, val) => {
+      if (val && typeof val === "object" && typeof val.__sp_type === "string") {
+        if (val.__sp_type === "Date") return new Date(val.v);
+        if (val.__sp_type === "ObjectId") return ObjectId ? new ObjectId(val.v) : val.v;
+      }
+      return val;
+    });
+  }
+
+  async *_scan(pattern) {
+    let cursor = "0";
+    do {
+      const reply = await this._command(["SCAN", cursor, "MATCH", pattern, "COUNT", this.scanCount]);
+      cursor = String(reply[0]);
+      yield reply[1] || [];
+    } while (cursor !== "0");
+  }
+
+  async get(key, defaultValue = null) {
+    const str = await this._command(["GET", this.prefix + key]);
+    if (str === null || str === undefined) return defaultValue;
+    return this.deserialize(str);
+  }
+
+  /******************************************************************
+   * ##: Store a value
+   * @param {string} key - Cache key
+   * @param {any} value - Value to store
+   * @param {number} ttl - TTL in ms (-1 for no expiration, 0 skips storing)
+   * @returns {Promise<boolean>} - True if stored
+   * History:
+   * 18-10-2026: Created
+   ******************************************************************/
+  async put(key, value, ttl = this.defaultTTL) {
+    if (ttl === 0) return false;
+    const args = ["SET", this.prefix + key, this.serialize(value)];
+    if (ttl !== -1) args.push("PX", Math.max(1, Math.floor(ttl)));
+    await this._command(args);
+    return true;
+  }
+
+  async del(key) {
+    const removed = await this._command(["DEL", this.prefix + key]);
+    return Number(removed) > 0;
+  }
+
+  // Remaining TTL in ms (-1: no expiration, -2: missing), used by TieredCache to cap L1 backfills
+  async ttl(key) {
+    return Number(await this._command(["PTTL", this.prefix + key]));
+  }
+
+  async keys() {
+    const keys = [];
+    for await (const batch of this._scan(`${this.prefix}*`)) {
+      for (const k of batch) keys.push(String(k).slice(this.prefix.length));
+    }
+    return keys;
+  }
+
+  /******************************************************************
+   * ##: Delete by prefix
+   * SCAN-based (never KEYS), deletes matching keys batch by batch
+   * @param {string} prefix - Cache key prefix (without the adapter namespace)
+   * @returns {Promise<number>} - Number of deleted keys
+   * History:
+   * 18-10-2026: Created
+   ******************************************************************/
+  async delByPrefix(prefix) {
+    let count = 0;
+    const pattern = `${this.prefix}${String(prefix).replace(/[*?[\]\\]/g, "\\$&")}*`;
+    for await (const batch of this._scan(pattern)) {
+      if (!batch.length) continue;
+      count += Number(await this._command(["DEL", ...batch])) || 0;
+    }
+    return count;
+  }
+
+  /******************************************************************
+   * ##: Tag a key
+   * Adds the key to one Redis set per tag. Tag sets expire no earlier
+   * than the longest TTL of their members (ttl -1 makes the set persistent).
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Persistent members no longer get an expiring tag set
+   ******************************************************************/
+  async setTags(key, tags, ttl = this.defaultTTL) {
+    if (!Array.isArray(tags)) return false;
+    for (const tag of tags) {
+      if (typeof tag !== "string" || !tag) continue;
+      const setKey = this.tagPrefix + tag;
+      const current = Number(await this._command(["PTTL", setKey])); // -2: new set, -1: persistent set (left alone)
+      await this._command(["SADD", setKey, key]);
+      if (ttl === -1) {
+        if (current !== -1) await this._command(["PERSIST", setKey]); // A member that never expires keeps the set alive
+      } else if (ttl > 0 && (current === -2 || (current >= 0 && current < ttl))) {
+        await this._command(["PEXPIRE", setKey, Math.floor(ttl)]);
+      }
+    }
+    return true;
+  }
+
+  async keysByTag(tag) {
+    const members = await this._command(["SMEMBERS", this.tagPrefix + tag]);
+    return (members || []).map(String);
+  }
+
+  async delByTag(tag) {
+    const keys = await this.keysByTag(tag);
+    let count = 0;
+    if (keys.length) count = Number(await this._command(["DEL", ...keys.map((k) => this.prefix + k)])) || 0;
+    await this._command(["DEL", this.tagPrefix + tag]);
+    return count;
+  }
+}
+
+module.exports = RedisCache;
+module.exports.RedisCache = RedisCache;
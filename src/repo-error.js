@@ -0,0 +1,103 @@
+"use strict";
+
+/******************************************************************
+ * ##: Repo Error
+ * Normalized error returned in `data` by every failed call ({ status: false }).
+ * Callers branch on `code` instead of matching messages or driver codes:
+ *
+ * - VALIDATION: invalid arguments or a Mongoose ValidationError
+ * - NOT_FOUND: a required document does not exist (DocumentNotFoundError)
+ * - DUPLICATE_KEY: unique index violation (E11000)
+ * - CAST_ERROR: a value could not be cast to the schema type
+ * - TIMEOUT: timeoutMs elapsed or MongoDB stopped the operation (maxTimeMS)
+ * - ABORTED: the caller's AbortSignal fired
+ * - TRANSIENT: network / failover error, safe to retry (retryable: true)
+ * - MODEL_NOT_FOUND: the model could not be resolved
+ * - TENANT_REQUIRED / TENANT_MISMATCH: multi-tenancy scoping
+ * - UNKNOWN: anything else
+ *
+ * The original error is kept as `cause`; its other fields (keyValue,
+ * errors, summary, ...) are copied onto the RepoError, and its own code
+ * (e.g. 11000) is kept as `driverCode`.
+ *
+ * History:
+ * 18-10-2026: Created
+ ******************************************************************/
+const CODES = ["VALIDATION", "NOT_FOUND", "DUPLICATE_KEY", "CAST_ERROR", "TIMEOUT", "ABORTED", "TRANSIENT", "MODEL_NOT_FOUND", "TENANT_REQUIRED", "TENANT_MISMATCH", "UNKNOWN"];
+
+// Server error codes the driver treats as retryable (not primary, shutdown, network)
+const TRANSIENT_SERVER_CODES = [6, 7, 89, 91, 189, 262, 9001, 10107, 11600, 11602, 13435, 13436];
+const TRANSIENT_ERROR_NAMES = ["MongoNetworkError", "MongoNetworkTimeoutError", "MongoServerSelectionError", "MongoPoolClearedError"];
+const TRANSIENT_SYSTEM_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE"];
+
+// MongoDB's own maxTimeMS error (code 50)
+const isMaxTimeError = (err) => Boolean(err) && (err.codeName === "MaxTimeMSExpired" || err.code === 50);
+
+const _hasLabel = (err, label) => typeof err?.hasErrorLabel === "function" && err.hasErrorLabel(label);
+
+/******************************************************************
+ * ##: Classify an error
+ * @param {Any} err - Error thrown by a helper, Mongoose or the driver
+ * @returns {String} - One of CODES
+ * History:
+ * 18-10-2026: Created
+ ******************************************************************/
+const classify = (err) => {
+  if (!err || typeof err !== "object") return "UNKNOWN";
+  if (typeof err.code === "string" && CODES.includes(err.code)) return err.code;
+  if (isMaxTimeError(err)) return "TIMEOUT";
+  if (err.code === 11000 || err.code === 11001 || err.code === 12582) return "DUPLICATE_KEY";
+  if (err.name === "CastError") return "CAST_ERROR";
+  if (err.name === "ValidationError" || err.name === "ValidatorError" || err.name === "StrictModeError") return "VALIDATION";
+  if (err.name === "DocumentNotFoundError") return "NOT_FOUND";
+  if (err.name === "MissingSchemaError") return "MODEL_NOT_FOUND";
+  if (_hasLabel(err, "TransientTransactionError") || _hasLabel(err, "RetryableWriteError")) return "TRANSIENT";
+  if (TRANSIENT_ERROR_NAMES.includes(err.name) || TRANSIENT_SERVER_CODES.includes(err.code) || TRANSIENT_SYSTEM_CODES.includes(err.code)) return "TRANSIENT";
+  return "UNKNOWN";
+};
+
+class RepoError extends Error {
+  constructor(message, { code = "UNKNOWN", operation = null, model = null, retryable, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "RepoError";
+    this.code = code;
+    this.operation = operation; // Helper that failed (e.g. "getOne")
+    this.model = model; // Model name, when known
+    this.retryable = retryable ?? code === "TRANSIENT";
+  }
+
+  /******************************************************************
+   * ##: Wrap an error
+   * A RepoError is returned as is: the caller's operation replaces its own
+   * (e.g. "resolveModel" becomes "getOne"), a missing model is filled in
+   * @param {Any} err - Original error
+   * @param {Object} [meta] - { code (forces the code), operation, model }
+   * @returns {RepoError}
+   * History:
+   * 18-10-2026: Created
+   * 18-10-2026: Keeps the original code as driverCode; the caller's operation wins
+   ******************************************************************/
+  static from(err, { code, operation = null, model = null } = {}) {
+    if (err instanceof RepoError) {
+      if (operation !== null) err.operation = operation;
+      if (err.model === null) err.model = model;
+      return err;
+    }
+
+    const message = err instanceof Error ? err.message : String(err?.message ?? err);
+    const out = new RepoError(message, { code: code || classify(err), operation, model, cause: err });
+    if (err?.code !== undefined && err.code !== null && !CODES.includes(err.code)) out.driverCode = err.code;
+    if (err && typeof err === "object") {
+      for (const [k, v] of Object.entries(err)) {
+        if (!(k in out)) out[k] = v;
+      }
+    }
+    return out;
+  }
+}
+
+module.exports = RepoError;
+module.exports.RepoError = RepoError;
+module.exports.isMaxTimeError = isMaxTimeError;
+module.exports.classify = classify;
+module.exports.CODES = CODES;
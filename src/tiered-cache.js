@@ -0,0 +1,141 @@
+"use strict";
+const { MemoryCache } = require("./memory-cache");
+
+/******************************************************************
+ * ##: Tiered Cache (L1 + L2)
+ * Composite cache with a per-process MemoryCache (L1) in front of a
+ * shared backend (L2, e.g. RedisCache). Implements the setCache()
+ * interface { get, put, del, keys } plus { delByPrefix, setTags,
+ * keysByTag, delByTag } and per-tier hit counters (tierStats()).
+ *
+ * - get: L1 first, then L2 (an L2 hit is copied into L1 for l1TTL, capped
+ *   at the remaining L2 TTL when L2 exposes ttl(key))
+ * - put/del/prefix/tag invalidation: applied to both tiers
+ *
+ * History:
+ * 18-10-2026: Created
+ * 18-10-2026: L1 backfill capped at the remaining L2 TTL, custom l1 validated
+ ******************************************************************/
+class TieredCache {
+  constructor(l2, { l1, l1MaxEntries = 1000, l1TTL = 5_000 } = {}) {
+    if (!l2 || typeof l2.get !== "function" || typeof l2.put !== "function" || typeof l2.del !== "function" || typeof l2.keys !== "function") {
+      throw new Error("TieredCache L2 must have get, put, del, and keys methods");
+    }
+    // L1 is used synchronously (MemoryCache-like); setTags/keysByTag are optional
+    if (l1 && (typeof l1.get !== "function" || typeof l1.put !== "function" || typeof l1.del !== "function" || typeof l1.keys !== "function")) {
+      throw new Error("TieredCache L1 must have get, put, del, and keys methods");
+    }
+    this.l1 = l1 || new MemoryCache(l1MaxEntries, l1TTL);
+    this.l2 = l2;
+    this.l1TTL = l1TTL; // Max time (ms) an entry lives in L1
+    this._stats = { l1: { hits: 0, misses: 0 }, l2: { hits: 0, misses: 0 } };
+  }
+
+  // L1 never keeps an entry longer than L2 would, nor longer than l1TTL (ttl <= 0 or -2: not backfilled)
+  _l1TTL(ttl) {
+    if (typeof ttl !== "number" || Number.isNaN(ttl) || ttl === -1) return this.l1TTL;
+    return Math.min(ttl, this.l1TTL);
+  }
+
+  async get(key, defaultValue = null) {
+    const local = this.l1.get(key);
+    if (local !== undefined && local !== null) {
+      this._stats.l1.hits++;
+      return local;
+    }
+    this._stats.l1.misses++;
+
+    const remote = await this.l2.get(key);
+    if (remote === undefined || remote === null) {
+      this._stats.l2.misses++;
+      return defaultValue;
+    }
+    this._stats.l2.hits++;
+
+    // Backfill L1 with the shared value, never past its remaining L2 TTL
+    const ttl = typeof this.l2.ttl === "function" ? await this.l2.ttl(key) : -1;
+    const backfillTTL = this._l1TTL(ttl);
+    if (backfillTTL > 0) this.l1.put(key, remote, backfillTTL);
+    return remote;
+  }
+
+  async put(key, value, ttl) {
+    this.l1.put(key, value, this._l1TTL(ttl));
+    await this.l2.put(key, value, ttl);
+    return true;
+  }
+
+  async del(key) {
+    const local = this.l1.del(key, true);
+    const remote = await this.l2.del(key);
+    return Boolean(local || remote);
+  }
+
+  async keys() {
+    const remote = (await this.l2.keys()) || [];
+    return Array.from(new Set([...this.l1.keys(), ...remote]));
+  }
+
+  /******************************************************************
+   * ##: Delete by prefix (both tiers)
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<number>} - Number of distinct deleted keys
+   * History:
+   * 18-10-2026: Created
+   ******************************************************************/
+  async delByPrefix(prefix) {
+    const deleted = new Set();
+    for (const key of this.l1.keys()) {
+      if (String(key).startsWith(prefix) && this.l1.del(key, true)) deleted.add(key);
+    }
+
+    if (typeof this.l2.delByPrefix === "function") {
+      const remoteCount = Number(await this.l2.delByPrefix(prefix)) || 0;
+      return Math.max(deleted.size, remoteCount);
+    }
+
+    for (const key of (await this.l2.keys()) || []) {
+      if (String(key).startsWith(prefix) && (await this.l2.del(key))) deleted.add(key);
+    }
+    return deleted.size;
+  }
+
+  async setTags(key, tags, ttl) {
+    if (typeof this.l1.setTags === "function") this.l1.setTags(key, tags);
+    if (typeof this.l2.setTags === "function") await this.l2.setTags(key, tags, ttl);
+    return true;
+  }
+
+  async keysByTag(tag) {
+    const local = typeof this.l1.keysByTag === "function" ? this.l1.keysByTag(tag) || [] : [];
+    const remote = typeof this.l2.keysByTag === "function" ? (await this.l2.keysByTag(tag)) || [] : [];
+    return Array.from(new Set([...local, ...remote]));
+  }
+
+  async delByTag(tag) {
+    const keys = await this.keysByTag(tag);
+    for (const key of keys) this.l1.del(key, true);
+    if (typeof this.l2.delByTag === "function") {
+      await this.l2.delByTag(tag);
+    } else {
+      for (const key of keys) await this.l2.del(key);
+    }
+    return keys.length;
+  }
+
+  tierStats() {
+    return JSON.parse(JSON.stringify(this._stats));
+  }
+
+  resetTierStats() {
+    this._stats = { l1: { hits: 0, misses: 0 }, l2: { hits: 0, misses: 0 } };
+  }
+
+  // Releases the L1 cache (timers and entries); the shared L2 is left untouched
+  dispose() {
+    if (typeof this.l1.dispose === "function") this.l1.dispose();
+  }
+}
+
+module.exports = TieredCache;
+module.exports.TieredCache = TieredCache;
@@ -0,0 +1,78 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, fakeQuery, createDb } = require("./helpers/fake-model");
+
+const cacheOpts = { enabled: true, ttl: "1m" };
+
+const setup = () => {
+  const Users = fakeModel({ findOne: (filter) => fakeQuery({ ...filter }), countDocuments: () => fakeQuery(2) });
+  const Orders = fakeModel({ findOne: (filter) => fakeQuery({ ...filter }) });
+  const db = createDb({ users: Users, orders: Orders });
+  return { db, Users, Orders };
+};
+
+// Number of times a fake model ran a method
+const count = (Model, name) => Model.calls.filter(([m]) => m === name).length;
+
+// Caches two users reads and one orders read
+const warm = async (db) => {
+  await db.getOne({ model: "users", filter: { _id: 1 }, cacheOpts });
+  await db.countDocuments({ model: "users", filter: {}, cacheOpts });
+  await db.getOne({ model: "orders", filter: { _id: 9 }, cacheOpts });
+};
+
+test("a write drops every cached read of its model and counts them as invalidations", async () => {
+  const { db, Users, Orders } = setup();
+  db.setAutoInvalidation(true);
+  await warm(db);
+
+  const res = await db.updateOne({ model: "users", filter: { _id: 1 }, data: { $set: { name: "a" } } });
+  assert.strictEqual(res.status, true);
+  assert.strictEqual(db.getMetrics().data.cache.invalidations, 2);
+
+  await warm(db);
+  assert.strictEqual(count(Users, "findOne"), 2);
+  assert.strictEqual(count(Users, "countDocuments"), 2);
+  assert.strictEqual(count(Orders, "findOne"), 1); // Other models keep their entries
+});
+
+test("writeArg.autoInvalidate overrides the global setting for one call", async () => {
+  const { db, Users } = setup();
+  await warm(db);
+
+  await db.deleteOne({ model: "users", filter: { _id: 1 } });
+  assert.strictEqual(db.getMetrics().data.cache.invalidations, 0); // Off by default
+
+  await db.deleteOne({ model: "users", filter: { _id: 1 }, writeArg: { autoInvalidate: true } });
+  assert.strictEqual(db.getMetrics().data.cache.invalidations, 2);
+
+  db.setAutoInvalidation(true);
+  await warm(db);
+  await db.deleteOne({ model: "users", filter: { _id: 1 }, writeArg: { autoInvalidate: false } });
+  await warm(db);
+  assert.strictEqual(count(Users, "findOne"), 2);
+});
+
+test("auto-invalidation works with a cache given to setCache", async () => {
+  const { db, Users } = setup();
+  const store = new Map();
+  db.setCache({
+    get: (key) => store.get(key),
+    put: (key, value) => store.set(key, value),
+    del: (key) => store.delete(key),
+    keys: () => Array.from(store.keys()),
+  });
+  db.setAutoInvalidation(true);
+  await warm(db);
+  assert.strictEqual(store.size, 3);
+
+  await db.createOne({ model: "users", data: { name: "b" } });
+  assert.strictEqual(store.size, 1);
+  assert.match(Array.from(store.keys())[0], /^getOne:orders:/);
+  assert.strictEqual(db.getMetrics().data.cache.invalidations, 2);
+
+  await warm(db);
+  assert.strictEqual(count(Users, "findOne"), 2);
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, createDb } = require("./helpers/fake-model");
+
+const inserts = (n) => Array.from({ length: n }, (_, i) => ({ insertOne: { document: { _id: i + 1 } } }));
+
+// Driver result for a chunk of inserts (insertedIds indexed within the chunk)
+const inserted = (ops) => ({ insertedCount: ops.length, insertedIds: Object.fromEntries(ops.map((op, i) => [i, op.insertOne.document._id])) });
+
+// Bulk write error: the ops before the failing one were written
+const duplicateKey = (ops, index) => Object.assign(new Error("E11000 duplicate key"), { code: 11000, writeErrors: [{ index, code: 11000, errmsg: "E11000 duplicate key" }], result: inserted(ops.slice(0, index)) });
+
+test("large batches are sent in chunks and counts are summed with ids indexed against all ops", async () => {
+  const Items = fakeModel({ bulkWrite: (ops) => inserted(ops) });
+  const db = createDb({ items: Items });
+
+  const res = await db.bulkWrite("items", inserts(5), { chunkSize: 2 });
+  assert.strictEqual(res.status, true);
+  assert.deepStrictEqual(Items.calls.map(([, ops, options]) => [ops.length, options.ordered]), [[2, true], [2, true], [1, true]]);
+  assert.strictEqual(res.data.insertedCount, 5);
+  assert.deepStrictEqual(res.data.insertedIds, { 0: 1, 1: 2, 2: 3, 3: 4, 4: 5 });
+  assert.deepStrictEqual(res.data.errors, []);
+
+  assert.strictEqual((await db.bulkWrite("items", inserts(1), { chunkSize: 0 })).status, false);
+});
+
+test("ordered: a failed operation stops the batch and is reported at its index", async () => {
+  const Items = fakeModel({
+    bulkWrite: async (ops) => {
+      if (Items.calls.length === 2) throw duplicateKey(ops, 1);
+      return inserted(ops);
+    },
+  });
+  const db = createDb({ items: Items });
+
+  const res = await db.bulkWrite("items", inserts(6), { chunkSize: 2 });
+  assert.strictEqual(res.status, true);
+  assert.strictEqual(Items.calls.length, 2); // The third chunk never ran
+  assert.strictEqual(res.data.insertedCount, 3);
+  assert.deepStrictEqual(res.data.errors, [{ index: 3, code: 11000, message: "E11000 duplicate key" }]);
+});
+
+test("unordered: every chunk runs and each failed operation is reported", async () => {
+  const Items = fakeModel({
+    bulkWrite: async (ops) => {
+      if (Items.calls.length === 1) {
+        // Mongoose cast/validation failures: one entry per op, null when it succeeded
+        return Object.assign(inserted(ops.slice(1)), { mongoose: { results: [new Error("Cast to ObjectId failed"), null] } });
+      }
+      throw duplicateKey(ops, 0);
+    },
+  });
+  const db = createDb({ items: Items });
+
+  const res = await db.bulkWrite("items", inserts(4), { ordered: false, chunkSize: 2 });
+  assert.strictEqual(res.status, true);
+  assert.strictEqual(Items.calls[0][2].ordered, false);
+  assert.strictEqual(Items.calls.length, 2);
+  assert.deepStrictEqual(res.data.errors, [
+    { index: 0, code: null, message: "Cast to ObjectId failed" },
+    { index: 2, code: 11000, message: "E11000 duplicate key" },
+  ]);
+});
+
+test("a failure that is not per operation fails the call", async () => {
+  const Items = fakeModel({
+    bulkWrite: async () => {
+      throw new Error("connection closed");
+    },
+  });
+  const db = createDb({ items: Items });
+
+  const res = await db.bulkWrite("items", inserts(2));
+  assert.strictEqual(res.status, false);
+  assert.strictEqual(res.data.message, "connection closed");
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { fakeModel, fakeQuery, createDb } = require("./helpers/fake-model");
+
+const owner = new mongoose.Types.ObjectId();
+const doc = () => ({ _id: 1, owner, createdAt: new Date(0), price: mongoose.Types.Decimal128.fromString("9.90"), tags: ["a"] });
+
+const setup = () => {
+  const Items = fakeModel({ findOne: () => fakeQuery(doc()) });
+  return { db: createDb({ items: Items }), Items };
+};
+
+const read = (db, clone) => db.getOne({ model: "items", filter: { _id: 1 }, cacheOpts: { enabled: true, ...(clone === undefined ? {} : { clone }) } });
+
+test('clone "deep" hands every caller its own copy', async () => {
+  const { db, Items } = setup();
+  const first = await read(db, "deep");
+  first.data.tags.push("b");
+  first.data.createdAt.setTime(1);
+
+  const second = await read(db, "deep");
+  assert.strictEqual(Items.calls.length, 1);
+  assert.deepStrictEqual(second.data.tags, ["a"]);
+  assert.strictEqual(second.data.createdAt.getTime(), 0);
+  assert.notStrictEqual(second.data, first.data);
+
+  // BSON values are kept as they are (immutable, shared)
+  assert.ok(second.data.owner instanceof mongoose.Types.ObjectId);
+  assert.strictEqual(second.data.owner, owner);
+  assert.ok(second.data.price instanceof mongoose.Types.Decimal128);
+});
+
+test('clone "freeze" returns deep-frozen values', async () => {
+  const { db } = setup();
+  const first = await read(db, "freeze");
+  assert.ok(Object.isFrozen(first.data));
+  assert.throws(() => first.data.tags.push("b"), TypeError);
+
+  const second = await read(db, "freeze");
+  assert.strictEqual(second.data, first.data);
+  assert.deepStrictEqual(second.data.tags, ["a"]);
+});
+
+test("setCacheClone sets the default, cacheOpts.clone overrides it", async () => {
+  const { db } = setup();
+  assert.strictEqual(db.setCacheClone("sometimes").status, false);
+  db.setCacheClone(true);
+
+  const first = await read(db);
+  first.data.tags.push("b");
+  assert.deepStrictEqual((await read(db)).data.tags, ["a"]);
+
+  // clone: false shares the cached object
+  const shared = await read(db, false);
+  assert.strictEqual((await read(db, false)).data, shared.data);
+});
+
+test("cloning applies to injected caches too", async () => {
+  const { db } = setup();
+  const store = new Map();
+  db.setCache({ get: (k) => store.get(k), put: (k, v) => store.set(k, v), del: (k) => store.delete(k), keys: () => Array.from(store.keys()) });
+
+  const first = await read(db, "deep");
+  first.data.tags.push("b");
+  assert.deepStrictEqual(Array.from(store.values())[0].data.tags, ["a"]);
+  assert.deepStrictEqual((await read(db, "deep")).data.tags, ["a"]);
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, fakeQuery, createDb } = require("./helpers/fake-model");
+
+// Default instance and a "reporting" connection, each with its own users model
+const setup = () => {
+  const Primary = fakeModel({ findOne: () => fakeQuery({ from: "primary" }) });
+  const Replica = fakeModel({ findOne: () => fakeQuery({ from: "replica" }) });
+  const keys = [];
+  const store = new Map();
+  const db = createDb({ users: Primary });
+  db.setCache({ get: (k) => store.get(k), put: (k, v) => (keys.push(k), store.set(k, v)), del: (k) => store.delete(k), keys: () => Array.from(store.keys()) });
+  db.setConnection("reporting", { models: { users: Replica }, model: () => Replica });
+  return { db, Primary, Replica, keys };
+};
+
+const read = (db, connection) => db.getOne({ model: "users", filter: { _id: 1 }, cacheOpts: { enabled: true }, connection });
+
+test("the connection segment keeps cache keys of the same read apart", async () => {
+  const { db, Primary, Replica, keys } = setup();
+
+  assert.deepStrictEqual((await read(db)).data, { from: "primary" });
+  assert.deepStrictEqual((await read(db, "reporting")).data, { from: "replica" });
+  assert.deepStrictEqual((await read(db, "reporting")).data, { from: "replica" });
+  assert.strictEqual(Primary.calls.length, 1);
+  assert.strictEqual(Replica.calls.length, 1);
+
+  assert.strictEqual(keys.length, 2);
+  assert.match(keys[0], /^getOne:users:[a-z0-9]+$/);
+  assert.match(keys[1], /^getOne:users:conn=reporting:[a-z0-9]+$/);
+  assert.strictEqual(keys[1].split(":").pop(), keys[0].split(":").pop());
+});
+
+test("metrics op names carry the connection name", async () => {
+  const { db } = setup();
+  await db.getOne({ model: "users", filter: {} });
+  await db.getOne({ model: "users", filter: {}, connection: "reporting" });
+
+  assert.deepStrictEqual(Object.keys(db.getMetrics().data.db.perOp).sort(), ["getOne:users", "getOne:users@reporting"]);
+});
+
+test("an unknown connection fails the call", async () => {
+  const { db, Primary } = setup();
+  const res = await db.getOne({ model: "users", filter: {}, connection: "analytics" });
+  assert.strictEqual(res.status, false);
+  assert.match(res.data.message, /Connection "analytics" is not registered/);
+  assert.strictEqual(Primary.calls.length, 0);
+
+  db.setConnection("reporting", null);
+  assert.strictEqual((await read(db, "reporting")).status, false);
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const { createRepoUtils } = require("../../src/index");
+
+// Query builder methods the helpers chain before running a query
+const CHAIN = ["sort", "skip", "limit", "select", "populate", "setOptions", "readConcern", "maxTimeMS", "hint", "collation", "session", "option", "allowDiskUse", "lean"];
+
+/******************************************************************
+ * ##: Fake query
+ * Chainable, awaitable stand-in for a Mongoose Query / Aggregate: builder calls are
+ * recorded in query.chain and return the query; awaiting it (or exec()) resolves result,
+ * cursor() iterates it. result may be a function of the recorded chain.
+ ******************************************************************/
+const fakeQuery = (result) => {
+  const query = { chain: [] };
+  for (const method of CHAIN) query[method] = (...args) => (query.chain.push([method, ...args]), query);
+  query.exec = async () => (typeof result === "function" ? result(query.chain) : result);
+  query.then = (resolve, reject) => query.exec().then(resolve, reject);
+  query.cursor = () => {
+    const docs = query.exec();
+    return {
+      close: async () => {},
+      async *[Symbol.asyncIterator]() {
+        yield* await docs;
+      },
+    };
+  };
+  return query;
+};
+
+// Hydrated-like document (toObject() returns a plain copy)
+const hydrate = (doc) => ({ ...doc, toObject: () => ({ ...doc }) });
+
+/******************************************************************
+ * ##: Fake model
+ * Driver-less Mongoose model: every call is recorded as [method, ...args] in model.calls.
+ * Writes resolve minimal driver results, reads return fake queries over no documents.
+ * methods overrides or adds methods: a function is the implementation (its return value
+ * is passed through), any other value is what the method resolves.
+ ******************************************************************/
+const fakeModel = (methods = {}) => {
+  const calls = [];
+  const write = (result) => async (arg) => (typeof result === "function" ? result(arg) : result);
+  const defaults = {
+    create: write((payload) => (Array.isArray(payload) ? payload.map(hydrate) : hydrate(payload))),
+    insertMany: write((docs) => docs.map(hydrate)),
+    updateOne: write({ acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 }),
+    updateMany: write({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }),
+    deleteOne: write({ acknowledged: true, deletedCount: 1 }),
+    deleteMany: write({ acknowledged: true, deletedCount: 1 }),
+    findOneAndUpdate: write(null),
+    findOneAndDelete: write(null),
+    bulkWrite: write({ insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 }),
+    find: () => fakeQuery([]),
+    findOne: () => fakeQuery(null),
+    countDocuments: () => fakeQuery(0),
+    estimatedDocumentCount: () => fakeQuery(0),
+    distinct: () => fakeQuery([]),
+    aggregate: () => fakeQuery([]),
+  };
+
+  const model = { calls };
+  for (const [name, impl] of Object.entries({ ...defaults, ...methods })) {
+    model[name] = (...args) => {
+      calls.push([name, ...args]);
+      return typeof impl === "function" ? impl(...args) : Promise.resolve(impl);
+    };
+  }
+  return model;
+};
+
+/******************************************************************
+ * ##: Repo utils instance over fake models
+ * @param {Object} models - { [modelName]: model }
+ * @param {Object} [options] - Other createRepoUtils options
+ ******************************************************************/
+const createDb = (models = {}, options = {}) => createRepoUtils({ ...options, mongoose: { models, Types: mongoose.Types } });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { fakeModel, fakeQuery, hydrate, createDb, sleep };
@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const repoUtils = require("../src/index");
+const { fakeModel, fakeQuery, createDb } = require("./helpers/fake-model");
+
+const usersModel = () => fakeModel({ findOne: (filter) => fakeQuery({ ...filter }) });
+const read = (db) => db.getOne({ model: "users", filter: { _id: 1 }, cacheOpts: { enabled: true } });
+
+test("instances do not share their cache or metrics", async () => {
+  const A = usersModel();
+  const B = usersModel();
+  const a = createDb({ users: A });
+  const b = createDb({ users: B });
+
+  await read(a);
+  await read(a);
+  await read(b);
+  assert.strictEqual(A.calls.length, 1);
+  assert.strictEqual(B.calls.length, 1); // Same key, separate caches
+
+  assert.deepStrictEqual([a.getMetrics().data.cache.hits, b.getMetrics().data.cache.hits], [1, 0]);
+  a.resetMetrics();
+  assert.strictEqual(b.getMetrics().data.cache.misses, 1);
+  assert.strictEqual((await a.invalidateCache({ prefixes: "getOne:" })).data.invalidated, 1);
+  await read(b);
+  assert.strictEqual(B.calls.length, 1);
+});
+
+test("instances do not share their configuration", async () => {
+  const A = usersModel();
+  const B = usersModel();
+  const logged = [];
+  const a = createDb({ users: A }, { logger: (err) => logged.push(err.message) });
+  const b = createDb({ users: B });
+
+  a.setSoftDelete(true);
+  a.setAutoInvalidation(true);
+  await a.getOne({ model: "users", filter: { _id: 1 } });
+  await b.getOne({ model: "users", filter: { _id: 1 } });
+  assert.deepStrictEqual(A.calls[0][1], { _id: 1, deletedAt: null });
+  assert.deepStrictEqual(B.calls[0][1], { _id: 1 });
+
+  await read(b);
+  await b.updateOne({ model: "users", filter: { _id: 1 }, data: { $set: { a: 1 } } });
+  assert.strictEqual(b.getMetrics().data.cache.invalidations, 0);
+
+  // Only the instance given the logger logs
+  await b.getOne({ model: "missing", filter: {} });
+  await a.getOne({ model: "missing", filter: {} });
+  assert.strictEqual(logged.length, 1);
+});
+
+test("the module exports a default instance next to the factory", async () => {
+  assert.strictEqual(typeof repoUtils.createRepoUtils, "function");
+  assert.strictEqual(typeof repoUtils.getOne, "function");
+
+  const other = repoUtils.createRepoUtils();
+  assert.notStrictEqual(other.getOne, repoUtils.getOne);
+  assert.deepStrictEqual(Object.keys(other).sort(), Object.keys(repoUtils).filter((k) => k !== "createRepoUtils").sort());
+});
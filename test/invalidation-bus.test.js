@@ -0,0 +1,69 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const { MemoryInvalidationBus } = require("../src/invalidation-bus");
+const { fakeModel, fakeQuery, createDb } = require("./helpers/fake-model");
+
+// Two "processes" with their own cache, connected through one emitter; published messages are recorded
+const setup = () => {
+  const emitter = new EventEmitter();
+  const published = [];
+  const nodes = ["a", "b"].map((name) => {
+    const Users = fakeModel({ findOne: (filter) => fakeQuery({ ...filter }) });
+    const db = createDb({ users: Users });
+    const bus = new MemoryInvalidationBus({ emitter });
+    const publish = bus.publish.bind(bus);
+    bus.publish = (message) => (published.push([name, message]), publish(message));
+    db.setInvalidationBus(bus);
+    return { db, Users };
+  });
+  return { nodes, published };
+};
+
+const read = (db) => db.getOne({ model: "users", filter: { _id: 1 }, cacheOpts: { enabled: true, key: "user:1" } });
+
+// Lets setImmediate deliveries and their async handlers run
+const flush = () => new Promise((resolve) => setImmediate(() => setImmediate(resolve)));
+
+test("an invalidation in one process drops the entry in the other", async () => {
+  const { nodes, published } = setup();
+  const [a, b] = nodes;
+  await read(a.db);
+  await read(b.db);
+
+  await a.db.invalidateCache("user:1");
+  await flush();
+
+  assert.strictEqual(b.db.getMetrics().data.cache.invalidations, 1);
+  await read(b.db);
+  assert.strictEqual(b.Users.calls.length, 2);
+
+  // Only the origin published: the receiver applied it locally without publishing again
+  assert.strictEqual(published.length, 1);
+  assert.strictEqual(published[0][0], "a");
+  assert.deepStrictEqual(published[0][1].keys, ["user:1"]);
+});
+
+test("a process ignores its own messages", async () => {
+  const { nodes } = setup();
+  const [a] = nodes;
+  await read(a.db);
+
+  await a.db.invalidateCache({ prefixes: "user:" });
+  await flush();
+  assert.strictEqual(a.db.getMetrics().data.cache.invalidations, 1);
+});
+
+test("setInvalidationBus(null) unsubscribes", async () => {
+  const { nodes } = setup();
+  const [a, b] = nodes;
+  b.db.setInvalidationBus(null);
+  await read(b.db);
+
+  await a.db.invalidateCache("user:1");
+  await flush();
+  await read(b.db);
+  assert.strictEqual(b.Users.calls.length, 1);
+});
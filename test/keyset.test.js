@@ -0,0 +1,92 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { fakeModel, fakeQuery, createDb } = require("./helpers/fake-model");
+
+// Compares like MongoDB for one type: null and missing sort before any value
+const isNull = (v) => v === null || v === undefined;
+const cmp = (a, b) => {
+  if (isNull(a) || isNull(b)) return isNull(a) === isNull(b) ? 0 : isNull(a) ? -1 : 1;
+  const key = (v) => (v && v._bsontype ? v.toHexString() : v instanceof Date ? v.getTime() : v);
+  return key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+};
+
+// Subset of the query language used by the keyset filter ($and, $or, $gt, $lt, $ne: null, equality)
+const matches = (doc, query) =>
+  Object.entries(query).every(([k, cond]) => {
+    if (k === "$and") return cond.every((q) => matches(doc, q));
+    if (k === "$or") return cond.some((q) => matches(doc, q));
+    const v = doc[k];
+    if (cond && typeof cond === "object" && !cond._bsontype && !(cond instanceof Date)) {
+      if ("$ne" in cond) return cond.$ne === null ? !isNull(v) : cmp(v, cond.$ne) !== 0;
+      if ("$gt" in cond) return !isNull(v) && cmp(v, cond.$gt) > 0;
+      if ("$lt" in cond) return !isNull(v) && cmp(v, cond.$lt) < 0;
+    }
+    return cond === null ? isNull(v) : !isNull(v) && cmp(v, cond) === 0;
+  });
+
+// find() over docs: filter, then the recorded sort/limit
+const itemsModel = (docs) =>
+  fakeModel({
+    find: (filter) =>
+      fakeQuery((chain) => {
+        const sort = chain.find(([m]) => m === "sort")?.[1] ?? {};
+        const limit = chain.find(([m]) => m === "limit")?.[1] ?? Infinity;
+        return docs
+          .filter((d) => matches(d, filter))
+          .sort((a, b) => {
+            for (const [k, dir] of Object.entries(sort)) {
+              const c = cmp(a[k], b[k]);
+              if (c) return c * dir;
+            }
+            return 0;
+          })
+          .slice(0, limit)
+          .map((d) => ({ ...d }));
+      }),
+  });
+
+const pageAll = async (db, sort, limit) => {
+  const forward = [];
+  let res = await db.getManyWithCursor({ model: "items", sort, limit });
+  const pages = [res.data];
+  forward.push(...res.data.data.map((d) => d.name));
+  while (res.data.nextCursor) {
+    res = await db.getManyWithCursor({ model: "items", sort, limit, cursor: res.data.nextCursor });
+    assert.strictEqual(res.status, true);
+    pages.push(res.data);
+    forward.push(...res.data.data.map((d) => d.name));
+  }
+
+  // Walk back from the last page
+  const backward = [...res.data.data.map((d) => d.name)];
+  while (res.data.prevCursor) {
+    res = await db.getManyWithCursor({ model: "items", sort, limit, cursor: res.data.prevCursor });
+    backward.unshift(...res.data.data.map((d) => d.name));
+  }
+  return { forward, backward, pages };
+};
+
+const ids = Array.from({ length: 12 }, (_, i) => new mongoose.Types.ObjectId(`0000000000000000000000${String(i).padStart(2, "0")}`));
+const docs = ids.map((_id, i) => {
+  const doc = { _id, name: `n${i}` };
+  if (i % 3 === 1) doc.rank = null; // explicit null
+  else if (i % 3 === 2) doc.rank = i % 2; // 0 or 1
+  return doc; // i % 3 === 0: missing rank
+});
+
+for (const dir of [1, -1]) {
+  test(`cursor pages include null and missing sort values (rank: ${dir})`, async () => {
+    const db = createDb({ items: itemsModel(docs) });
+    // _id breaks ties in the direction of the last sort key
+    const expected = [...docs].sort((a, b) => (cmp(a.rank, b.rank) || cmp(a._id, b._id)) * dir).map((d) => d.name);
+
+    for (const limit of [1, 2, 5]) {
+      const { forward, backward } = await pageAll(db, { rank: dir }, limit);
+      assert.deepStrictEqual(forward, expected, `forward, limit ${limit}`);
+      assert.deepStrictEqual(backward, expected, `backward, limit ${limit}`);
+    }
+  });
+}
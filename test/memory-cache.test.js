@@ -0,0 +1,144 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const memoryCache = require("../src/memory-cache");
+const { createDb } = require("./helpers/fake-model");
+
+const { MemoryCache, createMemoryCache } = memoryCache;
+
+test("the module exports the class and the factory, not a shared instance", () => {
+  assert.deepStrictEqual(Object.keys(memoryCache).sort(), ["MemoryCache", "createMemoryCache"]);
+  const a = createMemoryCache({ maxEntries: 10 });
+  const b = createMemoryCache({ maxEntries: 10 });
+  assert.ok(a instanceof MemoryCache);
+  a.put("k", 1);
+  assert.strictEqual(b.get("k"), null);
+  a.dispose();
+  b.dispose();
+});
+
+test("setDefaultCacheOptions rejects maxEntries <= 0 and negative values", () => {
+  const db = createDb();
+  for (const maxEntries of [0, -1]) {
+    const res = db.setDefaultCacheOptions({ maxEntries });
+    assert.strictEqual(res.status, false);
+    assert.strictEqual(res.data.code, "VALIDATION");
+    assert.match(res.data.message, /maxEntries/);
+  }
+  assert.strictEqual(db.setDefaultCacheOptions({ defaultTTL: -5 }).status, false);
+
+  const res = db.setDefaultCacheOptions({ maxEntries: 1 });
+  assert.strictEqual(res.status, true);
+  assert.strictEqual(res.data.options.maxEntries, 1);
+});
+
+test("the byte budget evicts least recently used entries first", () => {
+  const value = "x".repeat(8); // 1-byte key + 10-byte JSON string: 11 bytes per entry
+  const cache = new MemoryCache({ maxBytes: 33 });
+  cache.put("a", value);
+  cache.put("b", value);
+  cache.put("c", value);
+  assert.strictEqual(cache.sizebytes(), 33);
+
+  cache.get("a"); // "b" is now the least recently used
+  cache.put("d", value);
+  assert.deepStrictEqual(cache.keys(), ["c", "a", "d"]);
+  assert.strictEqual(cache.size(), 3);
+  assert.strictEqual(cache.sizebytes(), 33);
+
+  // A larger entry evicts as many entries as it needs
+  cache.put("e", "x".repeat(19));
+  assert.deepStrictEqual(cache.keys(), ["d", "e"]);
+  assert.strictEqual(cache.sizebytes(), 33);
+  cache.dispose();
+});
+
+test("entries above maxEntryBytes or the whole budget are not cached", async () => {
+  const cache = new MemoryCache({ maxBytes: 100, maxEntryBytes: 20 });
+  cache.put("a", "small");
+  const big = "x".repeat(30);
+
+  assert.strictEqual(cache.put("b", big), big); // The value is still returned
+  assert.strictEqual(cache.get("b"), null);
+  assert.deepStrictEqual(await cache.putResolver("b", big), { status: false, data: "Value exceeds the maximum entry size" });
+
+  // Nothing was evicted to make room for a value that cannot be stored
+  const budget = new MemoryCache({ maxBytes: 20 });
+  budget.put("a", "small");
+  budget.put("b", big);
+  assert.deepStrictEqual(budget.keys(), ["a"]);
+  assert.deepStrictEqual(cache.keys(), ["a"]);
+  cache.dispose();
+  budget.dispose();
+});
+
+test("the sweeper removes expired entries and fires timeout callbacks once", (t) => {
+  t.mock.timers.enable({ apis: ["setInterval", "Date"], now: 0 });
+  const cache = new MemoryCache({ sweepIntervalMs: 1_000 });
+  const expired = [];
+  cache.put("a", 1, 1_500, (key, value) => expired.push([key, value, Date.now()]));
+  cache.put("b", 2, 5_000, (key) => expired.push([key]));
+  cache.put("c", 3, -1);
+
+  // The TTL elapsed but the next sweep has not run yet
+  t.mock.timers.tick(1_000);
+  assert.deepStrictEqual(expired, []);
+  t.mock.timers.tick(1_000);
+  assert.deepStrictEqual(expired, [["a", 1, 2_000]]);
+  assert.deepStrictEqual(cache.keys(), ["b", "c"]);
+
+  // Persistent entries never expire; the sweeper stops once the cache is empty
+  t.mock.timers.tick(4_000);
+  assert.deepStrictEqual(expired, [["a", 1, 2_000], ["b"]]);
+  assert.strictEqual(cache.get("c"), 3);
+  cache.del("c");
+  t.mock.timers.tick(1_000);
+  assert.strictEqual(cache._sweepTimer, null);
+  cache.dispose();
+});
+
+test("get and del fire the timeout callback of an expired entry before the sweep", (t) => {
+  t.mock.timers.enable({ apis: ["setInterval", "Date"], now: 0 });
+  const cache = new MemoryCache({ sweepIntervalMs: 10_000 });
+  const expired = [];
+  cache.put("a", 1, 100, (key) => expired.push(key));
+  cache.put("b", 2, 100, (key) => expired.push(key));
+  cache.put("c", 3, 100, (key) => expired.push(key));
+
+  t.mock.timers.tick(101);
+  assert.strictEqual(cache.get("a"), null);
+  assert.strictEqual(cache.del("b"), false);
+  assert.deepStrictEqual(expired, ["a", "b"]);
+
+  // Forced deletes and overwrites never fire it
+  assert.strictEqual(cache.del("c", true), true);
+  cache.put("d", 4, 100, (key) => expired.push(key));
+  cache.put("d", 5, 100);
+  t.mock.timers.tick(10_000);
+  assert.deepStrictEqual(expired, ["a", "b"]);
+  cache.dispose();
+});
+
+test("size(), sizebytes() and stats() drop expired entries once they are removed", (t) => {
+  t.mock.timers.enable({ apis: ["setInterval", "Date"], now: 0 });
+  const cache = new MemoryCache({ sweepIntervalMs: 1_000 });
+  cache.put("old", "x", 100);
+  cache.put("new", "y", 10_000);
+  cache.put("end", "z", 100);
+  const bytes = cache.sizebytes();
+  assert.strictEqual(cache.size(), 3);
+
+  // A get() that finds an entry expired removes it right away
+  t.mock.timers.tick(200);
+  assert.strictEqual(cache.get("end"), null);
+  assert.strictEqual(cache.size(), 2);
+  assert.strictEqual(cache.sizebytes(), (bytes * 2) / 3);
+
+  // The sweep removes the rest
+  t.mock.timers.tick(1_000);
+  assert.strictEqual(cache.size(), 1);
+  assert.strictEqual(cache.sizebytes(), bytes / 3);
+  assert.deepStrictEqual(cache.stats(), { entries: 1, bytes: bytes / 3, hits: 0, misses: 1 });
+  cache.dispose();
+});
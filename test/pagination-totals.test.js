@@ -0,0 +1,83 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, fakeQuery, createDb, sleep } = require("./helpers/fake-model");
+
+const DOCS = Array.from({ length: 25 }, (_, i) => ({ _id: i + 1 }));
+
+// find() pages DOCS with the recorded skip/limit; counts report DOCS.length; events records start/end order
+const setup = ({ delayMs = 0 } = {}) => {
+  const events = [];
+  const timed = (name, value) =>
+    fakeQuery(async (chain) => {
+      events.push(`${name}:start`);
+      await sleep(delayMs);
+      events.push(`${name}:end`);
+      return typeof value === "function" ? value(chain) : value;
+    });
+  const Items = fakeModel({
+    find: () =>
+      timed("find", (chain) => {
+        const skip = chain.find(([m]) => m === "skip")?.[1] ?? 0;
+        const limit = chain.find(([m]) => m === "limit")?.[1] ?? Infinity;
+        return DOCS.slice(skip, skip + limit);
+      }),
+    countDocuments: () => timed("count", DOCS.length),
+    estimatedDocumentCount: () => timed("estimated", DOCS.length),
+  });
+  return { db: createDb({ items: Items }), Items, events };
+};
+
+const page = (db, page, countOpts, filter = {}) => db.getManyWithPagination({ model: "items", filter, page, limit: 10, countOpts });
+const methods = (Items) => Items.calls.map(([m]) => m);
+
+test("the default counts documents and reports page navigation", async () => {
+  const { db, Items } = setup();
+  const res = await page(db, 3);
+  assert.deepStrictEqual({ ...res.data, data: res.data.data.length }, { data: 5, total: 25, page: 3, limit: 10, totalPages: 3, hasNextPage: false, hasPrevPage: true });
+  assert.deepStrictEqual(methods(Items), ["countDocuments", "find"]);
+});
+
+test("total: false skips the count and reads one extra document for hasNextPage", async () => {
+  const { db, Items } = setup();
+  const first = await page(db, 1, { total: false });
+  assert.strictEqual(first.data.data.length, 10);
+  assert.deepStrictEqual([first.data.total, first.data.totalPages, first.data.hasNextPage, first.data.hasPrevPage], [null, null, true, false]);
+
+  const last = await page(db, 3, { total: false });
+  assert.strictEqual(last.data.hasNextPage, false);
+  assert.deepStrictEqual(methods(Items), ["find", "find"]);
+});
+
+test('total: "estimated" uses estimatedDocumentCount only for an empty filter', async () => {
+  const { db, Items } = setup();
+  assert.strictEqual((await page(db, 1, { total: "estimated" })).data.total, 25);
+  await page(db, 1, { total: "estimated" }, { active: true });
+  assert.deepStrictEqual(methods(Items), ["estimatedDocumentCount", "find", "countDocuments", "find"]);
+
+  const invalid = await page(db, 1, { total: "approximate" });
+  assert.strictEqual(invalid.status, false);
+});
+
+test("countOpts.cacheOpts caches the total on its own across pages", async () => {
+  const { db, Items } = setup();
+  const countOpts = { cacheOpts: { enabled: true, ttl: "5m" } };
+  await page(db, 1, countOpts);
+  await page(db, 2, countOpts);
+  assert.deepStrictEqual(methods(Items), ["countDocuments", "find", "find"]);
+
+  // Same key as countDocuments(): invalidating the model's reads drops the cached total too
+  assert.strictEqual((await db.invalidateCache({ models: "items" })).data.invalidated, 1);
+});
+
+test("parallel: true runs the count and the page query together", async () => {
+  const sequential = setup({ delayMs: 5 });
+  await page(sequential.db, 1);
+  assert.deepStrictEqual(sequential.events, ["count:start", "count:end", "find:start", "find:end"]);
+
+  const parallel = setup({ delayMs: 5 });
+  const res = await page(parallel.db, 1, { parallel: true });
+  assert.strictEqual(res.data.total, 25);
+  assert.deepStrictEqual(parallel.events.slice(0, 2).sort(), ["count:start", "find:start"]);
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, fakeQuery, createDb, sleep } = require("./helpers/fake-model");
+
+const DOCS = Array.from({ length: 10 }, (_, i) => ({ _id: i + 1 }));
+
+// find() over DOCS: ascending _id, after the range bound of the filter, with the recorded limit
+const setup = () => {
+  const Items = fakeModel({
+    find: (filter) =>
+      fakeQuery((chain) => {
+        const after = filter.$and?.[1]._id.$gt ?? 0;
+        const limit = chain.find(([m]) => m === "limit")?.[1] ?? Infinity;
+        return DOCS.filter((d) => d._id > after).slice(0, limit);
+      }),
+  });
+  return { db: createDb({ items: Items }), Items };
+};
+
+test("batches run with at most `concurrency` handlers at a time", async () => {
+  const { db } = setup();
+  let active = 0;
+  let peak = 0;
+  const seen = [];
+  const handler = async (docs, { batch }) => {
+    peak = Math.max(peak, ++active);
+    await sleep(batch === 1 ? 20 : 5); // The first batch finishes last
+    seen.push(...docs.map((d) => d._id));
+    active--;
+  };
+
+  const res = await db.processInBatches({ model: "items", filter: {}, handler, options: { batchSize: 2, concurrency: 2 } });
+  assert.strictEqual(res.status, true);
+  assert.strictEqual(peak, 2);
+  assert.deepStrictEqual(seen.sort((a, b) => a - b), DOCS.map((d) => d._id));
+  assert.deepStrictEqual({ ...res.data, errors: res.data.errors.length }, { processed: 10, failed: 0, skipped: 0, batches: 5, lastId: 10, resumedFrom: null, errors: 0 });
+});
+
+test("an interrupted run resumes after the last checkpointed batch", async () => {
+  const { db } = setup();
+  let state = null;
+  const checkpoint = { load: async () => state, save: async (s) => (state = s) };
+  const options = { batchSize: 2, checkpoint, stopOnError: true };
+
+  // First run: the third batch fails and stops the run
+  const first = await db.processInBatches("items", {}, async (docs) => {
+    if (docs[0]._id === 5) throw new Error("downstream unavailable");
+  }, options);
+  assert.strictEqual(first.status, true);
+  assert.deepStrictEqual(state, { lastId: 6, processed: 4, failed: 2, skipped: 0, batches: 3 });
+  assert.deepStrictEqual(first.data.errors, [{ fromId: 5, toId: 6, error: "downstream unavailable" }]);
+
+  // Second run: starts after _id 6 and adds to the saved counters
+  const seen = [];
+  const second = await db.processInBatches("items", {}, async (docs) => {
+    seen.push(...docs.map((d) => d._id));
+    return { skipped: 1 };
+  }, options);
+  assert.deepStrictEqual(seen, [7, 8, 9, 10]);
+  assert.deepStrictEqual({ ...second.data, errors: second.data.errors.length }, { processed: 6, failed: 2, skipped: 2, batches: 5, lastId: 10, resumedFrom: 6, errors: 0 });
+});
+
+test("invalid options fail without reading", async () => {
+  const { db, Items } = setup();
+  for (const options of [{ batchSize: 0 }, { concurrency: 1.5 }, { sort: { name: 1 } }, { checkpoint: { load: () => null } }]) {
+    const res = await db.processInBatches("items", {}, async () => {}, options);
+    assert.strictEqual(res.status, false);
+  }
+  assert.strictEqual(Items.calls.length, 0);
+});
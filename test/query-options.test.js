@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { createDb } = require("./helpers/fake-model");
+
+// Real Mongoose queries (no connection): exec() records the options the driver would receive
+const setup = () => {
+  const base = new mongoose.Mongoose();
+  const Real = base.model("Report", new base.Schema({ kind: String, total: Number }));
+  const sent = [];
+  const capture = (query, result) => {
+    query.exec = async function () {
+      sent.push(typeof this.getOptions === "function" ? this.getOptions() : this.options);
+      return result;
+    };
+    return query;
+  };
+  const Model = {
+    findOne: (...args) => capture(Real.findOne(...args), null),
+    find: (...args) => capture(Real.find(...args), []),
+    countDocuments: (...args) => capture(Real.countDocuments(...args), 0),
+    distinct: (...args) => capture(Real.distinct(...args), []),
+    aggregate: (pipeline) => capture(Real.aggregate(pipeline), []),
+  };
+  const db = createDb({ reports: Model });
+  return { db, sent };
+};
+
+test("readConcern reaches every query helper as { level }", async () => {
+  const { db, sent } = setup();
+  const queryOpts = { readConcern: "majority", readPreference: "secondary", comment: "r" };
+
+  assert.strictEqual((await db.getOne({ model: "reports", filter: {}, queryOpts })).status, true);
+  assert.strictEqual((await db.getMany({ model: "reports", queryOpts })).status, true);
+  assert.strictEqual((await db.getManyWithLimit({ model: "reports", limit: 5, queryOpts })).status, true);
+  assert.strictEqual((await db.countDocuments({ model: "reports", queryOpts })).status, true);
+  assert.strictEqual((await db.distinct({ model: "reports", field: "kind", queryOpts: { readConcern: { level: "local" } } })).status, true);
+  assert.strictEqual((await db.aggregate({ model: "reports", pipeline: [], queryOpts })).status, true);
+
+  for (const options of sent.slice(0, 4)) {
+    assert.deepStrictEqual(options.readConcern, { level: "majority" });
+    assert.strictEqual(options.readPreference, "secondary");
+    assert.strictEqual(options.comment, "r");
+  }
+  assert.deepStrictEqual(sent[4].readConcern, { level: "local" });
+  assert.deepStrictEqual(sent[5].readConcern, { level: "majority" });
+  assert.strictEqual(sent[5].readPreference, "secondary");
+});
+
+test("global, model and per-call query options are merged in that order", async () => {
+  const { db, sent } = setup();
+  db.setDefaultQueryOptions({ maxTimeMS: 10_000, comment: "global" });
+  db.setDefaultQueryOptions("reports", { readPreference: "secondaryPreferred", readConcern: "local" });
+
+  await db.getMany({ model: "reports" });
+  const { sort, ...options } = sent[0];
+  assert.deepStrictEqual(options, { maxTimeMS: 10_000, comment: "global", readPreference: "secondaryPreferred", readConcern: { level: "local" } });
+
+  // A per-call value wins, null drops a default
+  await db.getMany({ model: "reports", queryOpts: { readPreference: "primary", maxTimeMS: null } });
+  assert.strictEqual(sent[1].readPreference, "primary");
+  assert.strictEqual(sent[1].maxTimeMS, undefined);
+
+  // timeoutMs caps maxTimeMS
+  await db.countDocuments({ model: "reports", timeoutMs: 250 });
+  assert.strictEqual(sent[2].maxTimeMS, 250);
+
+  const bad = await db.getMany({ model: "reports", queryOpts: { maxTimeMs: 5 } });
+  assert.strictEqual(bad.status, false);
+  assert.strictEqual(bad.data.code, "VALIDATION");
+});
@@ -0,0 +1,205 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { Types } = require("mongoose");
+const RedisCache = require("../src/redis-cache");
+
+// In-process fake exposing ioredis' call(...args); ttls holds absolute expiry times
+const fakeRedis = () => {
+  const strings = new Map();
+  const sets = new Map();
+  const ttls = new Map();
+  const commands = [];
+  const has = (k) => strings.has(k) || sets.has(k);
+  const glob = (pattern) => {
+    let re = "";
+    for (let i = 0; i < pattern.length; i++) {
+      const escaped = pattern[i] === "\\";
+      const c = escaped ? pattern[++i] : pattern[i];
+      if (!escaped && c === "*") re += ".*";
+      else if (!escaped && c === "?") re += ".";
+      else re += c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+    return new RegExp(`^${re}$`);
+  };
+  const now = () => fake.now;
+  const expire = (k) => {
+    if (ttls.has(k) && ttls.get(k) <= now()) {
+      strings.delete(k);
+      sets.delete(k);
+      ttls.delete(k);
+    }
+  };
+
+  const fake = {
+    now: 0,
+    strings,
+    sets,
+    ttls,
+    commands,
+    async call(cmd, ...args) {
+      commands.push([cmd, ...args]);
+      for (const k of [...strings.keys(), ...sets.keys()]) expire(k);
+      switch (cmd) {
+        case "GET":
+          return strings.has(args[0]) ? strings.get(args[0]) : null;
+        case "SET":
+          strings.set(args[0], args[1]);
+          if (args[2] === "PX") ttls.set(args[0], now() + Number(args[3]));
+          else ttls.delete(args[0]);
+          return "OK";
+        case "DEL": {
+          let n = 0;
+          for (const k of args) {
+            if (has(k)) n++;
+            strings.delete(k);
+            sets.delete(k);
+            ttls.delete(k);
+          }
+          return n;
+        }
+        case "SCAN": {
+          const re = glob(args[2]);
+          return ["0", [...strings.keys()].filter((k) => re.test(k))];
+        }
+        case "SADD":
+          if (!sets.has(args[0])) sets.set(args[0], new Set());
+          sets.get(args[0]).add(args[1]);
+          return 1;
+        case "SMEMBERS":
+          return [...(sets.get(args[0]) || [])];
+        case "PTTL":
+          if (!has(args[0])) return -2;
+          return ttls.has(args[0]) ? ttls.get(args[0]) - now() : -1;
+        case "PEXPIRE":
+          ttls.set(args[0], now() + Number(args[1]));
+          return 1;
+        case "PERSIST":
+          return ttls.delete(args[0]) ? 1 : 0;
+        default:
+          throw new Error(`Unsupported command ${cmd}`);
+      }
+    },
+  };
+  return fake;
+};
+
+test("get/put/del round-trip values, Dates and ObjectIds", async () => {
+  const client = fakeRedis();
+  const cache = new RedisCache(client);
+  const id = new Types.ObjectId();
+  const at = new Date("2026-01-02T03:04:05.000Z");
+
+  assert.strictEqual(await cache.put("user:1", { id, at, n: 1 }), true);
+  const value = await cache.get("user:1");
+  assert.ok(value.id instanceof Types.ObjectId);
+  assert.strictEqual(value.id.toHexString(), id.toHexString());
+  assert.ok(value.at instanceof Date);
+  assert.strictEqual(value.at.getTime(), at.getTime());
+  assert.strictEqual(value.n, 1);
+
+  assert.strictEqual(await cache.get("missing", "fallback"), "fallback");
+  assert.strictEqual(await cache.del("user:1"), true);
+  assert.strictEqual(await cache.del("user:1"), false);
+  assert.strictEqual(await cache.get("user:1"), null);
+});
+
+test("put applies the TTL in ms, -1 never expires and 0 skips storing", async () => {
+  const client = fakeRedis();
+  const cache = new RedisCache(client, { defaultTTL: 1000 });
+
+  await cache.put("a", 1);
+  await cache.put("b", 2, 250.7);
+  await cache.put("c", 3, -1);
+  assert.strictEqual(await cache.put("d", 4, 0), false);
+
+  assert.deepStrictEqual(client.commands.find((c) => c[1] === "sp-repo:a").slice(3), ["PX", 1000]);
+  assert.deepStrictEqual(client.commands.find((c) => c[1] === "sp-repo:b").slice(3), ["PX", 250]);
+  assert.deepStrictEqual(client.commands.find((c) => c[1] === "sp-repo:c").slice(3), []);
+  assert.strictEqual(client.strings.has("sp-repo:d"), false);
+
+  client.now = 500;
+  assert.strictEqual(await cache.get("a"), 1);
+  assert.strictEqual(await cache.get("b"), null);
+  client.now = 10_000;
+  assert.strictEqual(await cache.get("a"), null);
+  assert.strictEqual(await cache.get("c"), 3);
+});
+
+test("keys and delByPrefix only touch the adapter namespace", async () => {
+  const client = fakeRedis();
+  const cache = new RedisCache(client);
+  client.strings.set("other:orders:1", "1");
+
+  await cache.put("orders:1", 1);
+  await cache.put("orders:2", 2);
+  await cache.put("users:1", 3);
+  await cache.put("orders*:3", 4);
+
+  assert.deepStrictEqual((await cache.keys()).sort(), ["orders*:3", "orders:1", "orders:2", "users:1"]);
+  assert.strictEqual(await cache.delByPrefix("orders:"), 2);
+  assert.deepStrictEqual((await cache.keys()).sort(), ["orders*:3", "users:1"]);
+  assert.strictEqual(client.strings.has("other:orders:1"), true);
+
+  // Glob characters in the prefix are matched literally
+  assert.strictEqual(await cache.delByPrefix("orders*"), 1);
+  assert.deepStrictEqual(await cache.keys(), ["users:1"]);
+});
+
+test("delByTag deletes the tagged keys and the tag set", async () => {
+  const client = fakeRedis();
+  const cache = new RedisCache(client);
+
+  await cache.put("user:1", 1);
+  await cache.put("user:2", 2);
+  await cache.put("order:1", 3);
+  await cache.setTags("user:1", ["user", "tenant:7"]);
+  await cache.setTags("user:2", ["user"]);
+  await cache.setTags("order:1", ["tenant:7"]);
+
+  assert.deepStrictEqual((await cache.keysByTag("user")).sort(), ["user:1", "user:2"]);
+  assert.strictEqual(await cache.delByTag("user"), 2);
+  assert.strictEqual(client.sets.has("sp-repo-tags:user"), false);
+  assert.strictEqual(await cache.get("user:1"), null);
+  assert.strictEqual(await cache.get("order:1"), 3);
+  assert.deepStrictEqual(await cache.delByTag("missing"), 0);
+});
+
+test("tag sets expire no earlier than their longest-lived member", async () => {
+  const client = fakeRedis();
+  const cache = new RedisCache(client);
+
+  await cache.setTags("a", ["t"], 1000);
+  assert.strictEqual(client.ttls.get("sp-repo-tags:t"), 1000);
+
+  // A shorter TTL never shortens the set
+  await cache.setTags("b", ["t"], 200);
+  assert.strictEqual(client.ttls.get("sp-repo-tags:t"), 1000);
+
+  // A longer TTL extends it
+  await cache.setTags("c", ["t"], 5000);
+  assert.strictEqual(client.ttls.get("sp-repo-tags:t"), 5000);
+
+  // A persistent member makes the set persistent...
+  await cache.setTags("d", ["t"], -1);
+  assert.strictEqual(client.ttls.has("sp-repo-tags:t"), false);
+
+  // ...and later finite TTLs leave it alone
+  await cache.setTags("e", ["t"], 100);
+  assert.strictEqual(client.ttls.has("sp-repo-tags:t"), false);
+  assert.strictEqual(client.commands.filter((c) => c[0] === "PEXPIRE").length, 2);
+
+  client.now = 1_000_000;
+  assert.deepStrictEqual((await cache.keysByTag("t")).sort(), ["a", "b", "c", "d", "e"]);
+});
+
+test("node-redis clients receive string arguments through sendCommand", async () => {
+  const calls = [];
+  const cache = new RedisCache({ sendCommand: async (args) => (calls.push(args), args[0] === "GET" ? JSON.stringify({ ok: true }) : "OK") });
+
+  await cache.put("k", 1, 1500);
+  assert.deepStrictEqual(calls[0], ["SET", "sp-repo:k", "1", "PX", "1500"]);
+  assert.deepStrictEqual(await cache.get("k"), { ok: true });
+  assert.throws(() => new RedisCache({}), /call\(\.\.\.args\)/);
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RepoError } = require("../src/index");
+const { fakeModel, createDb } = require("./helpers/fake-model");
+
+// Driver-like duplicate key error (MongoServerError copies the server response onto itself)
+const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key error collection: app.users index: email_1"), { code: 11000, codeName: "DuplicateKey", keyValue: { email: "a@b.c" } });
+
+test("RepoError.from keeps the original code as driverCode", () => {
+  const err = RepoError.from(duplicateKeyError(), { operation: "createOne", model: "users" });
+  assert.strictEqual(err.code, "DUPLICATE_KEY");
+  assert.strictEqual(err.driverCode, 11000);
+  assert.strictEqual(err.codeName, "DuplicateKey");
+  assert.deepStrictEqual(err.keyValue, { email: "a@b.c" });
+
+  const network = RepoError.from(Object.assign(new Error("socket hang up"), { code: "ECONNRESET" }));
+  assert.strictEqual(network.code, "TRANSIENT");
+  assert.strictEqual(network.driverCode, "ECONNRESET");
+
+  // Codes that already are RepoError codes are not driver codes
+  const tenant = RepoError.from(Object.assign(new Error("tenant changed"), { code: "TENANT_MISMATCH" }));
+  assert.strictEqual(tenant.code, "TENANT_MISMATCH");
+  assert.strictEqual("driverCode" in tenant, false);
+});
+
+test("failed writes expose driverCode next to the normalized code", async () => {
+  const db = createDb({ users: fakeModel({ create: async () => Promise.reject(duplicateKeyError()) }) });
+
+  const res = await db.createOne("users", { email: "a@b.c" });
+  assert.strictEqual(res.status, false);
+  assert.ok(res.data instanceof RepoError);
+  assert.strictEqual(res.data.code, "DUPLICATE_KEY");
+  assert.strictEqual(res.data.driverCode, 11000);
+  assert.strictEqual(res.data.operation, "createOne");
+  assert.strictEqual(res.data.model, "users");
+});
+
+test("MODEL_NOT_FOUND reports the calling helper as operation", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "repo-models-")); // no model files
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const db = createDb();
+  db.setModelsDir(dir);
+
+  const res = await db.getOne("ghosts", { _id: 1 });
+  assert.strictEqual(res.status, false);
+  assert.strictEqual(res.data.code, "MODEL_NOT_FOUND");
+  assert.strictEqual(res.data.operation, "getOne");
+  assert.strictEqual(res.data.model, "ghosts");
+
+  assert.throws(
+    () => db.resolveModel("ghosts"),
+    (err) => err instanceof RepoError && err.code === "MODEL_NOT_FOUND" && err.operation === "resolveModel",
+  );
+});
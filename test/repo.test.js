@@ -0,0 +1,67 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, createDb } = require("./helpers/fake-model");
+
+const setup = () => {
+  const Model = fakeModel();
+  let lookups = 0;
+  const models = new Proxy({ users: Model }, { get: (target, key) => (key === "users" && lookups++, target[key]) });
+  return { db: createDb(models), Model, calls: Model.calls, lookups: () => lookups };
+};
+
+test("write options reach Mongoose without the invalidation keys", async () => {
+  const { db, calls } = setup();
+  const invalidated = [];
+  db.setCache({ get: () => null, put: () => true, del: (k) => (invalidated.push(k), true), keys: () => [] });
+  const users = db.repo("users", { invalidateKeys: "users:list" });
+  const session = { id: "s1" };
+
+  assert.strictEqual((await users.updateOne({ _id: 1 }, { $set: { a: 1 } }, { session })).status, true);
+  assert.deepStrictEqual(calls[0][3], { session });
+
+  await users.updateOne({ _id: 1 }, { $set: { a: 1 } }, { session, invalidateKeys: "user:1" });
+  assert.deepStrictEqual(calls[1][3], { session });
+
+  await users.deleteMany({ a: 1 }, { options: { session }, invalidateKeys: ["user:2"], tags: "users" });
+  assert.deepStrictEqual(calls[2][2], { session });
+
+  await users.updateOne({ _id: 1 }, { $set: { a: 1 } }, "user:3");
+  assert.strictEqual(calls[3][3], undefined);
+
+  assert.deepStrictEqual(invalidated, ["users:list", "users:list", "user:1", "users:list", "user:2", "users:list", "user:3"]);
+});
+
+test("resolve() resolves the model once per repository", () => {
+  const { db, Model, lookups } = setup();
+  const users = db.repo("users");
+  assert.strictEqual(users.resolve(), Model);
+  const after = lookups();
+  assert.strictEqual(users.resolve(), Model);
+  assert.strictEqual(lookups(), after);
+
+  assert.throws(() => db.repo("nope").resolve(), (err) => err.code === "MODEL_NOT_FOUND");
+});
+
+test("repo() is a synchronous factory that throws a RepoError for an invalid model name", () => {
+  const { db } = setup();
+  for (const model of [undefined, "", 42]) {
+    assert.throws(() => db.repo(model), (err) => err instanceof db.RepoError && err.code === "VALIDATION" && err.operation === "repo");
+  }
+});
+
+test("withDeleted from the defaults reaches upsertOne and bulkWrite", async () => {
+  const { db, calls } = setup();
+  db.setSoftDelete("users", { field: "deletedAt" });
+  const op = { updateOne: { filter: { _id: 1 }, update: { $set: { a: 1 } } } };
+
+  await db.repo("users").bulkWrite([op]);
+  assert.deepStrictEqual(calls[0][1], [{ updateOne: { ...op.updateOne, filter: { _id: 1, deletedAt: null } } }]);
+
+  const all = db.repo("users", { withDeleted: true });
+  await all.bulkWrite([op]);
+  assert.deepStrictEqual(calls[1][1], [op]);
+  await all.upsertOne({ _id: 1 }, { $set: { a: 1 } });
+  assert.deepStrictEqual(calls[2][1], { _id: 1 });
+});
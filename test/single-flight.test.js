@@ -0,0 +1,55 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, fakeQuery, createDb, sleep } = require("./helpers/fake-model");
+
+test("concurrent misses on one key share a single query", async () => {
+  const Users = fakeModel({ findOne: (filter) => fakeQuery(async () => (await sleep(20), { ...filter })) });
+  const db = createDb({ users: Users });
+  const read = () => db.getOne({ model: "users", filter: { _id: 1 }, cacheOpts: { enabled: true } });
+
+  const results = await Promise.all([read(), read(), read(), read()]);
+  assert.strictEqual(Users.calls.length, 1);
+  for (const res of results) assert.deepStrictEqual(res, { status: true, data: { _id: 1 } });
+
+  const { cache } = db.getMetrics().data;
+  assert.strictEqual(cache.misses, 1);
+  assert.strictEqual(cache.coalesced, 3);
+
+  // Later reads are plain hits
+  await read();
+  assert.strictEqual(db.getMetrics().data.cache.hits, 1);
+  assert.strictEqual(Users.calls.length, 1);
+});
+
+test("callers joining a failed flight get the failure, and the next read retries", async () => {
+  let attempts = 0;
+  const Users = fakeModel({
+    findOne: () =>
+      fakeQuery(async () => {
+        await sleep(20);
+        if (++attempts === 1) throw new Error("connection reset");
+        return { _id: 1 };
+      }),
+  });
+  const db = createDb({ users: Users });
+  const read = () => db.getOne({ model: "users", filter: { _id: 1 }, cacheOpts: { enabled: true } });
+
+  const [first, second] = await Promise.all([read(), read()]);
+  assert.strictEqual(first.status, false);
+  assert.strictEqual(second.status, false);
+  assert.strictEqual(Users.calls.length, 1);
+
+  assert.deepStrictEqual(await read(), { status: true, data: { _id: 1 } });
+  assert.strictEqual(Users.calls.length, 2);
+});
+
+test("different keys do not share a flight", async () => {
+  const Users = fakeModel({ findOne: (filter) => fakeQuery(async () => (await sleep(10), { ...filter })) });
+  const db = createDb({ users: Users });
+
+  await Promise.all([1, 2].map((_id) => db.getOne({ model: "users", filter: { _id }, cacheOpts: { enabled: true } })));
+  assert.strictEqual(Users.calls.length, 2);
+  assert.strictEqual(db.getMetrics().data.cache.coalesced, 0);
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, createDb } = require("./helpers/fake-model");
+
+const setup = () => {
+  const Model = fakeModel();
+  const db = createDb({ users: Model });
+  db.setSoftDelete("users", { field: "deletedAt" });
+  return { db, Model };
+};
+
+test("upsertOne only matches live documents unless withDeleted", async () => {
+  const { db, Model } = setup();
+
+  assert.strictEqual((await db.upsertOne("users", { email: "a@b.c" }, { $set: { name: "A" } })).status, true);
+  assert.deepStrictEqual(Model.calls[0][1], { email: "a@b.c", deletedAt: null });
+
+  await db.upsertOne({ model: "users", filter: { email: "a@b.c" }, data: { $set: { name: "A" } }, withDeleted: true });
+  assert.deepStrictEqual(Model.calls[1][1], { email: "a@b.c" });
+});
+
+test("bulkWrite scopes update and replace operations to live documents", async () => {
+  const { db, Model } = setup();
+  const ops = [
+    { insertOne: { document: { email: "x" } } },
+    { updateOne: { filter: { email: "a" }, update: { $set: { n: 1 } }, upsert: true } },
+    { updateMany: { filter: { role: "admin" }, update: { $set: { n: 2 } } } },
+    { replaceOne: { filter: { email: "b" }, replacement: { email: "b" }, upsert: true } },
+  ];
+
+  assert.strictEqual((await db.bulkWrite("users", ops)).status, true);
+  assert.deepStrictEqual(Model.calls[0][1], [
+    { insertOne: { document: { email: "x" } } },
+    { updateOne: { filter: { email: "a", deletedAt: null }, update: { $set: { n: 1 } }, upsert: true } },
+    { updateMany: { filter: { role: "admin", deletedAt: null }, update: { $set: { n: 2 } } } },
+    { replaceOne: { filter: { email: "b", deletedAt: null }, replacement: { email: "b" }, upsert: true } },
+  ]);
+
+  await db.bulkWrite({ model: "users", ops, withDeleted: true });
+  assert.deepStrictEqual(Model.calls[1][1], ops);
+});
+
+test("bulkWrite delete operations set the marker unless hardDelete", async () => {
+  const { db, Model } = setup();
+  const ops = [{ deleteOne: { filter: { email: "c" }, collation: { locale: "en" } } }, { deleteMany: { filter: { role: "guest" } } }];
+
+  assert.strictEqual((await db.bulkWrite("users", ops)).status, true);
+  const [one, many] = Model.calls[0][1];
+  assert.deepStrictEqual(Object.keys(one), ["updateOne"]);
+  assert.deepStrictEqual(one.updateOne.filter, { email: "c", deletedAt: null });
+  assert.deepStrictEqual(one.updateOne.collation, { locale: "en" });
+  assert.ok(one.updateOne.update.$set.deletedAt instanceof Date);
+  assert.deepStrictEqual(Object.keys(many), ["updateMany"]);
+  assert.deepStrictEqual(many.updateMany.filter, { role: "guest", deletedAt: null });
+  assert.ok(many.updateMany.update.$set.deletedAt instanceof Date);
+
+  // withDeleted does not turn a soft delete into a hard one
+  await db.bulkWrite({ model: "users", ops, withDeleted: true });
+  assert.deepStrictEqual(Model.calls[1][1].map((op) => Object.keys(op)[0]), ["updateOne", "updateMany"]);
+
+  await db.bulkWrite("users", ops, { hardDelete: true });
+  assert.deepStrictEqual(Model.calls[2][1], ops);
+  assert.strictEqual("hardDelete" in Model.calls[2][2], false);
+});
+
+test("hardDelete is detected as a top-level write option", async () => {
+  const { db, Model } = setup();
+
+  const res = await db.deleteOne("users", { _id: 1 }, { hardDelete: true });
+  assert.strictEqual(res.status, true);
+  assert.deepStrictEqual(Model.calls[0], ["deleteOne", { _id: 1 }, {}]);
+
+  await db.deleteOne("users", { _id: 1 });
+  assert.strictEqual(Model.calls[1][0], "updateOne");
+});
+
+test("the soft-delete $match goes after stages that must come first", async () => {
+  const { db, Model } = setup();
+  const match = { $match: { deletedAt: null } };
+
+  for (const stage of ["$documents", "$collStats", "$indexStats", "$changeStream", "$geoNear"]) {
+    await db.aggregate("users", [{ [stage]: {} }, { $limit: 1 }]);
+    assert.deepStrictEqual(Model.calls.at(-1)[1], [{ [stage]: {} }, match, { $limit: 1 }], stage);
+  }
+
+  await db.aggregate("users", [{ $limit: 1 }]);
+  assert.deepStrictEqual(Model.calls.at(-1)[1], [match, { $limit: 1 }]);
+});
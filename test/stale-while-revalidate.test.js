@@ -0,0 +1,54 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, fakeQuery, createDb, sleep } = require("./helpers/fake-model");
+
+test("a stale entry is served at once and kept until a refresh succeeds", async () => {
+  const results = [{ v: 1 }, new Error("primary stepped down"), { v: 2 }];
+  const Stats = fakeModel({
+    findOne: () =>
+      fakeQuery(async () => {
+        await sleep(5);
+        const next = results.shift();
+        if (next instanceof Error) throw next;
+        return next;
+      }),
+  });
+  const logged = [];
+  const db = createDb({ stats: Stats }, { logger: (err, ctx) => logged.push([ctx, err.message]) });
+  const read = () => db.getOne({ model: "stats", filter: {}, cacheOpts: { enabled: true, ttl: 20, staleWhileRevalidate: "1m" } });
+
+  assert.deepStrictEqual((await read()).data, { v: 1 });
+  await sleep(30); // Past the ttl, within the stale window
+
+  // Stale: served right away, the background refresh fails and is logged
+  assert.deepStrictEqual((await read()).data, { v: 1 });
+  await sleep(20);
+  assert.strictEqual(Stats.calls.length, 2);
+  assert.strictEqual(logged.length, 1);
+  assert.match(logged[0][0], /^withCache\/revalidate\/getOne:stats:/);
+  assert.strictEqual(logged[0][1], "primary stepped down");
+
+  // Still stale (the failed refresh kept the entry): served again, this refresh succeeds
+  assert.deepStrictEqual((await read()).data, { v: 1 });
+  await sleep(20);
+  assert.deepStrictEqual((await read()).data, { v: 2 });
+  assert.strictEqual(Stats.calls.length, 3);
+
+  const { cache } = db.getMetrics().data;
+  assert.strictEqual(cache.stale, 2);
+  assert.strictEqual(cache.misses, 1);
+});
+
+test("without staleWhileRevalidate an expired entry is a miss", async () => {
+  const Stats = fakeModel({ findOne: () => fakeQuery({ v: 1 }) });
+  const db = createDb({ stats: Stats });
+  const read = () => db.getOne({ model: "stats", filter: {}, cacheOpts: { enabled: true, ttl: 10 } });
+
+  await read();
+  await sleep(20);
+  await read();
+  assert.strictEqual(Stats.calls.length, 2);
+  assert.strictEqual(db.getMetrics().data.cache.stale, 0);
+});
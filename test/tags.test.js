@@ -0,0 +1,65 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { MemoryCache } = require("../src/memory-cache");
+const { fakeModel, fakeQuery, createDb } = require("./helpers/fake-model");
+
+test("invalidateCache({ tags }) drops every read cached with the tag", async () => {
+  const Users = fakeModel({ findOne: (filter) => fakeQuery({ ...filter }), find: () => fakeQuery([{ _id: 42 }]) });
+  const db = createDb({ users: Users });
+  const reads = () => [
+    db.getOne({ model: "users", filter: { _id: 42 }, cacheOpts: { enabled: true, tags: ["user:42"] } }),
+    db.getMany({ model: "users", filter: { team: 1 }, cacheOpts: { enabled: true, tags: ["user:42", "team:1"] } }),
+    db.getOne({ model: "users", filter: { _id: 7 }, cacheOpts: { enabled: true, tags: "user:7" } }),
+  ];
+  await Promise.all(reads());
+
+  const res = await db.invalidateCache({ tags: "user:42" });
+  assert.deepStrictEqual(res, { status: true, data: { invalidated: 2 } });
+
+  await Promise.all(reads());
+  assert.strictEqual(Users.calls.length, 5); // user:7 was still cached
+});
+
+test("writeArg.tags invalidates after the write", async () => {
+  const Users = fakeModel({ findOne: (filter) => fakeQuery({ ...filter }) });
+  const db = createDb({ users: Users });
+  await db.getOne({ model: "users", filter: { _id: 42 }, cacheOpts: { enabled: true, tags: ["user:42"] } });
+
+  await db.updateOne({ model: "users", filter: { _id: 42 }, data: { $set: { name: "a" } }, writeArg: { tags: ["user:42"] } });
+  assert.strictEqual(db.getMetrics().data.cache.invalidations, 1);
+});
+
+test("MemoryCache drops evicted keys from the tag index", () => {
+  const cache = new MemoryCache(2);
+  cache.put("a", 1);
+  cache.setTags("a", ["t"]);
+  cache.put("b", 2);
+  cache.setTags("b", ["t"]);
+  cache.put("c", 3); // Evicts "a" (least recently used)
+
+  assert.deepStrictEqual(cache.keysByTag("t"), ["b"]);
+  assert.deepStrictEqual(Array.from(cache.tagIndex.get("t")), ["b"]);
+
+  cache.put("d", 4); // Evicts "b": the tag has no key left
+  assert.strictEqual(cache.tagIndex.has("t"), false);
+  cache.clear();
+});
+
+test("MemoryCache drops expired keys from the tag index", (t) => {
+  t.mock.timers.enable({ apis: ["setInterval", "Date"], now: 0 });
+  const cache = new MemoryCache({ sweepIntervalMs: 1_000 });
+  cache.put("a", 1, 500);
+  cache.setTags("a", ["t"]);
+  cache.put("b", 2, 5_000);
+  cache.setTags("b", ["t"]);
+
+  t.mock.timers.tick(1_000);
+  assert.deepStrictEqual(cache.keysByTag("t"), ["b"]);
+  assert.deepStrictEqual(Array.from(cache.tagIndex.get("t")), ["b"]);
+
+  t.mock.timers.tick(5_000);
+  assert.strictEqual(cache.tagIndex.has("t"), false);
+  cache.clear();
+});
@@ -0,0 +1,89 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, fakeQuery, createDb } = require("./helpers/fake-model");
+
+const setup = () => {
+  const Model = fakeModel({ find: () => fakeQuery([{ _id: 1 }]) });
+  const db = createDb({ orders: Model });
+  db.setTenancy({ field: "tenantId" });
+  return { db, Model };
+};
+
+test("updates that change the tenant field are refused with TENANT_MISMATCH", async () => {
+  const { db, Model } = setup();
+  const refused = [
+    { $set: { tenantId: "t2" } },
+    { $set: { "tenantId.sub": 1 } },
+    { $setOnInsert: { tenantId: "t2" } },
+    { $unset: { tenantId: "" } },
+    { $rename: { tenantId: "owner" } },
+    { $rename: { owner: "tenantId" } },
+    { tenantId: "t2", name: "x" },
+    [{ $set: { tenantId: "t2" } }],
+    [{ $unset: "tenantId" }],
+    [{ $replaceWith: { name: "x" } }],
+  ];
+
+  await db.withTenant("t1", async () => {
+    for (const update of refused) {
+      for (const helper of ["updateOne", "updateMany", "upsertOne"]) {
+        const res = await db[helper]("orders", { _id: 1 }, update);
+        assert.strictEqual(res.status, false, `${helper} ${JSON.stringify(update)}`);
+        assert.strictEqual(res.data.code, "TENANT_MISMATCH");
+        assert.strictEqual(res.data.operation, helper);
+      }
+    }
+  });
+  assert.strictEqual(Model.calls.length, 0);
+});
+
+test("updates that keep the tenant field are sent unchanged with the tenant filter", async () => {
+  const { db, Model } = setup();
+  const allowed = [{ $set: { name: "x" } }, { $set: { tenantId: "t1", name: "x" } }, { $setOnInsert: { tenantId: "t1" } }, { name: "x" }, [{ $set: { total: { $add: ["$a", "$b"] } } }]];
+
+  await db.withTenant("t1", async () => {
+    for (const update of allowed) {
+      assert.strictEqual((await db.updateOne("orders", { _id: 1 }, update)).status, true);
+      assert.deepStrictEqual(Model.calls.at(-1).slice(1, 3), [{ _id: 1, tenantId: "t1" }, update]);
+    }
+  });
+
+  // Without a tenant context (non-strict) nothing is checked
+  assert.strictEqual((await db.updateOne("orders", { _id: 1 }, { $set: { tenantId: "t2" } })).status, true);
+});
+
+test("bulkWrite update operations are guarded too", async () => {
+  const { db, Model } = setup();
+
+  await db.withTenant("t1", async () => {
+    const res = await db.bulkWrite("orders", [{ updateOne: { filter: { _id: 1 }, update: { $set: { n: 1 } } } }, { updateMany: { filter: {}, update: { $unset: { tenantId: 1 } } } }]);
+    assert.strictEqual(res.status, false);
+    assert.strictEqual(res.data.code, "TENANT_MISMATCH");
+    assert.strictEqual(Model.calls.length, 0);
+
+    const ok = await db.bulkWrite("orders", [{ updateOne: { filter: { _id: 1 }, update: { $set: { n: 1 } } } }]);
+    assert.strictEqual(ok.status, true);
+    assert.deepStrictEqual(Model.calls[0][1], [{ updateOne: { filter: { _id: 1, tenantId: "t1" }, update: { $set: { n: 1 } } } }]);
+  });
+});
+
+test("explicit cache keys are refused inside a tenant context", async () => {
+  const { db, Model } = setup();
+  const cacheOpts = { enabled: true, key: "orders:open" };
+
+  await db.withTenant("t1", async () => {
+    const res = await db.getMany("orders", {}, [], {}, null, cacheOpts);
+    assert.strictEqual(res.status, false);
+    assert.strictEqual(res.data.code, "VALIDATION");
+    assert.strictEqual(res.data.operation, "getMany");
+
+    // Auto-built keys carry the tenant segment
+    assert.strictEqual((await db.getMany("orders", {}, [], {}, null, { enabled: true })).status, true);
+  });
+  assert.strictEqual(Model.calls.length, 1);
+
+  // Outside a tenant context (non-strict) the key is used as given
+  assert.strictEqual((await db.getMany("orders", {}, [], {}, null, cacheOpts)).status, true);
+});
@@ -0,0 +1,58 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { MemoryCache } = require("../src/memory-cache");
+const TieredCache = require("../src/tiered-cache");
+
+const memory = () => new MemoryCache({ maxEntries: 100, defaultTTL: 60_000, sweepIntervalMs: 0 });
+
+test("an L2 hit is backfilled into L1 for at most the remaining L2 TTL", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 0 });
+  const l1 = memory();
+  const l2 = memory();
+  const cache = new TieredCache(l2, { l1, l1TTL: 5_000 });
+
+  l2.put("short", "s", 1_000);
+  l2.put("long", "l", 60_000);
+  l2.put("forever", "f", -1);
+  t.mock.timers.tick(400);
+
+  assert.strictEqual(await cache.get("short"), "s");
+  assert.strictEqual(await cache.get("long"), "l");
+  assert.strictEqual(await cache.get("forever"), "f");
+  assert.strictEqual(l1.ttl("short"), 600);
+  assert.strictEqual(l1.ttl("long"), 5_000);
+  assert.strictEqual(l1.ttl("forever"), 5_000);
+
+  // L1 never serves the value after L2 expired it
+  t.mock.timers.tick(700);
+  assert.strictEqual(await cache.get("short"), null);
+  assert.deepStrictEqual(cache.tierStats(), { l1: { hits: 0, misses: 4 }, l2: { hits: 3, misses: 1 } });
+});
+
+test("without ttl(key) on L2, backfills use l1TTL", async () => {
+  const l1 = memory();
+  const store = new Map([["k", "v"]]);
+  const l2 = { get: async (k) => store.get(k), put: async () => true, del: async () => true, keys: async () => [...store.keys()] };
+  const cache = new TieredCache(l2, { l1, l1TTL: 2_000 });
+
+  assert.strictEqual(await cache.get("k"), "v");
+  assert.ok(l1.ttl("k") > 1_900 && l1.ttl("k") <= 2_000);
+});
+
+test("a custom L1 is validated and its tag methods are optional", async () => {
+  const l2 = memory();
+  assert.throws(() => new TieredCache(l2, { l1: { get() {} } }), /L1 must have get, put, del, and keys/);
+
+  const store = new Map();
+  const l1 = { get: (k) => store.get(k), put: (k, v) => store.set(k, v), del: (k) => store.delete(k), keys: () => [...store.keys()] };
+  const cache = new TieredCache(l2, { l1 });
+
+  await cache.put("user:1", { id: 1 }, 10_000);
+  assert.strictEqual(await cache.setTags("user:1", ["user"], 10_000), true);
+  assert.deepStrictEqual(await cache.keysByTag("user"), ["user:1"]);
+  assert.strictEqual(await cache.delByTag("user"), 1);
+  assert.strictEqual(store.has("user:1"), false);
+  assert.strictEqual(l2.get("user:1"), null);
+});
@@ -0,0 +1,151 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, fakeQuery, hydrate, createDb, sleep } = require("./helpers/fake-model");
+
+// Cursor that yields docs, then hangs until closed
+const hangingCursor = (docs) => {
+  const state = { closed: false, wake: null };
+  const pending = [...docs];
+  return {
+    state,
+    close: async () => {
+      state.closed = true;
+      if (state.wake) state.wake({ done: true, value: undefined });
+    },
+    [Symbol.asyncIterator]() {
+      return {
+        next: () => {
+          if (state.closed) return Promise.resolve({ done: true, value: undefined });
+          if (pending.length) return Promise.resolve({ done: false, value: pending.shift() });
+          return new Promise((resolve) => (state.wake = resolve));
+        },
+        return: async () => ({ done: true, value: undefined }),
+      };
+    },
+  };
+};
+
+// Slow driver: reads and writes settle after delayMs; find() cursors hang after yielding docs
+const setup = ({ delayMs = 50, docs = [] } = {}) => {
+  const Model = fakeModel({
+    find: () => {
+      const query = fakeQuery(async () => (await sleep(delayMs), [...docs]));
+      query.cursor = () => (Model.opened = hangingCursor(docs));
+      return query;
+    },
+    create: async (docs) => (await sleep(delayMs), docs.map(hydrate)),
+    updateOne: async () => {
+      await sleep(delayMs);
+      Model.calls.push(["updateOne:done"]);
+      return { acknowledged: true, modifiedCount: 1 };
+    },
+  });
+  return { db: createDb({ items: Model }), Model };
+};
+
+test("writes are not raced: they wait for the driver and pass timeoutMs as maxTimeMS", async () => {
+  const { db, Model } = setup({ delayMs: 40 });
+
+  const res = await db.updateOne({ model: "items", filter: { _id: 1 }, data: { $set: { a: 1 } }, timeoutMs: 5 });
+  assert.strictEqual(res.status, true);
+  assert.deepStrictEqual(res.data, { acknowledged: true, modifiedCount: 1 });
+  assert.strictEqual(Model.calls[0][3].maxTimeMS, 5);
+  assert.deepStrictEqual(Model.calls[1], ["updateOne:done"]);
+});
+
+test("an insert that runs past timeoutMs returns its normal result", async () => {
+  const { db, Model } = setup({ delayMs: 40 });
+
+  const res = await db.createOne({ model: "items", data: { a: 1 }, timeoutMs: 5 });
+  assert.strictEqual(res.status, true);
+  assert.deepStrictEqual(res.data, { a: 1 });
+  assert.strictEqual(Model.calls[0][2].maxTimeMS, 5);
+});
+
+test("an aborted signal still stops a write before it starts", async () => {
+  const { db, Model } = setup();
+  const ac = new AbortController();
+  ac.abort();
+
+  const res = await db.updateOne({ model: "items", filter: { _id: 1 }, data: { $set: { a: 1 } }, signal: ac.signal });
+  assert.strictEqual(res.status, false);
+  assert.strictEqual(res.data.code, "ABORTED");
+  assert.strictEqual(Model.calls.length, 0);
+});
+
+test("a timed-out read records the timeout but no count/latency sample", async () => {
+  const { db } = setup({ delayMs: 40, docs: [{ _id: 1 }] });
+
+  const res = await db.getMany({ model: "items", filter: {}, timeoutMs: 5 });
+  assert.strictEqual(res.status, false);
+  assert.strictEqual(res.data.code, "TIMEOUT");
+
+  await sleep(60); // let the losing query settle
+  const perOp = db.getMetrics().data.db.perOp["getMany:items"];
+  assert.strictEqual(perOp.timeouts, 1);
+  assert.strictEqual(perOp.count, 0);
+
+  // Calls that finish in time are still sampled
+  const fast = await db.getMany({ model: "items", filter: {}, timeoutMs: 1000 });
+  assert.strictEqual(fast.status, true);
+  assert.strictEqual(db.getMetrics().data.db.perOp["getMany:items"].count, 1);
+});
+
+test("iterateMany closes a hanging cursor when the signal aborts", async () => {
+  const { db, Model } = setup({ docs: [{ _id: 1 }] });
+  const ac = new AbortController();
+
+  const res = await db.iterateMany({ model: "items", filter: {}, signal: ac.signal });
+  assert.strictEqual(res.status, true);
+
+  const seen = [];
+  const run = (async () => {
+    for await (const doc of res.data) seen.push(doc);
+  })();
+  await sleep(10);
+  ac.abort();
+
+  await assert.rejects(run, (err) => err.code === "ABORTED");
+  assert.deepStrictEqual(seen, [{ _id: 1 }]);
+  assert.strictEqual(Model.opened.state.closed, true);
+  assert.strictEqual(db.getMetrics().data.db.perOp["iterateMany:items"], undefined);
+});
+
+test("iterateMany times out while waiting on the cursor", async (t) => {
+  const { db, Model } = setup();
+  const socket = setInterval(() => {}, 1_000); // stands in for the driver socket (the timeout timer is unref'd)
+  t.after(() => clearInterval(socket));
+
+  const res = await db.iterateMany({ model: "items", filter: {}, timeoutMs: 20 });
+  const started = Date.now();
+  await assert.rejects(
+    (async () => {
+      for await (const _ of res.data);
+    })(),
+    (err) => err.code === "TIMEOUT",
+  );
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(Model.opened.state.closed, true);
+  assert.deepStrictEqual(db.getMetrics().data.db.perOp["iterateMany:items"], { count: 0, totalMs: 0, minMs: null, maxMs: 0, timeouts: 1 });
+});
+
+test("iterateMany starts its timer and abort listener on the first next()", async () => {
+  const { db } = setup({ docs: [{ _id: 1 }] });
+  const signal = { aborted: false, listeners: 0, addEventListener() { this.listeners++; }, removeEventListener() { this.listeners--; } };
+  const timers = () => process.getActiveResourcesInfo().filter((r) => r === "Timeout").length;
+  const before = timers();
+
+  const res = await db.iterateMany({ model: "items", filter: {}, timeoutMs: 60_000, signal });
+  assert.strictEqual(res.status, true);
+  assert.strictEqual(signal.listeners, 0); // created, never consumed: nothing attached
+
+  const iterator = res.data[Symbol.asyncIterator]();
+  assert.deepStrictEqual(await iterator.next(), { done: false, value: { _id: 1 } });
+  assert.strictEqual(signal.listeners, 1);
+  assert.strictEqual(timers(), before); // unref'd: does not keep the process alive
+
+  await iterator.return();
+  assert.strictEqual(signal.listeners, 0);
+});
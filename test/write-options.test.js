@@ -0,0 +1,48 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeModel, createDb } = require("./helpers/fake-model");
+
+// Returns hydrated-like documents unless lean / includeResultMetadata is set
+const result = (doc, options = {}) => {
+  if (options.includeResultMetadata) return { value: doc, ok: 1, lastErrorObject: { n: 1 } };
+  if (options.lean) return doc;
+  return { ...doc, toObject: () => ({ ...doc, hydrated: true }) };
+};
+
+const setup = () => {
+  const Model = fakeModel({
+    findOneAndDelete: async (filter, options) => result({ _id: 1, name: "a" }, options),
+    findOneAndUpdate: async (filter, update, options) => result({ _id: 1, name: "b" }, options),
+  });
+  return { db: createDb({ users: Model }), Model };
+};
+
+test("returnDocument is detected as a top-level write option", async () => {
+  const { db, Model } = setup();
+
+  const res = await db.deleteOne("users", { _id: 1 }, { returnDocument: "before" });
+  assert.strictEqual(res.status, true);
+  assert.deepStrictEqual(res.data, { _id: 1, name: "a", hydrated: true });
+  assert.deepStrictEqual(Model.calls[0].slice(0, 2), ["findOneAndDelete", { _id: 1 }]);
+
+  const updated = await db.updateOne("users", { _id: 1 }, { $set: { name: "b" } }, { returnDocument: true });
+  assert.deepStrictEqual(updated.data, { _id: 1, name: "b", hydrated: true });
+  assert.strictEqual(Model.calls[1][3].returnDocument, "after");
+});
+
+test("lean and includeResultMetadata results are returned without toObject()", async () => {
+  const { db } = setup();
+
+  const lean = await db.updateOne("users", { _id: 1 }, { $set: { name: "b" } }, { returnDocument: "after", lean: true });
+  assert.strictEqual(lean.status, true);
+  assert.deepStrictEqual(lean.data, { _id: 1, name: "b" });
+
+  const meta = await db.upsertOne("users", { _id: 1 }, { $set: { name: "b" } }, { options: { new: true, includeResultMetadata: true } });
+  assert.strictEqual(meta.status, true);
+  assert.deepStrictEqual(meta.data, { value: { _id: 1, name: "b" }, ok: 1, lastErrorObject: { n: 1 } });
+
+  const deleted = await db.deleteOne("users", { _id: 1 }, { options: { returnDocument: "before", lean: true } });
+  assert.deepStrictEqual(deleted.data, { _id: 1, name: "a" });
+});